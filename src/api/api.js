@@ -11,15 +11,24 @@ const fs = require('fs'); // Add this import
 
 const FileScanner = require('../core/fileScanner');
 const MetadataProcessor = require('../core/metadataProcessor');
+const MetadataCache = require('../core/metadataCache');
 const Sorter = require('../core/sorter');
 
-const LexicalSort = require('../core/strategies/lexicalSort');
-const SizeSort = require('../core/strategies/sizeSort');
-const TypeSort = require('../core/strategies/typeSort');
+const StrategyRegistry = require('../core/strategyRegistry');
+const FormatterRegistry = require('../output/formatterRegistry');
+const ChangeSelector = require('../core/changeSelector');
+const FileWatcher = require('../core/fileWatcher');
+const GitRepository = require('../core/gitRepository');
+const ChangesFormatter = require('../output/formatters/changesFormatter');
 const Consolidator = require('../core/consolidator');
+const TokenBudget = require('../core/tokenBudget');
 const ConfigProcessor = require('../core/configProcessor');
 const Logger = require('../utils/logger');
 
+const CONFIG_FILE = '.llm-pack.config.json';
+// Files that change what gets packed rather than being packed themselves
+const SETTINGS_FILES = ['.gitignore', '.llm-pack.ignore', CONFIG_FILE];
+
 class LlmPackAPI {
 	/**
 	 * @param {string} rootDir - The root directory of the project/dataset.
@@ -28,7 +37,9 @@ class LlmPackAPI {
 	constructor(rootDir, config = {}) {
 		this.rootDir = rootDir;
 		this.configOverride = config;
-		this.pluginManager = new PluginManager(); // Initialize PluginManager
+		this.pluginManager = new PluginManager(path.join(rootDir, 'plugins'));
+		this.strategyRegistry = StrategyRegistry.createDefault();
+		this.formatterRegistry = FormatterRegistry.createDefault();
 		this.loadConfiguration();
 	}
 
@@ -40,82 +51,203 @@ class LlmPackAPI {
 		const baseConfig = configProcessor.loadConfig();
 
 		// Merge config override (passed via constructor) with loaded config
-		this.config = { ...baseConfig, ...this.configOverride };
+		this.config = configProcessor.mergeConfigs(baseConfig, this.configOverride);
 
 		Logger.info('API configuration loaded:', this.config);
 	}
 
 	/**
-	 * Initialize plugins.
+	 * Loads plugins from the project's `plugins` folder, if it has one, and
+	 * registers the sort strategies and output formats they provide.
 	 */
 	async initializePlugins() {
+		if (!fs.existsSync(this.pluginManager.pluginsDir)) {
+			return;
+		}
 		await this.pluginManager.loadPlugins();
+		this.pluginManager.registerStrategies(this.strategyRegistry);
+		this.pluginManager.registerFormatters(this.formatterRegistry);
 	}
 
 	/**
-	 * Scans the project folder to gather all non-ignored files.
+	 * Scans the project folder to gather all non-ignored files. In git-aware
+	 * mode (`git.since`, `git.staged` or `git.unstaged`) only the changed files
+	 * are scanned, unless `git.hops` asks for their dependency neighbours too,
+	 * which needs the whole tree; `enrichMetadata` then narrows it down.
 	 * @returns {Promise<Array<string>>} - A promise that resolves to an array of file paths.
 	 */
 	async scanFiles() {
 		await this.pluginManager.executeHook('beforeScan', []);
-		const scanner = new FileScanner(this.rootDir);
+		const scanner = new FileScanner(this.rootDir, {
+			excludePaths: [path.join(this.rootDir, this.config.output.dir)],
+			maxFileSize: this.config.scan.maxFileSize,
+			skipGenerated: this.config.scan.skipGenerated,
+			followSymlinks: this.config.scan.followSymlinks,
+			include: this.config.include,
+			exclude: this.config.exclude,
+			ignore: this.config.ignore,
+		});
+		this.scanner = scanner;
+
+		this.changedFiles = null;
+		if (ChangeSelector.isEnabled(this.config.git)) {
+			this.changeSelector = new ChangeSelector(this.rootDir, this.config.git);
+			this.changedFiles = await this.changeSelector.getChangedFiles();
+			if (this.changeSelector.hops === 0) {
+				return scanner.scan({ files: this.changedFiles });
+			}
+		}
+
 		const files = await scanner.scan();
 		return files;
 	}
 
+	/**
+	 * Scans like `scanFiles` and explains the outcome for every path: the
+	 * reason each excluded path was left out, and the ignore rule behind it
+	 * or behind re-including a file with a negated pattern.
+	 * @returns {Promise<{included: Array<Object>, excluded: Array<Object>}>}
+	 */
+	async explainScan() {
+		const files = await this.scanFiles();
+		const { ignoreProcessor, skipped } = this.scanner;
+		return {
+			included: files.map((file) => ({ path: file, rule: ignoreProcessor.explain(file).rule })),
+			excluded: skipped,
+		};
+	}
+
 	/**
 	 * Enriches each file with metadata such as descriptions, dependencies, etc.
 	 * @param {Array<string>} files - An array of file paths.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.check] - Read the cache but leave it unchanged on disk.
 	 * @returns {Promise<Array<Object>>} - An array of enriched file objects.
 	 */
-	async enrichMetadata(files) {
-		const metadataProcessor = new MetadataProcessor(this.rootDir);
-		const enrichedFiles = await metadataProcessor.enrich(files);
+	async enrichMetadata(files, options = {}) {
+		const cache = this.config.cache.enabled ? this.createCache() : null;
+		if (cache) {
+			await cache.load();
+		}
+		const metadataProcessor = new MetadataProcessor(this.rootDir, {
+			...this.config.metadata,
+			binary: this.config.scan.binary,
+			cache,
+		});
+		let enrichedFiles = await metadataProcessor.enrich(files);
+		if (cache && !options.check) {
+			await cache.save();
+		}
+		if (this.changedFiles && this.changeSelector.hops > 0) {
+			enrichedFiles = this.changeSelector.expand(enrichedFiles, this.changedFiles);
+		}
 		await this.pluginManager.executeHook('afterEnrich', enrichedFiles);
 		return enrichedFiles;
 	}
 
 	/**
-	 * Sorts the enriched files based on the configured sorting strategy.
+	 * Creates the metadata cache in `<output.dir>/cache`.
+	 * @returns {MetadataCache}
+	 */
+	createCache() {
+		return new MetadataCache(
+			path.join(this.rootDir, this.config.output.dir, 'cache'),
+			{ binaryExtensions: this.config.scan.binary.extensions },
+			this.rootDir,
+		);
+	}
+
+	/**
+	 * Deletes the metadata cache, so the next run analyses every file again.
+	 * @returns {Promise<void>}
+	 */
+	async clearCache() {
+		await this.createCache().clear();
+	}
+
+	/**
+	 * Sorts the enriched files with the strategy registered under `sortingStrategy`,
+	 * passing it `sortOrder` and its entry in `strategyOptions` as options.
 	 * @param {Array<Object>} enrichedFiles - An array of enriched file objects.
 	 * @returns {Array<Object>} - A sorted array of enriched file objects.
 	 */
 	async sortFiles(enrichedFiles) {
 		await this.pluginManager.executeHook('beforeSort', enrichedFiles);
-		let sortingStrategyInstance;
-
-		// For demonstration, only 'lexical' is provided. Additional strategies can be implemented.
-		switch ((this.config.sortingStrategy || '').toLowerCase()) {
-			case 'size':
-				sortingStrategyInstance = new SizeSort({
-					order: this.config.sortOrder || 'asc',
-				});
-				break;
-			case 'type':
-				sortingStrategyInstance = new TypeSort({
-					order: this.config.sortOrder || 'asc',
-				});
-				break;
-			case 'lexical':
-			default:
-				sortingStrategyInstance = new LexicalSort();
-				break;
-		}
-
-		const sorter = new Sorter(sortingStrategyInstance);
+		const { name, options } = this.getSortingStrategy();
+		const strategy = this.strategyRegistry.create(name, options);
+
+		const sorter = new Sorter(strategy);
 		const sortedFiles = await sorter.sort(enrichedFiles);
 		await this.pluginManager.executeHook('afterSort', sortedFiles);
 		return sortedFiles;
 	}
 
 	/**
-	 * Consolidates the sorted files into a single Markdown document.
+	 * Resolves the configured sorting strategy and the options it is created with.
+	 * @returns {{name: string, options: Object}}
+	 */
+	getSortingStrategy() {
+		const name = this.config.sortingStrategy || 'lexical';
+		const options = {
+			...(this.config.sortOrder ? { order: this.config.sortOrder } : {}),
+			...(this.config.strategyOptions || {})[name.toLowerCase()],
+		};
+		return { name, options };
+	}
+
+	/**
+	 * Describes the sorting strategy for the preamble, e.g. "size (desc)".
+	 * @returns {string}
+	 */
+	describeSortingStrategy() {
+		const { name, options } = this.getSortingStrategy();
+		return options.order ? `${name} (${options.order})` : name;
+	}
+
+	/**
+	 * Trims the files to the configured `maxTokens`, if any.
+	 * @param {Array<Object>} files - Sorted file objects with content.
+	 * @param {Object} [pack] - The pack the files go into; given, the budget measures files
+	 *   as its formatter writes them and leaves room for everything else in it.
+	 * @param {Consolidator} [pack.consolidator] - Consolidator that will write the pack.
+	 * @param {Object} [pack.history] - Result of readChanges() for the "Changes" section.
+	 * @returns {{files: Array<Object>, report: Object|null}} - Files that fit and the budget report.
+	 */
+	applyTokenBudget(files, { consolidator, history = null } = {}) {
+		if (!this.config.maxTokens) {
+			return { files, report: null };
+		}
+
+		const { mode, tokenizer } = this.config.tokenBudget || {};
+		const budget = new TokenBudget({
+			maxTokens: this.config.maxTokens,
+			mode,
+			tokenizer,
+			rootDir: this.rootDir,
+			formatFile: consolidator ? (file) => consolidator.formatter.formatFile(file) : null,
+		});
+		if (!consolidator) {
+			return budget.apply(files);
+		}
+
+		const anchored = consolidator.assignAnchors(files);
+		const changes = this.formatChanges(history, files);
+		return budget.apply(anchored, {
+			frame: (budgetReport) => consolidator.formatFrame(anchored, { changes, budgetReport }),
+		});
+	}
+
+	/**
+	 * Consolidates the sorted files into a single document in the configured format.
 	 * @param {Array<Object>} sortedFiles - An array of sorted file objects.
-	 * @returns {Promise<void>}
+	 * @param {Object} [options]
+	 * @param {boolean} [options.check] - Only compare the output with the one on disk.
+	 * @returns {Promise<Object>} - The Consolidator's result; with `check`, `upToDate` and
+	 *   the `stale` output paths.
 	 */
-	async consolidateFiles(sortedFiles) {
+	async consolidateFiles(sortedFiles, options = {}) {
 		await this.pluginManager.executeHook('beforeConsolidate', sortedFiles);
-		const { dir, fileName } = this.config.output;
+		const { dir, chunkSize, chunkUnit, format = 'markdown', preamble, toc } = this.config.output;
 
 		// Validate and process files
 		const validFiles = sortedFiles.filter((file) => file && file.path);
@@ -137,18 +269,102 @@ class LlmPackAPI {
 
 		try {
 			const resolvedDir = path.join(this.rootDir, dir);
-			const consolidator = new Consolidator(resolvedDir, fileName);
-			await consolidator.consolidate(filesWithContent);
-			await this.pluginManager.executeHook(
-				'afterConsolidate',
-				consolidator.outputFilePath,
-			);
+			const formatter = this.formatterRegistry.create(format);
+			const consolidator = new Consolidator({
+				outputDir: resolvedDir,
+				outputFileName: this.getOutputFileName(formatter),
+				chunkSize,
+				chunkUnit,
+				formatter,
+				tokenizer: (this.config.tokenBudget || {}).tokenizer,
+				rootDir: this.rootDir,
+				preamble,
+				toc,
+				sortingStrategy: this.describeSortingStrategy(),
+			});
+			const history = await this.readChanges();
+			const { files: budgetedFiles, report } = this.applyTokenBudget(filesWithContent, {
+				consolidator,
+				history,
+			});
+			const changes = this.formatChanges(history, budgetedFiles, { log: true });
+			const result = await consolidator.consolidate(budgetedFiles, {
+				budgetReport: report,
+				changes,
+				check: options.check,
+			});
+			if (!options.check) {
+				await this.pluginManager.executeHook(
+					'afterConsolidate',
+					consolidator.outputFilePath,
+				);
+			}
+			return result;
 		} catch (error) {
 			Logger.error('Error during file consolidation:', error);
 			throw error;
 		}
 	}
 
+	/**
+	 * The configured output file name, with a `.md` extension swapped for
+	 * the one of the output format, so `--format json` writes a `.json` file.
+	 * @param {Formatter} formatter - Formatter of the output format.
+	 * @returns {string}
+	 */
+	getOutputFileName(formatter) {
+		const { fileName } = this.config.output;
+		const ext = formatter.extension;
+		if (!ext || path.extname(fileName) !== '.md') return fileName;
+		return `${fileName.slice(0, -'.md'.length)}${ext}`;
+	}
+
+	/**
+	 * Reads the commits and diffs for the "Changes" section from git, when
+	 * `changes.enabled` is set: those against `changes.ref` (default
+	 * `git.since`, then HEAD).
+	 * @returns {Promise<{ref: string, commits: Array<Object>, diffs: Array<Object>}|null>} -
+	 *   Null when `changes.enabled` is not set.
+	 */
+	async readChanges() {
+		const options = this.config.changes || {};
+		if (!options.enabled) {
+			return null;
+		}
+
+		const ref = options.ref || (this.config.git || {}).since || 'HEAD';
+		const repository = new GitRepository(this.rootDir);
+		await repository.assertRepository();
+		await repository.assertRef(ref);
+
+		const diffs = await repository.getDiffs(ref, { context: options.context });
+		const commits = await repository.getCommits(ref);
+		return { ref, commits, diffs };
+	}
+
+	/**
+	 * Formats the "Changes" section from readChanges(), keeping the diffs of
+	 * the packed files and of deleted ones.
+	 * @param {Object|null} history - Result of readChanges().
+	 * @param {Array<Object>} files - Files going into the pack.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.log] - Log what the section holds.
+	 * @returns {string|null} - Formatted section, or null without history.
+	 */
+	formatChanges(history, files, { log = false } = {}) {
+		if (!history) {
+			return null;
+		}
+
+		const { ref, commits } = history;
+		const packed = new Set(files.map((file) => file.relativePath));
+		const diffs = history.diffs.filter((diff) => packed.has(diff.path) || diff.status === 'deleted');
+		if (log) {
+			Logger.info(`Adding ${diffs.length} diff(s) and ${commits.length} commit(s) since ${ref}.`);
+		}
+		return new ChangesFormatter().formatChanges({ ref, commits, diffs });
+	}
+
 	/**
 	 * High-level method to run the entire process: scan, enrich, sort, and consolidate.
 	 * @returns {Promise<void>}
@@ -162,6 +378,193 @@ class LlmPackAPI {
 		await this.consolidateFiles(sorted);
 		Logger.info('LLM-Pack full process completed.');
 	}
+
+	/**
+	 * Builds the pack, then keeps it current: watches the root directory,
+	 * skipping ignored paths and the output directory, and rebuilds the pack
+	 * once changes have settled for `debounce` milliseconds.
+	 * @param {Object} [options]
+	 * @param {number} [options.debounce=300] - Milliseconds to wait for changes to settle.
+	 * @returns {Promise<FileWatcher>} - The running watcher; `close()` it to stop watching.
+	 */
+	async watch(options = {}) {
+		if (ChangeSelector.isEnabled(this.config.git)) {
+			throw new Error('Watch mode packs the whole tree and cannot be combined with git.since, git.staged or git.unstaged.');
+		}
+		await this.initializePlugins();
+		await this.build();
+
+		const watcher = new FileWatcher(this.rootDir, {
+			debounce: options.debounce,
+			isIgnored: (filePath, isDirectory) => this.isIgnoredByWatch(filePath, isDirectory),
+			onChange: (changed) => this.rebuild(changed),
+		});
+		await watcher.start();
+		this.watcher = watcher;
+		return watcher;
+	}
+
+	/**
+	 * Whether the watcher can skip a path: the output directory and ignored
+	 * paths, except ignore and config files, which change the pack.
+	 */
+	isIgnoredByWatch(filePath, isDirectory) {
+		const outputDir = path.join(this.rootDir, this.config.output.dir);
+		if (filePath === outputDir || filePath.startsWith(`${outputDir}${path.sep}`)) return true;
+		if (!isDirectory && SETTINGS_FILES.includes(path.basename(filePath))) return false;
+		return this.scanner.ignoreProcessor.isIgnored(filePath, isDirectory);
+	}
+
+	/**
+	 * Scans and analyses the whole tree and writes the pack, keeping the
+	 * analysed files so `rebuild` can update them.
+	 * @returns {Promise<number>} - Number of files packed.
+	 */
+	async build() {
+		const files = await this.scanFiles();
+		this.metadataCache = this.config.cache.enabled ? this.createCache() : null;
+		if (this.metadataCache) {
+			await this.metadataCache.load();
+		}
+		this.metadataProcessor = new MetadataProcessor(this.rootDir, {
+			...this.config.metadata,
+			binary: this.config.scan.binary,
+			cache: this.metadataCache,
+		});
+		const analyzed = await this.metadataProcessor.analyzeFiles(files);
+		this.built = { files, analyzed: new Map(analyzed.map((file) => [file.path, file])) };
+		return this.pack();
+	}
+
+	/**
+	 * Updates the pack after files changed: re-enriches the changed files and
+	 * the files that import them, drops deleted ones and rewrites the output.
+	 * New files, new or deleted directories and changed ignore files make it
+	 * scan the tree again; a changed config file rebuilds from scratch.
+	 * @param {Array<string>} changed - Absolute paths that changed.
+	 * @returns {Promise<Object|null>} - Counts of `changed`, `removed` and `dependents` files,
+	 *   files `packed` and the `duration` in ms; null when nothing in the pack changed.
+	 */
+	async rebuild(changed) {
+		const started = Date.now();
+		if (changed.some((filePath) => filePath === path.join(this.rootDir, CONFIG_FILE))) {
+			this.loadConfiguration();
+			const packed = await this.build();
+			return this.reportRebuild({ changed: changed.length, removed: 0, dependents: 0, packed }, started);
+		}
+
+		const previous = this.built.files;
+		const known = new Set(previous);
+		const rescan =
+			changed.some((filePath) => SETTINGS_FILES.includes(path.basename(filePath))) ||
+			(await Promise.all(changed.map((filePath) => this.changesFileSet(filePath, known)))).some(Boolean);
+		let files;
+		if (rescan) {
+			files = await this.scanFiles();
+			if (this.watcher) {
+				// Directories the new ignore rules let in
+				await this.watcher.watchTree(this.rootDir);
+			}
+		} else {
+			// Changed files may have grown too large or become generated
+			const kept = new Set(await this.scanner.scan({ files: changed }));
+			files = previous.filter((file) => !changed.includes(file) || kept.has(file));
+		}
+
+		const current = new Set(files);
+		const removed = previous.filter((file) => !current.has(file));
+		const modified = files.filter((file) => !known.has(file) || changed.includes(file));
+		if (modified.length === 0 && removed.length === 0) {
+			return null;
+		}
+
+		const { analyzed } = this.built;
+		const touched = new Set([...modified, ...removed].map((file) => path.relative(this.rootDir, file)));
+		const dependents = files.filter(
+			(file) =>
+				!modified.includes(file) &&
+				analyzed.has(file) &&
+				(analyzed.get(file).metadata.resolvedDependencies || []).some((dependency) => touched.has(dependency)),
+		);
+
+		const reanalyzed = await this.metadataProcessor.analyzeFiles([...modified, ...dependents]);
+		[...removed, ...modified, ...dependents].forEach((file) => analyzed.delete(file));
+		if (this.metadataCache) {
+			removed.forEach((file) => this.metadataCache.delete(path.relative(this.rootDir, file)));
+		}
+		reanalyzed.forEach((file) => analyzed.set(file.path, file));
+		this.built.files = files;
+
+		const packed = await this.pack();
+		return this.reportRebuild(
+			{ changed: modified.length, removed: removed.length, dependents: dependents.length, packed },
+			started,
+		);
+	}
+
+	/**
+	 * Whether a changed path may add or remove files rather than just change
+	 * one: a new file or directory, or a deleted directory that held files.
+	 */
+	async changesFileSet(filePath, known) {
+		if (known.has(filePath)) return false;
+		try {
+			await fs.promises.stat(filePath);
+			return true;
+		} catch (error) {
+			return [...known].some((file) => file.startsWith(`${filePath}${path.sep}`));
+		}
+	}
+
+	/**
+	 * Links, sorts and writes the files kept by `build` and `rebuild`.
+	 * @returns {Promise<number>} - Number of files packed.
+	 */
+	async pack() {
+		const { files, analyzed } = this.built;
+		// Copies, so linking and plugins start from the analysis every time
+		const enriched = files
+			.filter((file) => analyzed.has(file))
+			.map((file) => {
+				const entry = analyzed.get(file);
+				return { ...entry, metadata: MetadataProcessor.copyMetadata(entry.metadata) };
+			});
+		this.metadataProcessor.link(enriched, files);
+		if (this.metadataCache) {
+			await this.metadataCache.save();
+		}
+		await this.pluginManager.executeHook('afterEnrich', enriched);
+		const sorted = await this.sortFiles(enriched);
+		await this.consolidateFiles(sorted);
+		// Keep the resolved dependencies for finding dependents next time
+		enriched.forEach((file) => {
+			analyzed.get(file.path).metadata.resolvedDependencies = file.metadata.resolvedDependencies;
+		});
+		return enriched.length;
+	}
+
+	reportRebuild(counts, started) {
+		const summary = { ...counts, duration: Date.now() - started };
+		Logger.info(
+			`Rebuilt pack in ${summary.duration} ms: ${summary.changed} changed, ${summary.removed} removed, ` +
+				`${summary.dependents} dependent(s) re-enriched, ${summary.packed} file(s) packed.`,
+		);
+		return summary;
+	}
+
+	/**
+	 * Runs the whole pipeline without writing the output and reports whether
+	 * the output on disk matches what it would write.
+	 * @returns {Promise<{upToDate: boolean, stale: Array<string>}>}
+	 */
+	async checkAll() {
+		await this.initializePlugins();
+		const files = await this.scanFiles();
+		const enriched = await this.enrichMetadata(files, { check: true });
+		const sorted = await this.sortFiles(enriched);
+		const { upToDate, stale } = await this.consolidateFiles(sorted, { check: true });
+		return { upToDate, stale };
+	}
 }
 
 module.exports = LlmPackAPI;
@@ -9,10 +9,99 @@ const { Command } = require('commander');
 const path = require('path');
 const Logger = require('../utils/logger');
 const LlmPackAPI = require('../api/api');
+const StrategyRegistry = require('../core/strategyRegistry');
+const ScanTreeFormatter = require('../output/formatters/scanTreeFormatter');
 const interactiveCLI = require('./interactive');
 
 const program = new Command();
 
+/**
+ * Parses a whole-number option. CLI overrides are applied after the config
+ * file is validated, so they are checked here.
+ * @param {string} value - The option's value.
+ * @param {string} flag - The option, for the error message.
+ * @param {number} [min=1] - Smallest allowed value.
+ * @returns {number}
+ * @throws {Error} When the value is not a whole number of at least `min`.
+ */
+function parseCount(value, flag, min = 1) {
+  const number = Number(value);
+  if (!/^\d+$/.test(String(value).trim()) || number < min) {
+    const kind = min === 0 ? 'a non-negative integer' : 'a positive integer';
+    throw new Error(`${flag} must be ${kind}, got "${value}".`);
+  }
+  return number;
+}
+
+/**
+ * Builds an API config override from CLI options, leaving out anything not
+ * given on the command line so .llm-pack.config.json values still apply.
+ * @param {Object} options - Parsed commander options.
+ * @returns {Object} - Config override for LlmPackAPI.
+ */
+function buildConfigOverride(options) {
+  const override = {};
+  if (options.strategy) override.sortingStrategy = options.strategy;
+  if (options.order) {
+    override.sortOrder = options.order;
+    // An explicit --order also wins over the strategy's own options in the config file.
+    if (options.strategy) override.strategyOptions = { [options.strategy.toLowerCase()]: { order: options.order } };
+  }
+  if (options.query) {
+    if (!options.strategy) override.sortingStrategy = 'relevance';
+    const strategyOptions = override.strategyOptions || {};
+    override.strategyOptions = { ...strategyOptions, relevance: { ...strategyOptions.relevance, query: options.query } };
+  }
+  if (options.maxTokens !== undefined) override.maxTokens = parseCount(options.maxTokens, '--max-tokens');
+  if (options.budgetMode) override.tokenBudget = { mode: options.budgetMode };
+  if (options.chunkSize !== undefined || options.chunkUnit || options.format || options.preamble || options.toc) {
+    override.output = {};
+    if (options.chunkSize !== undefined) override.output.chunkSize = parseCount(options.chunkSize, '--chunk-size');
+    if (options.chunkUnit) override.output.chunkUnit = options.chunkUnit;
+    if (options.format) override.output.format = options.format;
+    if (options.preamble) override.output.preamble = true;
+    if (options.toc) override.output.toc = true;
+  }
+  if (options.since || options.staged || options.unstaged || options.hops !== undefined) {
+    override.git = {};
+    if (options.since) override.git.since = options.since;
+    if (options.staged) override.git.staged = true;
+    if (options.unstaged) override.git.unstaged = true;
+    if (options.hops !== undefined) override.git.hops = parseCount(options.hops, '--hops', 0);
+  }
+  if (options.changes) {
+    override.changes = { enabled: true };
+    if (typeof options.changes === 'string') override.changes.ref = options.changes;
+  }
+  // Globs given on the command line replace the lists in the config file
+  if (options.include) override.include = options.include;
+  if (options.exclude) override.exclude = options.exclude;
+  if (options.cache === false) override.cache = { enabled: false };
+  return override;
+}
+
+/**
+ * Reports the outcome of a --check run, exiting with status 1 when the
+ * output is out of date so it can gate CI.
+ * @param {{upToDate: boolean, stale: Array<string>}} result
+ */
+function reportCheck({ upToDate, stale }) {
+  if (upToDate) {
+    Logger.info('Output is up to date.');
+    return;
+  }
+  Logger.error(`Output is out of date. Stale files:\n${stale.map((file) => `  ${file}`).join('\n')}`);
+  process.exit(1);
+}
+
+/**
+ * Collects the values of a repeatable option, e.g. `--include a --include b`.
+ */
+function collect(value, previous = []) {
+  return previous.concat([value]);
+}
+
+
 program
   .name('llm-pack')
   .description('A CLI tool to optimize project files for LLM consumption.')
@@ -22,10 +111,18 @@ program
   .command('scan')
   .description('Scans the project for all non-ignored files.')
   .option('-r, --root <path>', 'Root directory of the project', process.cwd())
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--explain', 'Print a tree of included and excluded paths with the reason or ignore rule for each')
   .action(async (options) => {
     try {
       const { root } = options;
-      const api = new LlmPackAPI(path.resolve(root));
+      const api = new LlmPackAPI(path.resolve(root), buildConfigOverride(options));
+      if (options.explain) {
+        const { included, excluded } = await api.explainScan();
+        Logger.info(new ScanTreeFormatter().format({ rootDir: api.rootDir, included, excluded }));
+        return;
+      }
       const files = await api.scanFiles();
 
       Logger.info(`Found ${files.length} files:`);
@@ -40,17 +137,23 @@ program
   .command('enrich')
   .description('Enriches scanned files with metadata.')
   .option('-r, --root <path>', 'Root directory of the project', process.cwd())
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--no-cache', 'Analyse every file again instead of reusing cached metadata')
   .action(async (options) => {
     try {
       const { root } = options;
-      const api = new LlmPackAPI(path.resolve(root));
+      const api = new LlmPackAPI(path.resolve(root), buildConfigOverride(options));
       const files = await api.scanFiles();
       const enriched = await api.enrichMetadata(files);
 
       Logger.info(`Enriched ${enriched.length} files:`);
-      enriched.forEach((file) =>
-        Logger.info(`- ${file.relativePath} (Deps: ${file.metadata.dependencies.join(', ') || 'None'})`)
-      );
+      enriched.forEach((file) => {
+        const deps = (file.metadata.dependencyDetails || []).map((dep) =>
+          dep.resolved ? `${dep.specifier} [${dep.kind} -> ${dep.resolved}]` : `${dep.specifier} [${dep.kind}]`
+        );
+        Logger.info(`- ${file.relativePath} (Deps: ${deps.join(', ') || 'None'})`);
+      });
     } catch (error) {
       Logger.error(error.message);
       process.exit(1);
@@ -61,19 +164,31 @@ program
   .command('sort')
   .description('Sorts files using the configured strategy.')
   .option('-r, --root <path>', 'Root directory of the project', process.cwd())
-  .option('-s, --strategy <type>', 'Sorting strategy (lexical, dependency, size, type)', 'lexical')
-  .option('-o, --order <order>', 'Sort order (asc, desc)', 'asc')
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--no-cache', 'Analyse every file again instead of reusing cached metadata')
+  .option('-s, --strategy <name>', `Sorting strategy (${StrategyRegistry.createDefault().names().join(', ')}, one added by a plugin, or sort keys such as dir,type:desc,size)`)
+  .option('-o, --order <order>', 'Sort order (asc, desc)')
+  .option('-q, --query <text>', 'Rank files by relevance to <text> (implies --strategy relevance)')
+  .option('-l, --list', 'List the registered sorting strategies')
   .action(async (options) => {
     try {
-      const { root, strategy, order } = options;
-      const api = new LlmPackAPI(path.resolve(root));
+      const { root } = options;
+      const api = new LlmPackAPI(path.resolve(root), buildConfigOverride(options));
+      await api.initializePlugins();
+
+      if (options.list) {
+        api.strategyRegistry.list().forEach(({ name, description, source, requiredOptions }) => {
+          const requires = requiredOptions.length > 0 ? ` [requires ${requiredOptions.join(', ')}]` : '';
+          Logger.info(`${name.padEnd(12)} ${description}${requires}${source === 'built-in' ? '' : ` (${source})`}`);
+        });
+        return;
+      }
+      api.strategyRegistry.resolve(api.config.sortingStrategy || 'lexical');
+
       const files = await api.scanFiles();
       const enriched = await api.enrichMetadata(files);
-      const configOverride = {
-        sortingStrategy: strategy,
-        sortOrder: order,
-      };
-      const sorted = api.sortFiles(enriched, configOverride);
+      const sorted = await api.sortFiles(enriched);
 
       Logger.info('Sorted files order:');
       sorted.forEach((file) => Logger.info(file.relativePath));
@@ -85,15 +200,37 @@ program
 
 program
   .command('consolidate')
-  .description('Consolidates files into a single Markdown document.')
+  .description('Consolidates files into a single Markdown, XML or JSON document.')
   .option('-r, --root <path>', 'Root directory of the project', process.cwd())
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--no-cache', 'Analyse every file again instead of reusing cached metadata')
+  .option('-q, --query <text>', 'Rank files by relevance to <text> (implies --strategy relevance)')
+  .option('--max-tokens <n>', 'Fit the pack into at most <n> tokens')
+  .option('--budget-mode <mode>', 'How to cut files over budget (drop, truncate, summarize)')
+  .option('--chunk-size <n>', 'Split the output into numbered chunks of at most <n> bytes or tokens')
+  .option('--chunk-unit <unit>', 'Unit of --chunk-size (bytes, tokens)')
+  .option('--format <format>', 'Output format (markdown, xml, json, jsonl, or one added by a plugin)')
+  .option('--preamble', 'Open the pack with a project overview: directory tree, file types and totals')
+  .option('--toc', 'Add a table of contents linking every file, grouped by directory')
+  .option('--since <ref>', 'Only pack files changed since a git ref, plus their dependency neighbours')
+  .option('--staged', 'Only pack staged changes, plus their dependency neighbours')
+  .option('--unstaged', 'Only pack unstaged changes and untracked files, plus their dependency neighbours')
+  .option('--hops <n>', 'Dependency hops to expand changed files by (default 1)')
+  .option('--changes [ref]', 'Append commits and diffs since <ref> (default: --since, then HEAD)')
+  .option('--check', 'Check that the existing output is up to date instead of writing it')
   .action(async (options) => {
     try {
       const { root } = options;
-      const api = new LlmPackAPI(path.resolve(root));
+      const api = new LlmPackAPI(path.resolve(root), buildConfigOverride(options));
+      if (options.check) {
+        reportCheck(await api.checkAll());
+        return;
+      }
+      await api.initializePlugins();
       const files = await api.scanFiles();
       const enriched = await api.enrichMetadata(files);
-      const sorted = api.sortFiles(enriched);
+      const sorted = await api.sortFiles(enriched);
       await api.consolidateFiles(sorted);
       Logger.info('Consolidation complete. Check the .llm-pack folder for output.');
     } catch (error) {
@@ -106,22 +243,40 @@ program
   .command('run')
   .description('Runs the full pipeline: scan, enrich, sort, and consolidate.')
   .option('-r, --root <path>', 'Root directory of the project', process.cwd())
-  .option('-s, --strategy <type>', 'Sorting strategy (lexical, dependency, size, type)', 'lexical')
-  .option('-o, --order <order>', 'Sort order (asc, desc)', 'asc')
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--no-cache', 'Analyse every file again instead of reusing cached metadata')
+  .option('-s, --strategy <name>', 'Sorting strategy or sort keys such as dir,type:desc,size (see `llm-pack sort --list`)')
+  .option('-q, --query <text>', 'Rank files by relevance to <text> (implies --strategy relevance)')
+  .option('-o, --order <order>', 'Sort order (asc, desc)')
+  .option('--max-tokens <n>', 'Fit the pack into at most <n> tokens')
+  .option('--budget-mode <mode>', 'How to cut files over budget (drop, truncate, summarize)')
+  .option('--chunk-size <n>', 'Split the output into numbered chunks of at most <n> bytes or tokens')
+  .option('--chunk-unit <unit>', 'Unit of --chunk-size (bytes, tokens)')
+  .option('--format <format>', 'Output format (markdown, xml, json, jsonl, or one added by a plugin)')
+  .option('--preamble', 'Open the pack with a project overview: directory tree, file types and totals')
+  .option('--toc', 'Add a table of contents linking every file, grouped by directory')
+  .option('--since <ref>', 'Only pack files changed since a git ref, plus their dependency neighbours')
+  .option('--staged', 'Only pack staged changes, plus their dependency neighbours')
+  .option('--unstaged', 'Only pack unstaged changes and untracked files, plus their dependency neighbours')
+  .option('--hops <n>', 'Dependency hops to expand changed files by (default 1)')
+  .option('--changes [ref]', 'Append commits and diffs since <ref> (default: --since, then HEAD)')
+  .option('--check', 'Check that the existing output is up to date instead of writing it')
   .action(async (options) => {
     try {
+      if (options.check) {
+        const api = new LlmPackAPI(path.resolve(options.root), buildConfigOverride(options));
+        reportCheck(await api.checkAll());
+        return;
+      }
       console.log('Starting LLM-Pack pipeline...');
       console.log(`Working directory: ${options.root}`);
       
-      const { root, strategy, order } = options;
-      const api = new LlmPackAPI(path.resolve(root));
-      const configOverride = {
-        sortingStrategy: strategy,
-        sortOrder: order,
-      };
+      const { root } = options;
+      const api = new LlmPackAPI(path.resolve(root), buildConfigOverride(options));
 
       console.log('Scanning files...');
-      await api.runAll(configOverride);
+      await api.runAll();
       
       console.log('Pipeline execution complete.');
       console.log(`Output directory: ${path.join(options.root, '.llm-pack')}`);
@@ -132,6 +287,57 @@ program
     }
   });
 
+program
+  .command('watch')
+  .description('Builds the pack and rebuilds it whenever files change.')
+  .option('-r, --root <path>', 'Root directory of the project', process.cwd())
+  .option('--include <glob>', 'Only pack files matching <glob> (repeatable)', collect)
+  .option('--exclude <glob>', 'Leave out files and directories matching <glob> (repeatable)', collect)
+  .option('--no-cache', 'Analyse every file again instead of reusing cached metadata')
+  .option('-s, --strategy <name>', 'Sorting strategy or sort keys such as dir,type:desc,size (see `llm-pack sort --list`)')
+  .option('-q, --query <text>', 'Rank files by relevance to <text> (implies --strategy relevance)')
+  .option('-o, --order <order>', 'Sort order (asc, desc)')
+  .option('--max-tokens <n>', 'Fit the pack into at most <n> tokens')
+  .option('--budget-mode <mode>', 'How to cut files over budget (drop, truncate, summarize)')
+  .option('--chunk-size <n>', 'Split the output into numbered chunks of at most <n> bytes or tokens')
+  .option('--chunk-unit <unit>', 'Unit of --chunk-size (bytes, tokens)')
+  .option('--format <format>', 'Output format (markdown, xml, json, jsonl, or one added by a plugin)')
+  .option('--preamble', 'Open the pack with a project overview: directory tree, file types and totals')
+  .option('--toc', 'Add a table of contents linking every file, grouped by directory')
+  .option('--debounce <ms>', 'Wait for changes to settle this long before rebuilding', '300')
+  .action(async (options) => {
+    try {
+      const api = new LlmPackAPI(path.resolve(options.root), buildConfigOverride(options));
+      const watcher = await api.watch({ debounce: parseCount(options.debounce, '--debounce', 0) });
+      Logger.info(`Watching ${api.rootDir} for changes. Press Ctrl+C to stop.`);
+      process.once('SIGINT', async () => {
+        await watcher.close();
+        process.exit(0);
+      });
+    } catch (error) {
+      Logger.error(error.message);
+      process.exit(1);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manages the metadata cache in the output directory.');
+
+cacheCommand
+  .command('clear')
+  .description('Deletes the metadata cache, so the next run analyses every file again.')
+  .option('-r, --root <path>', 'Root directory of the project', process.cwd())
+  .action(async (options) => {
+    try {
+      const api = new LlmPackAPI(path.resolve(options.root));
+      await api.clearCache();
+    } catch (error) {
+      Logger.error(error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('interactive')
   .description('Launches the interactive CLI mode.')
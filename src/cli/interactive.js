@@ -7,6 +7,7 @@ const inquirer = require('inquirer');
 const path = require('path');
 const Logger = require('../utils/logger');
 const LlmPackAPI = require('../api/api');
+const StrategyRegistry = require('../core/strategyRegistry');
 
 async function interactiveCLI() {
   try {
@@ -23,7 +24,11 @@ async function interactiveCLI() {
         name: 'sortingStrategy',
         type: 'list',
         message: 'Choose a sorting strategy:',
-        choices: ['lexical', 'dependency', 'size', 'type'],
+        // Strategies such as relevance need options the prompt does not ask for
+        choices: StrategyRegistry.createDefault()
+          .list()
+          .filter((strategy) => strategy.requiredOptions.length === 0)
+          .map((strategy) => strategy.name),
         default: 'lexical',
       },
       {
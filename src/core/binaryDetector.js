@@ -0,0 +1,201 @@
+// src/core/binaryDetector.js
+const crypto = require('crypto');
+const path = require('path');
+const { TextDecoder } = require('util');
+
+const SAMPLE_SIZE = 8000;
+const MAX_CONTROL_RATIO = 0.1;
+
+// Extensions that are binary whatever their content looks like, with the
+// type reported for them when the content has no recognizable signature.
+const BINARY_EXTENSIONS = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.psd': 'image/vnd.adobe.photoshop',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.avi': 'video/x-msvideo',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.jar': 'application/java-archive',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  '.tar': 'application/x-tar',
+  '.wasm': 'application/wasm',
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.dll': 'application/vnd.microsoft.portable-executable',
+  '.so': 'application/x-sharedlib',
+  '.dylib': 'application/x-mach-binary',
+  '.o': 'application/x-object',
+  '.a': 'application/x-archive',
+  '.class': 'application/java-vm',
+  '.pyc': 'application/x-python-code',
+  '.node': 'application/x-sharedlib',
+  '.pack': 'application/x-git-pack',
+  '.idx': 'application/x-git-index',
+  '.sqlite': 'application/vnd.sqlite3',
+  '.db': 'application/octet-stream',
+  '.bin': 'application/octet-stream',
+};
+
+// Leading bytes of common binary formats.
+const SIGNATURES = [
+  [[0x89, 0x50, 0x4e, 0x47], 'image/png'],
+  [[0xff, 0xd8, 0xff], 'image/jpeg'],
+  [[0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [[0x25, 0x50, 0x44, 0x46], 'application/pdf'],
+  [[0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [[0x1f, 0x8b], 'application/gzip'],
+  [[0x77, 0x4f, 0x46, 0x46], 'font/woff'],
+  [[0x77, 0x4f, 0x46, 0x32], 'font/woff2'],
+  [[0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+  [[0x7f, 0x45, 0x4c, 0x46], 'application/x-elf'],
+  [[0x50, 0x41, 0x43, 0x4b], 'application/x-git-pack'],
+];
+
+/**
+ * BinaryDetector
+ * Tells text files from binary ones by sniffing their content: a known binary
+ * extension or signature, a NUL byte or a high share of control characters
+ * in the first few kilobytes mark a file as binary. Text is decoded as UTF-8,
+ * UTF-16 when it starts with a byte order mark, or Latin-1 when it is not
+ * valid UTF-8.
+ */
+class BinaryDetector {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.extensions] - Extra extensions to treat as binary, e.g. ['.dat'].
+   */
+  constructor(options = {}) {
+    this.extensions = new Set([
+      ...Object.keys(BINARY_EXTENSIONS),
+      ...(options.extensions || []).map((ext) => ext.toLowerCase()),
+    ]);
+  }
+
+  /**
+   * Classifies a file's content.
+   * @param {Buffer} buffer - File content.
+   * @param {string} filePath - Path of the file, for its extension.
+   * @returns {{binary: boolean, encoding: string|null, reason: string|null}}
+   */
+  detect(buffer, filePath) {
+    if (this.extensions.has(path.extname(filePath).toLowerCase())) {
+      return { binary: true, encoding: null, reason: 'binary extension' };
+    }
+
+    const bom = BinaryDetector.detectBom(buffer);
+    if (bom) {
+      return { binary: false, encoding: bom, reason: null };
+    }
+    if (BinaryDetector.matchSignature(buffer)) {
+      return { binary: true, encoding: null, reason: 'binary signature' };
+    }
+
+    const sample = buffer.subarray(0, SAMPLE_SIZE);
+    if (sample.includes(0)) {
+      return { binary: true, encoding: null, reason: 'NUL byte' };
+    }
+    if (BinaryDetector.controlRatio(sample) > MAX_CONTROL_RATIO) {
+      return { binary: true, encoding: null, reason: 'control characters' };
+    }
+    const truncated = buffer.length > sample.length;
+    return { binary: false, encoding: BinaryDetector.isUtf8(sample, truncated) ? 'utf8' : 'latin1', reason: null };
+  }
+
+  /**
+   * Decodes text content in the encoding `detect` found, without any BOM.
+   * @param {Buffer} buffer
+   * @param {string} encoding - 'utf8', 'utf16le', 'utf16be' or 'latin1'.
+   * @returns {string}
+   */
+  decode(buffer, encoding) {
+    if (encoding === 'utf16be') {
+      const swapped = Buffer.from(buffer.subarray(2));
+      swapped.swap16();
+      return swapped.toString('utf16le');
+    }
+    if (encoding === 'utf16le') return buffer.subarray(2).toString('utf16le');
+    const text = buffer.toString(encoding);
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  }
+
+  /**
+   * Summarizes a binary file for a stub entry.
+   * @param {Buffer} buffer
+   * @param {string} filePath
+   * @returns {{type: string, size: number, hash: string}} - MIME type, size in bytes and SHA-256.
+   */
+  describe(buffer, filePath) {
+    return {
+      type:
+        BinaryDetector.matchSignature(buffer) ||
+        BINARY_EXTENSIONS[path.extname(filePath).toLowerCase()] ||
+        'application/octet-stream',
+      size: buffer.length,
+      hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    };
+  }
+
+  static detectBom(buffer) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf8';
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf16le';
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf16be';
+    return null;
+  }
+
+  static matchSignature(buffer) {
+    const match = SIGNATURES.find(([bytes]) => bytes.every((byte, index) => buffer[index] === byte));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Share of bytes that are control characters other than whitespace.
+   */
+  static controlRatio(sample) {
+    if (sample.length === 0) return 0;
+    let control = 0;
+    for (const byte of sample) {
+      if ((byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) || byte === 0x7f) {
+        control++;
+      }
+    }
+    return control / sample.length;
+  }
+
+  static isUtf8(sample, truncated = false) {
+    try {
+      // `stream` tolerates a multi-byte character cut off where the sample ends
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: truncated });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+BinaryDetector.BINARY_EXTENSIONS = BINARY_EXTENSIONS;
+
+module.exports = BinaryDetector;
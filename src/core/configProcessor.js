@@ -20,14 +20,59 @@ class ConfigProcessor {
     this.rootDir = rootDir;
     this.configFilePath = path.join(rootDir, configFileName);
     this.defaultConfig = {
-      sortingStrategy: 'lexical', // could be 'lexical', 'custom', etc.
+      sortingStrategy: 'lexical', // built-in: 'lexical', 'size', 'type', 'dependency'; plugins can add more
+      strategyOptions: {}, // per-strategy options keyed by strategy name, e.g. { size: { order: 'desc' } }
+      include: [], // globs files must match to be packed, e.g. ['src/**/*.js', 'docs/*.md']; empty packs all
+      exclude: [], // globs of files and directories to leave out
+      ignore: {
+        nested: true, // also read .gitignore and .llm-pack.ignore files in subdirectories
+        gitExcludes: true, // apply .git/info/exclude, core.excludesFile and .gitignore files above the root
+        skipDefaults: true, // always skip .git and node_modules
+      },
+      scan: {
+        maxFileSize: null, // skip files larger than this many bytes
+        skipGenerated: true, // skip lockfiles, source maps and minified or generated code
+        followSymlinks: false, // follow symbolic links that stay inside the project
+        binary: {
+          mode: 'exclude', // 'exclude' binary files or replace them with a 'stub' (type, size, hash)
+          extensions: [], // extra extensions to treat as binary, e.g. ['.dat']
+        },
+      },
       metadata: {
         enrichDescriptions: true,
         detectDependencies: true,
+        resolve: {
+          extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json'],
+          tsconfig: null, // defaults to tsconfig.json, then jsconfig.json
+        },
+      },
+      cache: {
+        enabled: true, // reuse the metadata of unchanged files from <output.dir>/cache
       },
       output: {
         dir: '.llm-pack',
         fileName: 'consolidated_output.md',
+        chunkSize: null, // split output into numbered chunks of at most this size
+        chunkUnit: 'bytes', // 'bytes' or 'tokens'
+        format: 'markdown', // 'markdown', 'xml', 'json', 'jsonl' or a plugin format
+        preamble: false, // open the pack with a project overview: tree, file types and totals
+        toc: false, // add a table of contents linking every file (markdown)
+      },
+      maxTokens: null, // Token budget for the whole pack; null means unlimited
+      tokenBudget: {
+        mode: 'drop', // 'drop', 'truncate' or 'summarize' the lowest-priority files
+        tokenizer: 'approximate', // built-in name or path to a tokenizer module
+      },
+      git: {
+        since: null, // pack only files changed since this ref
+        staged: false, // ...or only staged changes
+        unstaged: false, // ...or only unstaged changes and untracked files
+        hops: 1, // also pack files this many dependency hops from a changed file
+      },
+      changes: {
+        enabled: false, // append a "Changes" section with commits and diffs
+        ref: null, // ref to diff against; defaults to git.since, then HEAD
+        context: 3, // lines of context around each change
       },
       // Additional default settings can be added here
     };
@@ -101,6 +146,47 @@ class ConfigProcessor {
     if (config.sortingStrategy && typeof config.sortingStrategy !== 'string') {
       throw new Error('sortingStrategy must be a string.');
     }
+    if (config.strategyOptions !== undefined) {
+      const { strategyOptions } = config;
+      const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+      if (!isObject(strategyOptions) || !Object.values(strategyOptions).every(isObject)) {
+        throw new Error('strategyOptions must map strategy names to option objects.');
+      }
+    }
+    ['include', 'exclude'].forEach((key) => {
+      const globs = config[key];
+      if (globs !== undefined && (!Array.isArray(globs) || globs.some((glob) => typeof glob !== 'string'))) {
+        throw new Error(`${key} must be an array of glob strings.`);
+      }
+    });
+    if (config.ignore) {
+      ['nested', 'gitExcludes', 'skipDefaults'].forEach((key) => {
+        if (config.ignore[key] !== undefined && typeof config.ignore[key] !== 'boolean') {
+          throw new Error(`ignore.${key} must be a boolean.`);
+        }
+      });
+    }
+    if (config.scan) {
+      const { maxFileSize, skipGenerated, followSymlinks } = config.scan;
+      if (maxFileSize !== undefined && maxFileSize !== null && (!Number.isInteger(maxFileSize) || maxFileSize <= 0)) {
+        throw new Error('scan.maxFileSize must be a positive integer.');
+      }
+      if (skipGenerated !== undefined && typeof skipGenerated !== 'boolean') {
+        throw new Error('scan.skipGenerated must be a boolean.');
+      }
+      if (followSymlinks !== undefined && typeof followSymlinks !== 'boolean') {
+        throw new Error('scan.followSymlinks must be a boolean.');
+      }
+    }
+    if (config.scan && config.scan.binary) {
+      const { mode, extensions } = config.scan.binary;
+      if (mode !== undefined && !['exclude', 'stub'].includes(mode)) {
+        throw new Error('scan.binary.mode must be one of: exclude, stub.');
+      }
+      if (extensions !== undefined && (!Array.isArray(extensions) || extensions.some((ext) => typeof ext !== 'string'))) {
+        throw new Error('scan.binary.extensions must be an array of strings.');
+      }
+    }
     if (config.metadata) {
       if (config.metadata.enrichDescriptions !== undefined && typeof config.metadata.enrichDescriptions !== 'boolean') {
         throw new Error('metadata.enrichDescriptions must be a boolean.');
@@ -108,6 +194,15 @@ class ConfigProcessor {
       if (config.metadata.detectDependencies !== undefined && typeof config.metadata.detectDependencies !== 'boolean') {
         throw new Error('metadata.detectDependencies must be a boolean.');
       }
+      if (config.metadata.resolve) {
+        const { extensions, tsconfig } = config.metadata.resolve;
+        if (extensions !== undefined && (!Array.isArray(extensions) || extensions.some((ext) => typeof ext !== 'string'))) {
+          throw new Error('metadata.resolve.extensions must be an array of strings.');
+        }
+        if (tsconfig !== undefined && tsconfig !== null && typeof tsconfig !== 'string') {
+          throw new Error('metadata.resolve.tsconfig must be a string.');
+        }
+      }
     }
     if (config.output) {
       if (config.output.dir && typeof config.output.dir !== 'string') {
@@ -116,6 +211,68 @@ class ConfigProcessor {
       if (config.output.fileName && typeof config.output.fileName !== 'string') {
         throw new Error('output.fileName must be a string.');
       }
+      if (
+        config.output.chunkSize !== undefined &&
+        config.output.chunkSize !== null &&
+        (!Number.isInteger(config.output.chunkSize) || config.output.chunkSize <= 0)
+      ) {
+        throw new Error('output.chunkSize must be a positive integer.');
+      }
+      if (config.output.chunkUnit && !['bytes', 'tokens'].includes(config.output.chunkUnit)) {
+        throw new Error('output.chunkUnit must be one of: bytes, tokens.');
+      }
+      // Formats are checked once plugins have registered theirs
+      if (config.output.format !== undefined && typeof config.output.format !== 'string') {
+        throw new Error('output.format must be a string.');
+      }
+      if (config.output.preamble !== undefined && typeof config.output.preamble !== 'boolean') {
+        throw new Error('output.preamble must be a boolean.');
+      }
+      if (config.output.toc !== undefined && typeof config.output.toc !== 'boolean') {
+        throw new Error('output.toc must be a boolean.');
+      }
+    }
+    if (config.maxTokens !== undefined && config.maxTokens !== null) {
+      if (!Number.isInteger(config.maxTokens) || config.maxTokens <= 0) {
+        throw new Error('maxTokens must be a positive integer.');
+      }
+    }
+    if (config.tokenBudget) {
+      if (config.tokenBudget.mode && !['drop', 'truncate', 'summarize'].includes(config.tokenBudget.mode)) {
+        throw new Error('tokenBudget.mode must be one of: drop, truncate, summarize.');
+      }
+      if (config.tokenBudget.tokenizer && typeof config.tokenBudget.tokenizer !== 'string') {
+        throw new Error('tokenBudget.tokenizer must be a string.');
+      }
+    }
+    if (config.git) {
+      if (config.git.since !== undefined && config.git.since !== null && typeof config.git.since !== 'string') {
+        throw new Error('git.since must be a string.');
+      }
+      ['staged', 'unstaged'].forEach((key) => {
+        if (config.git[key] !== undefined && typeof config.git[key] !== 'boolean') {
+          throw new Error(`git.${key} must be a boolean.`);
+        }
+      });
+      if (config.git.hops !== undefined && (!Number.isInteger(config.git.hops) || config.git.hops < 0)) {
+        throw new Error('git.hops must be a non-negative integer.');
+      }
+    }
+    if (config.cache) {
+      if (config.cache.enabled !== undefined && typeof config.cache.enabled !== 'boolean') {
+        throw new Error('cache.enabled must be a boolean.');
+      }
+    }
+    if (config.changes) {
+      if (config.changes.enabled !== undefined && typeof config.changes.enabled !== 'boolean') {
+        throw new Error('changes.enabled must be a boolean.');
+      }
+      if (config.changes.ref !== undefined && config.changes.ref !== null && typeof config.changes.ref !== 'string') {
+        throw new Error('changes.ref must be a string.');
+      }
+      if (config.changes.context !== undefined && (!Number.isInteger(config.changes.context) || config.changes.context < 0)) {
+        throw new Error('changes.context must be a non-negative integer.');
+      }
     }
     return config;
   }
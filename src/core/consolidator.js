@@ -1,10 +1,40 @@
+const fsSync = require('fs');
 const fs = require('fs').promises;
 const path = require('path');
 const Logger = require('../utils/logger');
 const FileProcessor = require('./fileProcessor');
 const MetricsCollector = require('./metricsCollector');
+const { createTokenizer } = require('./tokenizers');
+const countLines = require('../utils/countLines');
+const formatTree = require('../utils/formatTree');
+const slugify = require('../utils/slugify');
+const comparePaths = require('../utils/comparePaths');
+const FormatterRegistry = require('../output/formatterRegistry');
+const OutputManager = require('../output/outputManager');
+
+const CHUNK_UNITS = ['bytes', 'tokens'];
 
 class Consolidator {
+	/**
+	 * @param {Object} options
+	 * @param {string} [options.outputDir='.llm-pack'] - Directory the output is written to.
+	 * @param {string} [options.outputFileName='output.md'] - Output file name; the chunk index when chunking.
+	 * @param {number} [options.chunkSize] - Maximum size of each chunk; output is a single file when unset.
+	 * @param {string} [options.chunkUnit='bytes'] - Unit of chunkSize: 'bytes' or 'tokens'.
+	 * @param {string|Object} [options.tokenizer] - Tokenizer used when chunkUnit is 'tokens' and
+	 *   to estimate the tokens in the preamble.
+	 * @param {string} [options.rootDir] - Project root; tokenizer module paths are resolved against
+	 *   it and it names the project in the summary of the JSON formats.
+	 * @param {string} [options.format='markdown'] - Name of a built-in format: 'markdown', 'xml',
+	 *   'json' or 'jsonl'.
+	 * @param {Formatter} [options.formatter] - Formatter to use instead of a built-in format,
+	 *   e.g. one from a FormatterRegistry with plugin formats.
+	 * @param {boolean} [options.preamble=false] - Open the pack with a project overview: a tree
+	 *   of the packed files, counts by type, totals and the sorting strategy.
+	 * @param {string} [options.sortingStrategy] - Sorting strategy to name in the preamble.
+	 * @param {boolean} [options.toc=false] - Add a table of contents linking every file; in a
+	 *   chunked pack it goes in the index.
+	 */
 	constructor(options = {}) {
 		this.outputDir = this.normalizeOutputDir(options.outputDir);
 		this.outputFileName = options.outputFileName || 'output.md';
@@ -12,6 +42,26 @@ class Consolidator {
 			this.outputDir,
 			this.outputFileName,
 		);
+		this.chunkSize = options.chunkSize || null;
+		this.chunkUnit = options.chunkUnit || 'bytes';
+		if (!CHUNK_UNITS.includes(this.chunkUnit)) {
+			throw new Error(
+				`Invalid chunk unit "${this.chunkUnit}". Expected one of: ${CHUNK_UNITS.join(', ')}.`,
+			);
+		}
+		this.formatter =
+			options.formatter || FormatterRegistry.createDefault().create(options.format || 'markdown');
+		this.outputManager = new OutputManager({
+			outputDir: this.outputDir,
+			formatter: this.formatter,
+		});
+		this.rootDir = options.rootDir || null;
+		this.preamble = options.preamble === true;
+		this.sortingStrategy = options.sortingStrategy || null;
+		this.toc = options.toc === true;
+		if ((this.chunkSize && this.chunkUnit === 'tokens') || this.preamble) {
+			this.tokenizer = createTokenizer(options.tokenizer, options.rootDir);
+		}
 		this.fileProcessor = new FileProcessor({
 			...options,
 			outputDir: this.outputDir,
@@ -48,7 +98,17 @@ class Consolidator {
 		}
 	}
 
-	async consolidate(files) {
+	/**
+	 * Processes the files and writes the consolidated output.
+	 * @param {Array<Object>} files - Sorted, enriched file objects.
+	 * @param {Object} [options]
+	 * @param {Object} [options.budgetReport] - Report from TokenBudget.apply, appended to the output.
+	 * @param {string} [options.changes] - Formatted "Changes" section appended after the files.
+	 * @param {boolean} [options.check] - Compare the output with what is on disk instead of
+	 *   writing it; the result then has `upToDate` and the `stale` output paths.
+	 * @returns {Promise<Object>} - Result and metrics of the consolidation.
+	 */
+	async consolidate(files, options = {}) {
 		if (!Array.isArray(files)) {
 			throw new Error('Files must be provided as an array');
 		}
@@ -56,14 +116,18 @@ class Consolidator {
 		const timer = this.metrics.startTimer('consolidation');
 
 		try {
-			await this.ensureOutputDirectory();
-
-			const processed = await this.fileProcessor.processFiles(files);
+			let processed;
+			if (options.check) {
+				processed = { results: files.filter((file) => file && typeof file.path === 'string'), metrics: {} };
+			} else {
+				await this.ensureOutputDirectory();
+				processed = await this.fileProcessor.processFiles(files);
+			}
 			if (!processed || !processed.results) {
 				throw new Error('File processing failed to return results');
 			}
 
-			const result = await this.createOutput(processed.results);
+			const result = await this.createOutput(processed.results, options);
 
 			timer();
 			return {
@@ -79,18 +143,56 @@ class Consolidator {
 		}
 	}
 
-	async createOutput(results) {
+	/**
+	 * Writes the files in the output format, streaming each one to disk.
+	 * @param {Array<Object>} results - Files to write, in order.
+	 * @param {Object} [options] - See consolidate().
+	 * @returns {Promise<Object>}
+	 */
+	async createOutput(results, options = {}) {
 		try {
-			const content = results
-				.filter((file) => file && file.fileName) // Filter out invalid files
-				.map((file) => {
-					const header = this.formatHeader(file);
-					const body = this.formatContent(file);
-					return `${header}${body}`;
-				})
-				.join('\n');
-
-			await fs.writeFile(this.outputFilePath, content, 'utf8');
+			// Filter out invalid files
+			const files = this.assignAnchors(results.filter((file) => file && file.fileName));
+			const project = this.describeProject(files, options);
+			const { preamble, changes, budgetNote } = this.formatSections(project, options);
+
+			if (this.chunkSize) {
+				return await this.createChunkedOutput(
+					files,
+					project,
+					{ preamble, changes, budgetNote },
+					results,
+					options,
+				);
+			}
+
+			const check = Boolean(options.check);
+			// Chunks of an earlier chunked run would otherwise sit next to the new pack
+			const leftover = check ? await this.findChunkFiles() : [];
+			if (!check) await this.removeStaleChunks();
+			const document = await this.outputManager.begin(this.outputFilePath, project, { check });
+			let upToDate;
+			try {
+				if (preamble) await this.outputManager.add(document, preamble);
+				const contents = this.toc
+					? this.formatter.formatTableOfContents(this.listContents(files), project)
+					: null;
+				if (contents) await this.outputManager.add(document, contents);
+				for (const file of files) {
+					await this.outputManager.add(document, this.formatter.formatFile(file));
+				}
+				for (const text of [changes, budgetNote]) {
+					if (text) await this.outputManager.add(document, text);
+				}
+				upToDate = await this.outputManager.end(document);
+			} catch (error) {
+				await document.sink.abort();
+				throw error;
+			}
+
+			if (check) {
+				return { ...this.reportCheck([...(upToDate ? [] : [this.outputFilePath]), ...leftover]), results };
+			}
 			Logger.info(`Files consolidated successfully to ${this.outputFilePath}`);
 			return { success: true, results };
 		} catch (error) {
@@ -99,28 +201,389 @@ class Consolidator {
 		}
 	}
 
-	formatHeader(file) {
-		const {
-			fileName,
-			relativePath,
-			metadata = { description: '', dependencies: [] },
-		} = file;
-		const description = metadata.description || 'No description available.';
-		const dependencies =
-			metadata.dependencies && metadata.dependencies.length > 0
-				? metadata.dependencies.join(', ')
-				: 'None';
+	/**
+	 * Formats the preamble, the "Changes" section and the budget report; each
+	 * is null when the pack leaves it out.
+	 * @param {Object} project - See describeProject().
+	 * @param {Object} [options] - See consolidate().
+	 * @returns {{preamble: ?string, changes: ?string, budgetNote: ?string}}
+	 */
+	formatSections(project, options = {}) {
+		return {
+			preamble: project.overview ? this.formatter.formatPreamble(project) : null,
+			changes: options.changes ? this.formatter.formatSection('changes', options.changes) : null,
+			budgetNote:
+				options.budgetReport && options.budgetReport.cut.length > 0
+					? this.formatter.formatBudgetReport(options.budgetReport)
+					: null,
+		};
+	}
+
+	/**
+	 * Formats what a single output file of these files holds besides the
+	 * files themselves: header, footer, preamble, table of contents, sections
+	 * and the separators between them. A TokenBudget reserves room for it;
+	 * measured before any file is cut, it is an upper bound.
+	 * @param {Array<Object>} files - The files being packed.
+	 * @param {Object} [options] - See consolidate().
+	 * @returns {string}
+	 */
+	formatFrame(files, options = {}) {
+		const packed = this.assignAnchors(files.filter((file) => file && file.fileName));
+		const project = this.describeProject(packed, options);
+		const { preamble, changes, budgetNote } = this.formatSections(project, options);
+		const contents = this.toc
+			? this.formatter.formatTableOfContents(this.listContents(packed), project)
+			: null;
+		const sections = [preamble, contents, changes, budgetNote].filter(Boolean);
+		const separator = this.formatter.formatSeparator();
+		const separators = separator.repeat(Math.max(0, sections.length + packed.length - 1));
+		return `${this.formatter.formatHeader(project)}${sections.join('\n')}${separators}${this.formatter.formatFooter(project)}`;
+	}
+
+	/**
+	 * Writes the files into numbered chunk files of at most chunkSize each,
+	 * plus an index at outputFilePath listing the files in every chunk.
+	 * A file or section is only split across chunks when it alone exceeds
+	 * the limit. The preamble, if any, opens the first chunk, the table of
+	 * contents follows the index and the "Changes" section gets a chunk of
+	 * its own.
+	 */
+	async createChunkedOutput(files, project, { preamble, changes, budgetNote }, results, options = {}) {
+		const check = Boolean(options.check);
+		const capacity = this.getChunkCapacity(project);
+		const separatorSize = this.measure(this.formatter.formatSeparator());
+		const chunks = [];
+		const stale = [];
+		let current = null;
+
+		const finishChunk = async () => {
+			if (!current || !current.open) return;
+			if (!(await this.outputManager.end(current.document))) {
+				stale.push(current.document.filePath);
+			}
+			current.open = false;
+		};
+		const startChunk = async () => {
+			await finishChunk();
+			const fileName = this.getChunkFileName(chunks.length + 1);
+			current = {
+				fileName,
+				entries: [],
+				size: 0,
+				open: true,
+				document: await this.outputManager.begin(path.join(this.outputDir, fileName), project, { check }),
+			};
+			chunks.push(current);
+		};
+		const add = async (text, entry) => {
+			await this.outputManager.add(current.document, text);
+			if (entry) current.entries.push(entry);
+			current.size += this.measure(text) + separatorSize;
+		};
+		// Sections that are not files get the same size check, split between
+		// lines when one alone exceeds the limit
+		const addSection = async (text, entry) => {
+			const size = this.measure(text) + separatorSize;
+			if (size <= capacity) {
+				if (!current || current.size + size > capacity) await startChunk();
+				await add(text, entry);
+				return;
+			}
+			const parts = this.splitLines(text, Math.max(1, capacity - separatorSize));
+			for (const [index, part] of parts.entries()) {
+				if (!current || current.size > 0) await startChunk();
+				await add(part, entry && { label: `${entry.label} (part ${index + 1} of ${parts.length})` });
+			}
+		};
 
-		return `# ${fileName}\n**Path**: \`${relativePath}\`\n**Description**: ${description}\n**Dependencies**: ${dependencies}\n\n`;
+		try {
+			if (!check) await this.removeStaleChunks();
+			if (preamble) {
+				await addSection(preamble, { label: 'Overview' });
+			}
+			for (const file of files) {
+				const text = this.formatter.formatFile(file);
+				const size = this.measure(text) + separatorSize;
+				const { relativePath } = file;
+
+				if (size <= capacity) {
+					if (!current || current.size + size > capacity) await startChunk();
+					await add(text, { relativePath });
+					continue;
+				}
+
+				const parts = this.splitSection(file, capacity);
+				for (const [index, part] of parts.entries()) {
+					if (!current || current.size > 0) await startChunk();
+					await add(part, { relativePath, part: index + 1, parts: parts.length });
+				}
+			}
+			if (changes) {
+				if (current) await startChunk();
+				await addSection(changes, { label: 'Changes' });
+			}
+			if (budgetNote) {
+				await addSection(budgetNote);
+			}
+			await finishChunk();
+		} catch (error) {
+			// Drop the chunk being written rather than leave it half done
+			if (current && current.open) await current.document.sink.abort();
+			throw error;
+		}
+
+		const chunkPaths = chunks.map((chunk) => chunk.document.filePath);
+		let index = this.formatter.formatChunkIndex(
+			chunks.map(({ fileName, entries }) => ({ fileName, entries })),
+			{ chunkSize: this.chunkSize, chunkUnit: this.chunkUnit },
+			project,
+		);
+		const contents = this.toc
+			? this.formatter.formatTableOfContents(this.listContents(files, chunks), project)
+			: null;
+		if (contents) index = `${index}${this.formatter.formatSeparator()}${contents}`;
+		if (!(await this.outputManager.writeFile(this.outputFilePath, index, { check }))) {
+			stale.push(this.outputFilePath);
+		}
+
+		if (check) {
+			// Chunks beyond the new last one would be removed by a rebuild
+			const leftover = (await this.findChunkFiles()).filter((chunkPath) => !chunkPaths.includes(chunkPath));
+			return { ...this.reportCheck([...stale, ...leftover]), results, chunks: chunkPaths };
+		}
+		Logger.info(
+			`Files consolidated into ${chunks.length} chunk(s); index written to ${this.outputFilePath}`,
+		);
+		return { success: true, results, chunks: chunkPaths };
+	}
+
+	/**
+	 * Splits an oversized file into parts that each fit in one chunk,
+	 * breaking between lines where possible.
+	 * @param {Object} file
+	 * @param {number} capacity - Room for files in one chunk, see getChunkCapacity().
+	 * @returns {Array<string>} - The formatted parts.
+	 */
+	splitSection(file, capacity) {
+		const overhead = this.measure(
+			`${this.formatter.formatFile({ ...file, content: '' }, { part: 999, parts: 999 })}${this.formatter.formatSeparator()}`,
+		);
+		const contents = this.splitLines(file.content || '', Math.max(1, capacity - overhead));
+
+		return contents.map((content, index) =>
+			this.formatter.formatFile({ ...file, content }, { part: index + 1, parts: contents.length }),
+		);
 	}
 
-	formatContent(file) {
-		let ext = 'plaintext';
-		if (file.fileName) {
-			ext = path.extname(file.fileName).substring(1) || 'plaintext';
+	/**
+	 * Splits text into pieces of at most `available` each, breaking between
+	 * lines where possible.
+	 * @param {string} text
+	 * @param {number} available - Size limit of a piece, in the chunk unit.
+	 * @returns {Array<string>}
+	 */
+	splitLines(text, available) {
+		const lines = text.split('\n');
+		const pieces = [];
+		const pushFitting = (line) => {
+			if (line.length > 1 && this.measure(`${line}\n`) > available) {
+				const middle = Math.ceil(line.length / 2);
+				pushFitting(line.slice(0, middle));
+				pushFitting(line.slice(middle));
+			} else {
+				pieces.push(line);
+			}
+		};
+		lines.forEach(pushFitting);
+
+		const contents = [];
+		let buffer = [];
+		let size = 0;
+		for (const piece of pieces) {
+			const pieceSize = this.measure(`${piece}\n`);
+			if (buffer.length > 0 && size + pieceSize > available) {
+				contents.push(buffer.join('\n'));
+				buffer = [];
+				size = 0;
+			}
+			buffer.push(piece);
+			size += pieceSize;
+		}
+		contents.push(buffer.join('\n'));
+		return contents;
+	}
+
+	/**
+	 * Room for files in one chunk, after the header and footer every chunk
+	 * gets.
+	 */
+	getChunkCapacity(project) {
+		const frame = `${this.formatter.formatHeader(project)}${this.formatter.formatFooter(project)}`;
+		return Math.max(1, this.chunkSize - this.measure(frame));
+	}
+
+	measure(text) {
+		return this.chunkUnit === 'tokens'
+			? this.tokenizer.count(text)
+			: Buffer.byteLength(text, 'utf8');
+	}
+
+	getChunkFileName(number) {
+		const ext = path.extname(this.outputFileName);
+		const base = path.basename(this.outputFileName, ext);
+		return `${base}-${String(number).padStart(3, '0')}${ext}`;
+	}
+
+	async removeStaleChunks() {
+		const chunkPaths = await this.findChunkFiles();
+		await Promise.all(chunkPaths.map((chunkPath) => fs.unlink(chunkPath)));
+	}
+
+	/**
+	 * Lists the chunk files currently in the output directory.
+	 * @returns {Promise<Array<string>>}
+	 */
+	async findChunkFiles() {
+		const ext = path.extname(this.outputFileName);
+		const base = path.basename(this.outputFileName, ext);
+		const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const pattern = new RegExp(`^${escape(base)}-\\d{3,}${escape(ext)}$`);
+
+		let entries;
+		try {
+			entries = await fs.readdir(this.outputDir);
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+		return entries
+			.filter((entry) => pattern.test(entry))
+			.sort()
+			.map((entry) => path.join(this.outputDir, entry));
+	}
+
+	/**
+	 * Logs and returns the result of a check.
+	 * @param {Array<string>} stale - Output files that are missing, differ or are left over.
+	 * @returns {{success: boolean, upToDate: boolean, stale: Array<string>}}
+	 */
+	reportCheck(stale) {
+		Logger.info(
+			stale.length === 0
+				? `Output at ${this.outputFilePath} is up to date.`
+				: `Output is out of date: ${stale.join(', ')}`,
+		);
+		return { success: true, upToDate: stale.length === 0, stale };
+	}
+
+	/**
+	 * Summarises the packed files for the formatter's header, footer, preamble
+	 * and chunk index. The budget report and the changes are included as they
+	 * are; with the preamble on, `overview` adds the file counts by type, the
+	 * estimated tokens, the sorting strategy and the tree of packed files.
+	 * @param {Array<Object>} files - The files being packed.
+	 * @param {Object} [options] - See createOutput.
+	 * @returns {Object}
+	 */
+	describeProject(files, options = {}) {
+		let bytes = 0;
+		let lines = 0;
+		let tokens = 0;
+		const types = {};
+		files.forEach((file) => {
+			const type = path.extname(file.fileName).substring(1).toLowerCase() || '(none)';
+			types[type] = (types[type] || 0) + 1;
+			const binary = file.metadata && file.metadata.binary;
+			if (binary) {
+				bytes += binary.size;
+				return;
+			}
+			const content = file.content || '';
+			bytes += Buffer.byteLength(content, 'utf8');
+			lines += countLines(content);
+			if (this.preamble) tokens += this.tokenizer.count(content);
+		});
+		const project = {
+			name: this.getProjectName(),
+			files: files.length,
+			bytes,
+			lines,
+			tokenBudget: options.budgetReport || null,
+			changes: options.changes || null,
+		};
+		if (this.preamble) {
+			const name = project.name || '.';
+			const tree = formatTree(
+				name,
+				files.map((file) => ({ parts: (file.relativePath || file.fileName).split('/') })),
+			);
+			project.overview = {
+				types: Object.fromEntries(
+					Object.entries(types).sort(([a, countA], [b, countB]) => countB - countA || comparePaths(a, b)),
+				),
+				tokens,
+				sortingStrategy: this.sortingStrategy,
+				tree: `${tree.join('\n')}\n`,
+			};
+		}
+		return project;
+	}
+
+	/**
+	 * Gives each file an `anchor`, a slug of its path that no other file in
+	 * the pack shares, for formats that link to file sections.
+	 * @param {Array<Object>} files
+	 * @returns {Array<Object>} - Copies of the files with their anchors.
+	 */
+	assignAnchors(files) {
+		const anchors = slugify.unique(files.map((file) => file.relativePath).filter(Boolean));
+		return files.map((file) =>
+			file.relativePath ? { ...file, anchor: anchors.get(file.relativePath) } : file,
+		);
+	}
+
+	/**
+	 * Lists the files for the table of contents, with their line counts and,
+	 * in a chunked pack, the chunk each one starts in.
+	 * @param {Array<Object>} files - The files being packed.
+	 * @param {Array<{fileName: string, entries: Array<Object>}>} [chunks] - The chunks written.
+	 * @returns {Array<Object>} - Entries for Formatter.formatTableOfContents.
+	 */
+	listContents(files, chunks = null) {
+		const chunkOf = new Map();
+		(chunks || []).forEach(({ fileName, entries }) => {
+			entries.forEach(({ relativePath }) => {
+				if (relativePath && !chunkOf.has(relativePath)) chunkOf.set(relativePath, fileName);
+			});
+		});
+		return files.map((file) => {
+			const binary = file.metadata && file.metadata.binary;
+			const content = file.content || '';
+			return {
+				relativePath: file.relativePath,
+				anchor: file.anchor,
+				lines: binary ? null : countLines(content),
+				bytes: binary ? binary.size : Buffer.byteLength(content, 'utf8'),
+				chunk: chunkOf.get(file.relativePath) || null,
+			};
+		});
+	}
+
+	/**
+	 * Names the project after the `name` in its package.json, or else its
+	 * root directory.
+	 * @returns {string|null}
+	 */
+	getProjectName() {
+		if (!this.rootDir) return null;
+		try {
+			const { name } = JSON.parse(fsSync.readFileSync(path.join(this.rootDir, 'package.json'), 'utf8'));
+			if (typeof name === 'string' && name) return name;
+		} catch (error) {
+			// No readable package.json
 		}
-		const content = file.content ? file.content.replace(/```/g, '````') : '';
-		return `\`\`\`${ext}\n${content}\n\`\`\`\n`;
+		return path.basename(path.resolve(this.rootDir));
 	}
 }
 
@@ -0,0 +1,196 @@
+// src/core/dependencyExtractor.js
+const path = require('path');
+const { builtinModules } = require('module');
+const { parse } = require('@babel/parser');
+const Logger = require('../utils/logger');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+const TS_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+const BUILTINS = new Set(builtinModules);
+
+// Used when a file cannot be parsed, e.g. because of syntax errors.
+const FALLBACK_PATTERNS = [
+  { type: 'import', regex: /^\s*import\s+(type\s+)?[\w*{}\s,$]+\s+from\s+['"]([^'"]+)['"]/gm },
+  { type: 'side-effect', regex: /^\s*import\s+['"]([^'"]+)['"]/gm },
+  { type: 'export', regex: /^\s*export\s+(type\s+)?[\w*{}\s,$]+\s+from\s+['"]([^'"]+)['"]/gm },
+  { type: 'require', regex: /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g },
+  { type: 'dynamic-import', regex: /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g },
+];
+
+/**
+ * DependencyExtractor
+ * Extracts module dependencies from JavaScript and TypeScript sources by
+ * walking the Babel AST. Covers static and side-effect imports, `import type`,
+ * `export ... from`, CommonJS `require()`, dynamic `import()` and TypeScript
+ * `import x = require()`.
+ */
+class DependencyExtractor {
+  /**
+   * Whether dependencies can be extracted from a file with this path.
+   * @param {string} filePath - Path of the file.
+   * @returns {boolean}
+   */
+  static supports(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return JS_EXTENSIONS.includes(ext) || TS_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Classifies a module specifier.
+   * @param {string} specifier - The module specifier as written in source.
+   * @returns {string} - 'relative', 'builtin' or 'package'.
+   */
+  static classify(specifier) {
+    if (/^\.\.?(\/|$)/.test(specifier) || specifier.startsWith('/')) return 'relative';
+    if (specifier.startsWith('node:') || BUILTINS.has(specifier.split('/')[0])) return 'builtin';
+    return 'package';
+  }
+
+  /**
+   * Extracts dependencies from source code.
+   * @param {string} content - Source code.
+   * @param {string} filePath - Path of the file, used to pick parser plugins.
+   * @returns {Array<{specifier: string, kind: string, types: Array<string>, typeOnly: boolean}>}
+   *   - One entry per distinct specifier, in order of first appearance.
+   */
+  extract(content, filePath) {
+    if (!DependencyExtractor.supports(filePath)) return [];
+
+    const found = [];
+    try {
+      const ast = parse(content, this.getParserOptions(filePath));
+      this.walk(ast.program, (specifier, type, typeOnly = false) => found.push({ specifier, type, typeOnly }));
+    } catch (error) {
+      Logger.debug(`Falling back to pattern matching for ${filePath}: ${error.message}`);
+      this.matchPatterns(content, found);
+    }
+
+    return this.collect(found);
+  }
+
+  getParserOptions(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const plugins = ['decorators-legacy', 'classProperties', 'dynamicImport', 'importAttributes'];
+
+    if (TS_EXTENSIONS.includes(ext)) {
+      plugins.push('typescript');
+      if (ext === '.tsx') plugins.push('jsx');
+    } else {
+      plugins.push('jsx', 'flow');
+    }
+
+    return {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowUndeclaredExports: true,
+      errorRecovery: true,
+      plugins,
+    };
+  }
+
+  /**
+   * Depth-first walk over the AST, reporting every module reference.
+   */
+  walk(node, report) {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'ImportDeclaration': {
+        const typeOnly = node.importKind === 'type' || node.importKind === 'typeof';
+        const type = typeOnly ? 'import-type' : node.specifiers.length === 0 ? 'side-effect' : 'import';
+        report(node.source.value, type, typeOnly);
+        break;
+      }
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+        if (node.source) {
+          report(node.source.value, 'export', node.exportKind === 'type');
+        }
+        break;
+      case 'TSImportEqualsDeclaration':
+        if (node.moduleReference.type === 'TSExternalModuleReference') {
+          report(node.moduleReference.expression.value, 'require', node.importKind === 'type');
+        }
+        break;
+      case 'TSImportType': {
+        const argument = node.argument && (node.argument.literal || node.argument);
+        const specifier = this.getStaticString(argument);
+        if (specifier) report(specifier, 'import-type', true);
+        break;
+      }
+      case 'ImportExpression': {
+        const specifier = this.getStaticString(node.source);
+        if (specifier) report(specifier, 'dynamic-import');
+        break;
+      }
+      case 'CallExpression': {
+        const specifier = this.getStaticString(node.arguments[0]);
+        if (specifier && node.callee.type === 'Import') {
+          report(specifier, 'dynamic-import');
+        } else if (specifier && node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          report(specifier, 'require');
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach((item) => this.walk(item, report));
+      } else if (child && typeof child === 'object') {
+        this.walk(child, report);
+      }
+    }
+  }
+
+  /**
+   * Returns the value of a string literal or an expression-free template literal.
+   */
+  getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral' || (node.type === 'Literal' && typeof node.value === 'string')) {
+      return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  matchPatterns(content, found) {
+    const matches = [];
+    FALLBACK_PATTERNS.forEach(({ type, regex }) => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(content)) !== null) {
+        const typeOnly = match.length > 2 && Boolean(match[1]);
+        const specifier = match[match.length - 1];
+        matches.push({ index: match.index, specifier, type: typeOnly && type === 'import' ? 'import-type' : type, typeOnly });
+      }
+    });
+    matches.sort((a, b) => a.index - b.index).forEach(({ specifier, type, typeOnly }) => found.push({ specifier, type, typeOnly }));
+  }
+
+  collect(found) {
+    const bySpecifier = new Map();
+    for (const { specifier, type, typeOnly } of found) {
+      if (!specifier) continue;
+      let entry = bySpecifier.get(specifier);
+      if (!entry) {
+        entry = { specifier, kind: DependencyExtractor.classify(specifier), types: [], typeOnly: true };
+        bySpecifier.set(specifier, entry);
+      }
+      if (!entry.types.includes(type)) entry.types.push(type);
+      entry.typeOnly = entry.typeOnly && typeOnly;
+    }
+    return Array.from(bySpecifier.values());
+  }
+}
+
+module.exports = DependencyExtractor;
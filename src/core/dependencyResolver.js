@@ -0,0 +1,307 @@
+// src/core/dependencyResolver.js
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+
+const DEFAULT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json'];
+const EXPORT_CONDITIONS = ['source', 'import', 'require', 'node', 'default'];
+
+/**
+ * DependencyResolver
+ * Maps module specifiers to files in the scanned set using Node resolution
+ * rules: extension probing, directory `index` files, `package.json`
+ * `exports`/`main`, `node_modules` lookup, workspace packages by name and
+ * tsconfig/jsconfig `baseUrl` and `paths` aliases. Only files that were
+ * scanned can be resolved; everything else resolves to null.
+ */
+class DependencyResolver {
+  /**
+   * @param {string} rootDir - The project root directory.
+   * @param {Array<string>} files - Absolute paths of the scanned files.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.extensions] - Extensions probed for extensionless specifiers.
+   * @param {string} [options.tsconfig] - Path of the tsconfig/jsconfig relative to rootDir.
+   * @param {Object<string, string>} [options.contents] - Known file contents by absolute path,
+   *   used instead of reading package.json/tsconfig files from disk.
+   */
+  constructor(rootDir, files, options = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.files = new Set(files.map((file) => path.resolve(file)));
+    this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+    this.contents = options.contents || {};
+    this.jsonCache = new Map();
+    this.aliases = this.loadAliases(options.tsconfig);
+    this.workspacePackages = this.findWorkspacePackages();
+  }
+
+  /**
+   * Resolves a specifier imported from a file.
+   * @param {string} specifier - The module specifier as written in source.
+   * @param {string} fromFile - Absolute path of the importing file.
+   * @returns {string|null} - Path of the target relative to rootDir, or null when it is not in the scanned set.
+   */
+  resolve(specifier, fromFile) {
+    let resolved = null;
+
+    if (/^\.\.?(\/|$)/.test(specifier) || path.isAbsolute(specifier)) {
+      resolved = this.resolvePath(path.resolve(path.dirname(fromFile), specifier));
+    } else if (!specifier.startsWith('node:')) {
+      resolved = this.resolveAlias(specifier) || this.resolvePackage(specifier, fromFile);
+    }
+
+    return resolved ? path.relative(this.rootDir, resolved) : null;
+  }
+
+  /**
+   * Resolves an absolute path as a file, then as a directory.
+   */
+  resolvePath(target) {
+    return this.resolveFile(target) || this.resolveDirectory(target);
+  }
+
+  resolveFile(target) {
+    if (this.files.has(target)) return target;
+
+    for (const ext of this.extensions) {
+      if (this.files.has(`${target}${ext}`)) return `${target}${ext}`;
+    }
+
+    // TypeScript sources are imported with the extension of their compiled output.
+    const ext = path.extname(target);
+    const sourceExtensions = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+    for (const sourceExt of sourceExtensions[ext] || []) {
+      const candidate = `${target.slice(0, -ext.length)}${sourceExt}`;
+      if (this.files.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  resolveDirectory(dir) {
+    const manifest = this.readJson(path.join(dir, 'package.json'));
+    if (manifest) {
+      const entry = this.resolveExports(manifest.exports, '.') || manifest.main;
+      if (entry) {
+        const resolved = this.resolvePath(path.resolve(dir, entry));
+        if (resolved) return resolved;
+      }
+    }
+    return this.resolveFile(path.join(dir, 'index'));
+  }
+
+  /**
+   * Resolves a bare specifier through workspace packages and node_modules.
+   */
+  resolvePackage(specifier, fromFile) {
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    const subpath = specifier.slice(name.length);
+
+    const candidates = [];
+    if (this.workspacePackages.has(name)) {
+      candidates.push(this.workspacePackages.get(name));
+    }
+    let dir = path.dirname(path.resolve(fromFile));
+    while (dir === this.rootDir || dir.startsWith(`${this.rootDir}${path.sep}`)) {
+      candidates.push(path.join(dir, 'node_modules', name));
+      if (dir === this.rootDir) break;
+      dir = path.dirname(dir);
+    }
+
+    for (const packageDir of candidates) {
+      const resolved = this.resolvePackageEntry(packageDir, subpath);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  resolvePackageEntry(packageDir, subpath) {
+    const manifest = this.readJson(path.join(packageDir, 'package.json'));
+    if (manifest && manifest.exports) {
+      const target = this.resolveExports(manifest.exports, `.${subpath}`);
+      if (target) return this.resolvePath(path.resolve(packageDir, target));
+    }
+    return subpath ? this.resolvePath(path.join(packageDir, subpath)) : this.resolveDirectory(packageDir);
+  }
+
+  /**
+   * Looks up a subpath in a package.json `exports` field, including
+   * condition objects and `*` patterns.
+   */
+  resolveExports(exportsField, subpath) {
+    if (!exportsField) return null;
+
+    let target;
+    if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+      target = subpath === '.' ? exportsField : null;
+    } else if (Object.keys(exportsField).some((key) => key.startsWith('.'))) {
+      target = exportsField[subpath];
+      if (target === undefined) {
+        for (const key of Object.keys(exportsField)) {
+          const star = key.indexOf('*');
+          if (star === -1) continue;
+          const prefix = key.slice(0, star);
+          const suffix = key.slice(star + 1);
+          if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+            const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+            target = this.replaceStar(exportsField[key], match);
+            break;
+          }
+        }
+      }
+    } else {
+      target = subpath === '.' ? exportsField : null;
+    }
+
+    return this.pickCondition(target);
+  }
+
+  replaceStar(target, match) {
+    if (typeof target === 'string') return target.split('*').join(match);
+    if (Array.isArray(target)) return target.map((item) => this.replaceStar(item, match));
+    if (target && typeof target === 'object') {
+      return Object.fromEntries(Object.entries(target).map(([key, value]) => [key, this.replaceStar(value, match)]));
+    }
+    return target;
+  }
+
+  pickCondition(target) {
+    if (!target) return null;
+    if (typeof target === 'string') return target;
+    if (Array.isArray(target)) {
+      for (const item of target) {
+        const picked = this.pickCondition(item);
+        if (picked) return picked;
+      }
+      return null;
+    }
+    for (const condition of EXPORT_CONDITIONS) {
+      if (target[condition] !== undefined) {
+        const picked = this.pickCondition(target[condition]);
+        if (picked) return picked;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reads `baseUrl` and `paths` from tsconfig.json or jsconfig.json.
+   */
+  loadAliases(tsconfig) {
+    const candidates = tsconfig ? [tsconfig] : ['tsconfig.json', 'jsconfig.json'];
+    for (const candidate of candidates) {
+      const configPath = path.resolve(this.rootDir, candidate);
+      const config = this.readJson(configPath);
+      if (!config) continue;
+
+      const compilerOptions = config.compilerOptions || {};
+      const baseUrl = compilerOptions.baseUrl !== undefined
+        ? path.resolve(path.dirname(configPath), compilerOptions.baseUrl)
+        : null;
+      const pathsBase = baseUrl || path.dirname(configPath);
+      const paths = Object.entries(compilerOptions.paths || {}).map(([pattern, targets]) => ({
+        pattern,
+        targets: targets.map((target) => path.resolve(pathsBase, target)),
+      }));
+
+      Logger.debug(`Loaded ${paths.length} path alias(es) from ${candidate}`);
+      return { baseUrl, paths };
+    }
+    return { baseUrl: null, paths: [] };
+  }
+
+  resolveAlias(specifier) {
+    for (const { pattern, targets } of this.aliases.paths) {
+      const star = pattern.indexOf('*');
+      let match = null;
+      if (star === -1) {
+        if (pattern === specifier) match = '';
+      } else {
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= pattern.length - 1) {
+          match = specifier.slice(prefix.length, specifier.length - suffix.length);
+        }
+      }
+      if (match === null) continue;
+
+      for (const target of targets) {
+        const resolved = this.resolvePath(target.split('*').join(match));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (this.aliases.baseUrl) {
+      return this.resolvePath(path.resolve(this.aliases.baseUrl, specifier));
+    }
+    return null;
+  }
+
+  /**
+   * Maps package names to directories for every scanned package.json.
+   */
+  findWorkspacePackages() {
+    const packages = new Map();
+    for (const file of this.files) {
+      if (path.basename(file) !== 'package.json' || file.split(path.sep).includes('node_modules')) continue;
+      const manifest = this.readJson(file);
+      if (manifest && typeof manifest.name === 'string' && !packages.has(manifest.name)) {
+        packages.set(manifest.name, path.dirname(file));
+      }
+    }
+    return packages;
+  }
+
+  /**
+   * Reads a JSON or JSONC file, caching the result. Returns null when the
+   * file is missing or unparsable.
+   */
+  readJson(filePath) {
+    if (this.jsonCache.has(filePath)) return this.jsonCache.get(filePath);
+
+    let parsed = null;
+    try {
+      const raw = this.contents[filePath] !== undefined ? this.contents[filePath] : fs.readFileSync(filePath, 'utf8');
+      parsed = JSON.parse(DependencyResolver.stripJsonComments(raw));
+    } catch (error) {
+      parsed = null;
+    }
+    this.jsonCache.set(filePath, parsed);
+    return parsed;
+  }
+
+  /**
+   * Removes comments and trailing commas so tsconfig-style JSON can be parsed.
+   */
+  static stripJsonComments(raw) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i];
+      if (inString) {
+        result += char;
+        if (char === '\\') {
+          result += raw[++i] || '';
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+        result += char;
+      } else if (char === '/' && raw[i + 1] === '/') {
+        while (i < raw.length && raw[i] !== '\n') i++;
+        result += '\n';
+      } else if (char === '/' && raw[i + 1] === '*') {
+        i = raw.indexOf('*/', i + 2);
+        if (i === -1) break;
+        i++;
+      } else {
+        result += char;
+      }
+    }
+    return result.replace(/,(\s*[}\]])/g, '$1');
+  }
+}
+
+DependencyResolver.DEFAULT_EXTENSIONS = DEFAULT_EXTENSIONS;
+
+module.exports = DependencyResolver;
@@ -1,28 +1,77 @@
 // src/core/fileScanner.js
 const fs = require( 'fs' ).promises;
 const path = require('path');
+const GeneratedFileDetector = require('./generatedFileDetector');
 const IgnoreProcessor = require('./ignoreProcessor');
+const PathFilter = require('./pathFilter');
 const PerformanceOptimizer = require('./performanceOptimizer');
+const comparePaths = require('../utils/comparePaths');
 const Logger = require('../utils/logger'); // Importing the singleton instance
 
 class FileScanner {
-  constructor(rootDir) {
+  /**
+   * @param {string} rootDir - The root directory to scan.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.excludePaths] - Absolute paths skipped together with their contents,
+   *   such as the output directory.
+   * @param {number} [options.maxFileSize] - Skip files larger than this many bytes.
+   * @param {boolean} [options.skipGenerated=true] - Skip lockfiles, source maps and minified or
+   *   generated code, see GeneratedFileDetector.
+   * @param {Array<string>} [options.include] - Globs files must match to be scanned, see PathFilter.
+   * @param {Array<string>} [options.exclude] - Globs of files and directories to skip.
+   * @param {boolean} [options.followSymlinks=false] - Follow symbolic links to files and directories
+   *   inside the root directory; links are skipped otherwise.
+   * @param {Object} [options.ignore] - Options for the IgnoreProcessor (`nested`, `gitExcludes`,
+   *   `skipDefaults`).
+   */
+  constructor(rootDir, options = {}) {
     this.rootDir = rootDir;
-    this.ignoreProcessor = new IgnoreProcessor(rootDir);
+    this.excludePaths = (options.excludePaths || [])
+      .map((excluded) => path.resolve(excluded))
+      .filter((excluded) => excluded !== path.resolve(rootDir));
+    this.maxFileSize = options.maxFileSize || null;
+    this.followSymlinks = Boolean(options.followSymlinks);
+    this.generatedDetector = options.skipGenerated === false ? null : new GeneratedFileDetector();
+    this.ignoreProcessor = new IgnoreProcessor(rootDir, options.ignore);
+    this.pathFilter = new PathFilter({ include: options.include, exclude: options.exclude });
     this.optimizer = new PerformanceOptimizer();
   }
 
-  async scan() {
+  /**
+   * Collects the non-ignored files under the root directory that pass the
+   * include and exclude globs. Every path left out is recorded in `skipped`
+   * with the reason and, for ignored paths, the ignore rule responsible.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.files] - Only consider these files (absolute or relative to the
+   *   root) instead of walking the whole tree, e.g. the files changed in git.
+   * @returns {Promise<Array<string>>} - Absolute file paths, depth first in name order when
+   *   walking the tree, in the order given otherwise.
+   */
+  async scan(options = {}) {
     Logger.info(`Starting file scan in directory: ${this.rootDir}`);
+    /** @type {Array<{path: string, reason: string, directory?: boolean, rule?: Object}>} */
+    this.skipped = [];
     try {
       const files = [];
-      await this._scanDirectory(this.rootDir, files);
+      if (this.followSymlinks) {
+        // Link targets are checked against the real root, in case the root is itself a link
+        this.realRoot = await fs.realpath(this.rootDir);
+      }
+      if (Array.isArray(options.files)) {
+        await this._scanFileList(options.files, files);
+      } else {
+        await this._scanDirectory(this.rootDir, files);
+      }
+      this.skipped.sort((a, b) => comparePaths(a.path, b.path));
       
       if (files.length === 0) {
         Logger.warn('No files found. Check if directory is empty or all files are ignored.');
       } else {
         Logger.info(`File scan completed. Found ${files.length} files.`);
       }
+      if (this.skipped.length > 0) {
+        Logger.info(`Skipped ${this.skipped.length} path(s) as ignored, too large or generated.`);
+      }
       
       return files;
     } catch (error) {
@@ -31,33 +80,133 @@ class FileScanner {
     }
   }
 
-  async _scanDirectory(dir, files) {
+  async _scanFileList(candidates, files) {
+    const root = path.resolve(this.rootDir);
+    for (const candidate of candidates) {
+      const fullPath = path.resolve(root, candidate);
+      if (files.includes(fullPath)) continue;
+
+      const relativePath = path.relative(root, fullPath);
+      if (relativePath === '' || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        Logger.debug(`Outside root: ${fullPath}`);
+        continue;
+      }
+      const excluded = this.excludePaths.some(
+        (excludedPath) => fullPath === excludedPath || fullPath.startsWith(`${excludedPath}${path.sep}`),
+      );
+      if (excluded) {
+        this._skip(fullPath, 'excluded path');
+        continue;
+      }
+      if (this.ignoreProcessor.isIgnored(fullPath)) {
+        this._skipIgnored(fullPath, false);
+        continue;
+      }
+      const filtered = this.pathFilter.checkFile(relativePath.split(path.sep).join('/'));
+      if (filtered) {
+        this._skip(fullPath, filtered);
+        continue;
+      }
+
+      try {
+        if ((await fs.lstat(fullPath)).isSymbolicLink()) {
+          const target = await this._resolveSymlink(fullPath);
+          if (target.reason) {
+            this._skip(fullPath, target.reason);
+            continue;
+          }
+        }
+        const stats = await fs.stat(fullPath);
+        if (stats.isFile()) {
+          const reason = await this._getSkipReason(fullPath, stats);
+          if (reason) {
+            this._skip(fullPath, reason);
+            continue;
+          }
+          files.push(fullPath);
+          Logger.debug(`Found file: ${fullPath}`);
+        }
+      } catch (error) {
+        Logger.debug(`Skipped missing file ${fullPath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} dir - Directory to scan.
+   * @param {Array<string>} files - Collects the files found.
+   * @param {Set<string>} [ancestors] - Device and inode of the directories above, to detect
+   *   symbolic link cycles; only tracked when following links.
+   */
+  async _scanDirectory(dir, files, ancestors = new Set()) {
     try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
+      // Entries are walked in name order and their files collected separately, so the
+      // result does not depend on which concurrent task finishes first
+      const entries = (await fs.readdir(dir, { withFileTypes: true }))
+        .sort((a, b) => comparePaths(a.name, b.name));
+      if (this.followSymlinks) {
+        ancestors = new Set(ancestors).add(FileScanner._inodeKey(await fs.stat(dir)));
+      }
       
       // Process in smaller batches to avoid overwhelming the system
       const batchSize = 50;
       for (let i = 0; i < entries.length; i += batchSize) {
         const batch = entries.slice(i, i + batchSize);
-        const tasks = batch.map(entry => async () => {
+        const found = batch.map(() => []);
+        const tasks = batch.map((entry, index) => async () => {
           const fullPath = path.join(dir, entry.name);
+          let isDirectory = entry.isDirectory();
+          let isFile = entry.isFile();
 
-          if (this.ignoreProcessor.isIgnored(fullPath)) {
-            Logger.debug(`Ignored: ${fullPath}`);
+          if (this.excludePaths.includes(fullPath)) {
+            this._skip(fullPath, 'excluded path', { directory: isDirectory });
+            return;
+          }
+          if (entry.isSymbolicLink() && this.followSymlinks) {
+            const target = await this._resolveSymlink(fullPath);
+            if (!target.reason && target.stats.isDirectory() && ancestors.has(FileScanner._inodeKey(target.stats))) {
+              target.reason = 'symbolic link cycle';
+            }
+            if (target.reason) {
+              this._skip(fullPath, target.reason);
+              return;
+            }
+            isDirectory = target.stats.isDirectory();
+            isFile = target.stats.isFile();
+          }
+          if (this.ignoreProcessor.isIgnored(fullPath, isDirectory)) {
+            this._skipIgnored(fullPath, isDirectory);
+            return;
+          }
+          const relativePath = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+          const filtered = isDirectory
+            ? this.pathFilter.checkDirectory(relativePath)
+            : this.pathFilter.checkFile(relativePath);
+          if (filtered) {
+            this._skip(fullPath, filtered, { directory: isDirectory });
+            return;
+          }
+          if (entry.isSymbolicLink() && !this.followSymlinks) {
+            this._skip(fullPath, 'symbolic link (followSymlinks is off)');
             return;
           }
 
-          if (entry.isDirectory()) {
+          if (isDirectory) {
             try {
               await fs.access(fullPath);
-              await this._scanDirectory(fullPath, files);
+              await this._scanDirectory(fullPath, found[index], ancestors);
             } catch (error) {
               Logger.error(`Error scanning directory ${fullPath}: ${error.message}`);
             }
-          } else if (entry.isFile()) {
+          } else if (isFile) {
             try {
               await fs.access(fullPath);
-              files.push(fullPath);
+              const reason = await this._getSkipReason(fullPath);
+              if (reason) {
+                this._skip(fullPath, reason);
+                return;
+              }
+              found[index].push(fullPath);
               Logger.debug(`Found file: ${fullPath}`);
             } catch (error) {
               Logger.error(`Error scanning directory ${dir}: ${error.message}`);
@@ -66,12 +215,70 @@ class FileScanner {
         });
 
         await this.optimizer.runConcurrently(tasks);
+        found.forEach((entryFiles) => files.push(...entryFiles));
       }
     } catch (error) {
       Logger.error(`Error scanning directory ${dir}:`, error);
       throw error;
     }
   }
+
+  /**
+   * Follows a symbolic link, refusing broken links and links whose target
+   * lies outside the root directory.
+   * @param {string} fullPath
+   * @returns {Promise<{stats?: fs.Stats, reason?: string}>} - Stats of the target, or why
+   *   the link is skipped.
+   */
+  async _resolveSymlink(fullPath) {
+    if (!this.followSymlinks) {
+      return { reason: 'symbolic link (followSymlinks is off)' };
+    }
+    let realPath;
+    try {
+      realPath = await fs.realpath(fullPath);
+    } catch (error) {
+      return { reason: 'broken symbolic link' };
+    }
+    const relativePath = path.relative(this.realRoot, realPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return { reason: `symbolic link escapes the root directory (-> ${realPath})` };
+    }
+    return { stats: await fs.stat(realPath) };
+  }
+
+  static _inodeKey(stats) {
+    return `${stats.dev}:${stats.ino}`;
+  }
+
+  /**
+   * Returns why a file that is not ignored should still be left out, or null.
+   * @param {string} fullPath
+   * @param {fs.Stats} [stats] - Stats of the file, if already known.
+   * @returns {Promise<string|null>}
+   */
+  async _getSkipReason(fullPath, stats) {
+    if (this.maxFileSize) {
+      const { size } = stats || (await fs.stat(fullPath));
+      if (size > this.maxFileSize) {
+        return `larger than maxFileSize (${size} > ${this.maxFileSize} bytes)`;
+      }
+    }
+    return this.generatedDetector ? this.generatedDetector.detect(fullPath) : null;
+  }
+
+  _skip(fullPath, reason, details = {}) {
+    const entry = { path: fullPath, reason };
+    if (details.directory) entry.directory = true;
+    if (details.rule) entry.rule = details.rule;
+    this.skipped.push(entry);
+    Logger.debug(`Skipped ${fullPath}: ${reason}`);
+  }
+
+  _skipIgnored(fullPath, directory) {
+    const { rule } = this.ignoreProcessor.explain(fullPath, directory);
+    this._skip(fullPath, 'ignored', { directory, rule });
+  }
 }
 
 module.exports = FileScanner;
@@ -0,0 +1,151 @@
+// src/core/fileWatcher.js
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+
+/**
+ * FileWatcher
+ * Watches a directory tree for changes and reports them in batches. Every
+ * directory that is not ignored gets a watcher of its own, so it works the
+ * same on every platform and Node version; directories created later are
+ * picked up as they appear. Changes are collected until none arrive for
+ * `debounce` milliseconds, then handed to `onChange`. Changes that arrive
+ * while `onChange` runs are reported once it has finished.
+ */
+class FileWatcher {
+  /**
+   * @param {string} rootDir - Directory to watch.
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the sorted absolute paths that changed
+   *   since the last call; may return a promise.
+   * @param {Function} [options.isIgnored] - `(fullPath, isDirectory) => boolean`; ignored paths
+   *   are not reported and ignored directories not watched.
+   * @param {number} [options.debounce=300] - Milliseconds without changes to wait for.
+   */
+  constructor(rootDir, options = {}) {
+    if (typeof options.onChange !== 'function') {
+      throw new Error('FileWatcher needs an onChange callback');
+    }
+    this.rootDir = path.resolve(rootDir);
+    this.onChange = options.onChange;
+    this.isIgnored = options.isIgnored || (() => false);
+    this.debounce = options.debounce === undefined ? 300 : options.debounce;
+    /** @type {Map<string, fs.FSWatcher>} */
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = null;
+    this.closed = false;
+  }
+
+  /**
+   * Starts watching the tree.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.watchTree(this.rootDir);
+    Logger.info(`Watching ${this.watchers.size} director(ies) under ${this.rootDir}`);
+  }
+
+  /**
+   * Watches a directory and every directory below it that is not ignored
+   * and not watched yet. Call it again after the ignore rules change.
+   * @param {string} dir - Absolute directory path.
+   */
+  async watchTree(dir) {
+    if (this.closed) return;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      if (!this.watchers.has(dir)) {
+        const watcher = fs.watch(dir, (eventType, fileName) => this.handleEvent(dir, fileName));
+        watcher.on('error', (error) => {
+          Logger.debug(`Stopped watching ${dir}: ${error.message}`);
+          this.unwatch(dir);
+        });
+        this.watchers.set(dir, watcher);
+      }
+    } catch (error) {
+      Logger.debug(`Cannot watch ${dir}: ${error.message}`);
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && !this.isIgnored(fullPath, true)) {
+        await this.watchTree(fullPath);
+      }
+    }
+  }
+
+  /**
+   * Stops watching a directory and everything below it.
+   */
+  unwatch(dir) {
+    [...this.watchers.keys()]
+      .filter((watched) => watched === dir || watched.startsWith(`${dir}${path.sep}`))
+      .forEach((watched) => {
+        this.watchers.get(watched).close();
+        this.watchers.delete(watched);
+      });
+  }
+
+  handleEvent(dir, fileName) {
+    // Some platforms do not say which entry changed
+    const fullPath = fileName ? path.join(dir, fileName.toString()) : dir;
+    fs.stat(fullPath, async (error, stats) => {
+      if (this.closed) return;
+      if (error) {
+        // Gone: a deleted directory takes its watchers along
+        if (this.watchers.has(fullPath)) {
+          this.unwatch(fullPath);
+        } else if (this.isIgnored(fullPath, false)) {
+          return;
+        }
+      } else if (stats.isDirectory()) {
+        // Known directories report their own entries
+        if (fullPath === dir || this.watchers.has(fullPath) || this.isIgnored(fullPath, true)) return;
+        await this.watchTree(fullPath);
+      } else if (this.isIgnored(fullPath, false)) {
+        return;
+      }
+      this.pending.add(fullPath);
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  /**
+   * Reports the pending changes, unless a report is still running; those
+   * changes are then reported when it finishes.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    this.timer = null;
+    if (this.running || this.pending.size === 0 || this.closed) return;
+    const changed = [...this.pending].sort();
+    this.pending.clear();
+    this.running = Promise.resolve()
+      .then(() => this.onChange(changed))
+      .catch((error) => Logger.error(`Error handling changes: ${error.message}`));
+    await this.running;
+    this.running = null;
+    if (this.pending.size > 0) this.schedule();
+  }
+
+  /**
+   * Stops watching and waits for a running report to finish.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.unwatch(this.rootDir);
+    await this.running;
+  }
+}
+
+module.exports = FileWatcher;
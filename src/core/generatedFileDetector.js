@@ -0,0 +1,107 @@
+// src/core/generatedFileDetector.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const HEAD_SIZE = 16 * 1024;
+const MARKER_SIZE = 2048;
+const MIN_MINIFIED_SIZE = 1024;
+
+const LOCKFILES = new Set([
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'composer.lock',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'Pipfile.lock',
+  'poetry.lock',
+  'go.sum',
+  'flake.lock',
+  'mix.lock',
+  'pubspec.lock',
+  'Podfile.lock',
+  'packages.lock.json',
+]);
+
+const NAME_PATTERNS = [
+  [/\.min\.(js|mjs|cjs|css)$/i, 'minified file'],
+  [/\.map$/i, 'source map'],
+  [/\.(generated|g)\.[^.]+$/i, 'generated file'],
+  [/(_pb2(_grpc)?\.py|\.pb\.go|\.pb\.(cc|h))$/, 'generated protobuf code'],
+];
+
+const MARKERS = [/@generated\b/, /^\/\/ Code generated .* DO NOT EDIT\.$/m];
+
+/**
+ * GeneratedFileDetector
+ * Spots files that are produced by tools rather than written by hand and
+ * rarely help a model: lockfiles, source maps and minified or generated code.
+ * Files are recognized by name first, then by their first few kilobytes: an
+ * `@generated` (or Go's "Code generated ... DO NOT EDIT.") marker near the
+ * top, or lines so long on average that the code must be minified.
+ */
+class GeneratedFileDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAverageLineLength=300] - Longer average lines mark a file as minified.
+   */
+  constructor(options = {}) {
+    this.maxAverageLineLength = options.maxAverageLineLength || 300;
+  }
+
+  /**
+   * Returns why a file counts as generated, or null when it does not.
+   * @param {string} filePath
+   * @returns {Promise<string|null>}
+   */
+  async detect(filePath) {
+    return this.detectByName(filePath) || this.detectByContent(await this.readHead(filePath));
+  }
+
+  detectByName(filePath) {
+    const fileName = path.basename(filePath);
+    if (LOCKFILES.has(fileName)) return 'lockfile';
+    const match = NAME_PATTERNS.find(([pattern]) => pattern.test(fileName));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * @param {{text: string, truncated: boolean}} head - Start of the file.
+   * @returns {string|null}
+   */
+  detectByContent({ text, truncated }) {
+    // Binary content is left to the BinaryDetector
+    if (text.includes('\0')) return null;
+
+    const top = text.slice(0, MARKER_SIZE);
+    if (MARKERS.some((marker) => marker.test(top))) return '@generated marker';
+
+    if (text.length >= MIN_MINIFIED_SIZE) {
+      const lines = text.split('\n');
+      // A cut-off last line still counts when it is the only one
+      if (truncated && lines.length > 1) lines.pop();
+      const average = lines.reduce((sum, line) => sum + line.length, 0) / lines.length;
+      if (average > this.maxAverageLineLength) {
+        return `minified (average line length ${Math.round(average)})`;
+      }
+    }
+    return null;
+  }
+
+  async readHead(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEAD_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, HEAD_SIZE, 0);
+      return { text: buffer.toString('utf8', 0, bytesRead), truncated: bytesRead === HEAD_SIZE };
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+GeneratedFileDetector.LOCKFILES = LOCKFILES;
+
+module.exports = GeneratedFileDetector;
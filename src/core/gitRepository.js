@@ -0,0 +1,114 @@
+// src/core/gitRepository.js
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+/**
+ * GitRepository
+ * Thin wrapper around the `git` command line for the directory being packed.
+ * Paths are relative to that directory and limited to it, even when it is a
+ * subdirectory of the work tree.
+ */
+class GitRepository {
+  /**
+   * @param {string} rootDir - Directory inside a git work tree.
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  async assertRepository() {
+    try {
+      await this.run(['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+      throw new Error(`Not a git repository: ${this.rootDir}`);
+    }
+  }
+
+  async assertRef(ref) {
+    try {
+      await this.run(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    } catch (error) {
+      throw new Error(`Unknown git ref "${ref}"`);
+    }
+  }
+
+  /**
+   * Files that differ between a ref and the working tree, or between the
+   * index and HEAD (`cached`), or between the working tree and the index.
+   * @param {Object} [options]
+   * @param {string} [options.ref] - Ref to compare the working tree with.
+   * @param {boolean} [options.cached] - Compare the index with HEAD instead.
+   * @returns {Promise<Array<string>>}
+   */
+  async listChangedFiles({ ref, cached } = {}) {
+    const args = ['diff', '--name-only', '-z', '--relative'];
+    if (cached) args.push('--cached');
+    if (ref) args.push(ref);
+    return this.listFiles([...args, '--']);
+  }
+
+  async listUntrackedFiles() {
+    return this.listFiles(['ls-files', '--others', '--exclude-standard', '-z', '--', '.']);
+  }
+
+  /**
+   * Commits reachable from HEAD but not from a ref that touch this directory.
+   * @param {string} ref
+   * @returns {Promise<Array<{hash: string, author: string, date: string, subject: string, body: string}>>}
+   */
+  async getCommits(ref) {
+    const format = ['%h', '%an', '%ad', '%s', '%b'].join(FIELD) + RECORD;
+    const output = await this.run(['log', `--format=${format}`, '--date=short', `${ref}..HEAD`, '--', '.']);
+    return output
+      .split(RECORD)
+      .map((record) => record.replace(/^\n/, ''))
+      .filter(Boolean)
+      .map((record) => {
+        const [hash, author, date, subject, body = ''] = record.split(FIELD);
+        return { hash, author, date, subject, body: body.trim() };
+      });
+  }
+
+  /**
+   * Unified diff between a ref and the working tree, one entry per file.
+   * @param {string} ref
+   * @param {Object} [options]
+   * @param {number} [options.context=3] - Lines of context around each change.
+   * @returns {Promise<Array<{path: string, status: string, diff: string}>>}
+   */
+  async getDiffs(ref, { context = 3 } = {}) {
+    const output = await this.run(['diff', '--relative', '--no-color', `-U${context}`, ref, '--']);
+    return output
+      .split(/^(?=diff --git )/m)
+      .filter((section) => section.startsWith('diff --git '))
+      .map((section) => {
+        const paths = section.match(/^diff --git a\/(.+?) b\/(.+)$/m) || [];
+        let status = 'modified';
+        if (/^new file mode/m.test(section)) status = 'added';
+        else if (/^deleted file mode/m.test(section)) status = 'deleted';
+        else if (/^rename from /m.test(section)) status = 'renamed';
+        return {
+          path: status === 'deleted' ? paths[1] : paths[2],
+          status,
+          diff: section.replace(/\n$/, ''),
+        };
+      });
+  }
+
+  async listFiles(args) {
+    const output = await this.run(args);
+    return output.split('\0').filter(Boolean);
+  }
+
+  async run(args) {
+    const { stdout } = await execFileAsync('git', args, { cwd: this.rootDir, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  }
+}
+
+module.exports = GitRepository;
@@ -1,40 +1,314 @@
 // src/core/ignoreProcessor.js
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const ignore = require('ignore');
 const Logger = require('../utils/logger'); // Importing the singleton instance
 
+const IGNORE_FILES = ['.gitignore', '.llm-pack.ignore'];
+const DEFAULT_SKIPPED = ['.git', 'node_modules'];
+
+/**
+ * IgnoreProcessor
+ * Decides which paths are ignored the way git does: `.gitignore` and
+ * `.llm-pack.ignore` files apply to their own directory and below, deeper
+ * files take precedence, the last matching pattern wins and nothing below an
+ * ignored directory can be re-included. Inside a git work tree the
+ * `.gitignore` files above the root, `.git/info/exclude` and the user's
+ * `core.excludesFile` apply as well.
+ */
 class IgnoreProcessor {
-  constructor(rootDir) {
-    this.rootDir = rootDir;
+  /**
+   * @param {string} rootDir - Directory being scanned.
+   * @param {Object} [options] - The `ignore` section of the configuration.
+   * @param {boolean} [options.nested=true] - Read ignore files in subdirectories too.
+   * @param {boolean} [options.gitExcludes=true] - Apply `.git/info/exclude`, `core.excludesFile`
+   *   and the `.gitignore` files between the work tree root and rootDir.
+   * @param {boolean} [options.skipDefaults=true] - Always skip `.git` and `node_modules`.
+   */
+  constructor(rootDir, options = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.nested = options.nested !== false;
+    this.gitExcludes = options.gitExcludes !== false;
+
+    const git = this.gitExcludes ? IgnoreProcessor.findGitDirs(this.rootDir) : null;
+    // Patterns are matched against paths relative to the work tree, like git does
+    this.baseDir = git ? git.workTree : this.rootDir;
     this.ig = ignore();
+    /** @type {Array<{source: string, line: number|null, pattern: string, matcher: Object}>} */
+    this.rules = [];
+    this.loadedDirs = new Set();
+
+    // Built-in rules cannot be negated by ignore files
+    this.builtIn = ignore();
+    this.builtInRules = [];
+    const builtIn = [...IGNORE_FILES, ...(options.skipDefaults === false ? [] : DEFAULT_SKIPPED)];
+    builtIn.forEach((pattern) => {
+      this.builtIn.add(pattern);
+      this.builtInRules.push({ source: 'built-in', line: null, pattern, matcher: ignore().add(pattern) });
+    });
+
+    if (git) {
+      this.loadGitExcludes(git.commonDir);
+      // .gitignore files between the work tree root and rootDir
+      const between = path.relative(git.workTree, this.rootDir).split(path.sep).filter(Boolean);
+      for (let i = 0; i < between.length; i++) {
+        this.loadIgnoreFile(path.join(git.workTree, ...between.slice(0, i), '.gitignore'));
+      }
+    }
     this.loadIgnoreFiles();
-    this.ig.add(['.gitignore', '.llm-pack.ignore']); // Now explicitly ignoring configuration files
   }
 
+  /**
+   * Loads the ignore files of the root directory.
+   */
   loadIgnoreFiles() {
-    const ignoreFiles = ['.gitignore', '.llm-pack.ignore'];
-    ignoreFiles.forEach((file) => {
-      const filePath = path.join(this.rootDir, file);
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf8')
-          .split('\n')
-          .map(line => line.trim())
-          .filter(line => line && !line.startsWith('#'))
-          .join('\n');
-        this.ig.add(content);
-        Logger.info(`Loaded ignore patterns from ${file}`);
+    this.loadDirectory(this.rootDir, true);
+  }
+
+  /**
+   * Loads the ignore files of a directory, once.
+   * @param {string} dir - Absolute directory path.
+   * @param {boolean} [force] - Load again even if loaded before.
+   */
+  loadDirectory(dir, force = false) {
+    if (this.loadedDirs.has(dir) && !force) return;
+    this.loadedDirs.add(dir);
+    if (dir !== this.rootDir && !this.nested) return;
+    IGNORE_FILES.forEach((file) => this.loadIgnoreFile(path.join(dir, file)));
+  }
+
+  /**
+   * Adds the patterns of one ignore file, anchored at its directory.
+   * @param {string} filePath - Absolute path of the ignore file.
+   * @param {string} [baseDir] - Directory the patterns are relative to; defaults to
+   *   the file's directory.
+   */
+  loadIgnoreFile(filePath, baseDir = path.dirname(filePath)) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return;
+    }
+    const source = this.describeSource(filePath);
+    content.split('\n').forEach((line, index) => {
+      const pattern = line.trim();
+      if (pattern && !pattern.startsWith('#')) {
+        this.addRule(pattern, source, index + 1, baseDir);
       }
     });
+    Logger.info(`Loaded ignore patterns from ${source}`);
+  }
+
+  /**
+   * Adds `.git/info/exclude` and the file named by `core.excludesFile`
+   * (by default `$XDG_CONFIG_HOME/git/ignore`), both relative to the work
+   * tree root and overridden by any `.gitignore`.
+   * @param {string} commonDir - The repository's git directory.
+   */
+  loadGitExcludes(commonDir) {
+    const excludesFile = IgnoreProcessor.findExcludesFile(commonDir);
+    if (excludesFile) this.loadIgnoreFile(excludesFile, this.baseDir);
+    this.loadIgnoreFile(path.join(commonDir, 'info', 'exclude'), this.baseDir);
   }
 
-  isIgnored(filePath) {
-    const relativePath = path.relative(this.rootDir, filePath)
+  /**
+   * Adds one ignore pattern, remembering where it came from.
+   * @param {string} pattern - A gitignore-style pattern.
+   * @param {string} source - File the pattern was read from, or 'built-in'.
+   * @param {number|null} line - Line number in that file.
+   * @param {string} [baseDir] - Directory the pattern is relative to; defaults to rootDir.
+   */
+  addRule(pattern, source, line, baseDir = this.rootDir) {
+    const rebased = IgnoreProcessor.rebasePattern(pattern, this.toRelativePath(baseDir));
+    this.ig.add(rebased);
+    // The `ignore` package does not say which pattern matched, so each rule
+    // also gets a matcher of its own for explain()
+    this.rules.push({ source, line, pattern, matcher: ignore().add(rebased) });
+  }
+
+  /**
+   * @param {string} filePath - Absolute path.
+   * @param {boolean} [isDirectory] - Whether the path is a directory, for patterns ending in '/'.
+   * @returns {boolean}
+   */
+  isIgnored(filePath, isDirectory = false) {
+    const decision = this.decide(filePath, isDirectory);
+    return decision ? decision.ignored : false;
+  }
+
+  /**
+   * Explains the decision for a path: whether it is ignored and the rule
+   * responsible, which is the last rule that ignores it or, for a path that
+   * is not ignored, the last negated rule that re-includes it.
+   * @param {string} filePath - Absolute path.
+   * @param {boolean} [isDirectory] - Whether the path is a directory.
+   * @returns {{ignored: boolean, rule: {source: string, line: number|null, pattern: string}|null}}
+   */
+  explain(filePath, isDirectory = false) {
+    const decision = this.decide(filePath, isDirectory);
+    if (!decision) {
+      return { ignored: false, rule: null };
+    }
+    const { ignored, rules, matchedPath } = decision;
+    return { ignored, rule: this.findRule(rules, matchedPath, ignored) };
+  }
+
+  /**
+   * Decides whether a path is ignored, checking the built-in rules and then
+   * the combined matcher once each. Looking up which rule matched is left to
+   * explain(), as it tests every rule on its own.
+   * @returns {{ignored: boolean, rules: Array<Object>, matchedPath: string}|null} - The
+   *   decision, the rules that made it and the path they were tested with; null for
+   *   paths outside the root.
+   */
+  decide(filePath, isDirectory) {
+    const absolutePath = path.resolve(this.rootDir, filePath);
+    const fromRoot = path.relative(this.rootDir, absolutePath);
+    if (!fromRoot || fromRoot.startsWith('..') || path.isAbsolute(fromRoot)) {
+      return null;
+    }
+
+    // Ignore files are read lazily, top down, as paths below them are checked
+    let dir = this.rootDir;
+    fromRoot.split(path.sep).slice(0, -1).forEach((part) => {
+      dir = path.join(dir, part);
+      this.loadDirectory(dir);
+    });
+
+    const builtInPath = fromRoot.split(path.sep).join('/') + (isDirectory ? '/' : '');
+    if (this.builtIn.ignores(builtInPath)) {
+      return { ignored: true, rules: this.builtInRules, matchedPath: builtInPath };
+    }
+
+    const relativePath = this.toRelativePath(absolutePath) + (isDirectory ? '/' : '');
+    return { ignored: this.ig.ignores(relativePath), rules: this.rules, matchedPath: relativePath };
+  }
+
+  findRule(rules, relativePath, ignored) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const { matcher, ...rule } = rules[i];
+      const result = matcher.test(relativePath);
+      if (ignored ? result.ignored : result.unignored) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  toRelativePath(filePath) {
+    return path.relative(this.baseDir, filePath)
       .split(path.sep)
       .join('/'); // Normalize path separators
-    return this.ig.ignores(relativePath);
+  }
+
+  describeSource(filePath) {
+    const relative = path.relative(this.rootDir, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative)
+      ? filePath
+      : relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Rewrites a pattern from an ignore file in `prefix` so that it matches
+   * paths relative to the base directory with the same meaning: anchored
+   * patterns stay anchored to the file's directory, patterns without a
+   * slash match at any depth below it.
+   * @param {string} pattern
+   * @param {string} prefix - Directory of the ignore file relative to the base, '' for the base.
+   * @returns {string}
+   */
+  static rebasePattern(pattern, prefix) {
+    if (!prefix) return pattern;
+    const negated = pattern.startsWith('!');
+    let body = negated ? pattern.slice(1) : pattern;
+    const trailing = body.endsWith('/') ? '/' : '';
+    if (trailing) body = body.slice(0, -1);
+
+    const escapedPrefix = prefix.replace(/[\\*?[\]!#]/g, '\\$&');
+    let rebased;
+    if (body.startsWith('/')) {
+      rebased = `${escapedPrefix}${body}`;
+    } else if (body.includes('/')) {
+      rebased = `${escapedPrefix}/${body}`;
+    } else {
+      rebased = `${escapedPrefix}/**/${body}`;
+    }
+    return `${negated ? '!' : ''}${rebased}${trailing}`;
+  }
+
+  /**
+   * Finds the git work tree containing a directory and its git directory,
+   * following `.git` files (worktrees, submodules) and `commondir`.
+   * @param {string} dir
+   * @returns {{workTree: string, commonDir: string}|null}
+   */
+  static findGitDirs(dir) {
+    for (let current = dir; ; current = path.dirname(current)) {
+      const dotGit = path.join(current, '.git');
+      let gitDir = null;
+      try {
+        gitDir = fs.statSync(dotGit).isDirectory()
+          ? dotGit
+          : path.resolve(current, fs.readFileSync(dotGit, 'utf8').replace(/^gitdir:\s*/, '').trim());
+      } catch (error) {
+        // No .git here
+      }
+      if (gitDir) {
+        let commonDir = gitDir;
+        try {
+          commonDir = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+        } catch (error) {
+          // Not a linked worktree
+        }
+        return { workTree: current, commonDir };
+      }
+      if (path.dirname(current) === current) return null;
+    }
+  }
+
+  /**
+   * Reads `core.excludesFile` from the repository, global and XDG git
+   * configs, falling back to git's default location.
+   * @param {string} commonDir
+   * @returns {string|null} - Absolute path, whether or not the file exists.
+   */
+  static findExcludesFile(commonDir) {
+    const home = os.homedir();
+    const xdgConfig = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+    const configs = [path.join(commonDir, 'config'), path.join(home, '.gitconfig'), path.join(xdgConfig, 'git', 'config')];
+    for (const config of configs) {
+      const value = IgnoreProcessor.readCoreExcludesFile(config);
+      if (value) {
+        return value.startsWith('~/') ? path.join(home, value.slice(2)) : path.resolve(path.dirname(config), value);
+      }
+    }
+    return path.join(xdgConfig, 'git', 'ignore');
+  }
+
+  static readCoreExcludesFile(configPath) {
+    let content;
+    try {
+      content = fs.readFileSync(configPath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+    let section = null;
+    let value = null;
+    content.split('\n').forEach((line) => {
+      const header = line.match(/^\s*\[\s*([^\]\s]+)[^\]]*\]/);
+      if (header) {
+        section = header[1].toLowerCase();
+        return;
+      }
+      const entry = line.match(/^\s*excludesfile\s*=\s*(.*?)\s*$/i);
+      if (section === 'core' && entry) {
+        value = entry[1].replace(/^"(.*)"$/, '$1');
+      }
+    });
+    return value;
   }
 }
 
 module.exports = IgnoreProcessor;
-
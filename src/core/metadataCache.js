@@ -0,0 +1,168 @@
+// src/core/metadataCache.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+
+// Bump when the analysis changes so older entries are not reused
+const CACHE_VERSION = 1;
+const CACHE_FILE = 'metadata.json';
+
+/**
+ * MetadataCache
+ * Remembers what the MetadataProcessor found out about each file, so later
+ * runs only analyse files that changed. Entries are keyed by relative path
+ * and trusted while the file's mtime and size are unchanged; a file whose
+ * mtime or size moved (a checkout, a touch) is hashed and reuses its entry
+ * when the content hash still matches. The cache is one JSON file and is
+ * discarded as a whole when the settings that shape the analysis change.
+ */
+class MetadataCache {
+  /**
+   * @param {string} cacheDir - Directory holding the cache, e.g. `.llm-pack/cache`.
+   * @param {Object} [settings] - Settings the cached analysis depends on, such as the
+   *   extra binary extensions; a change invalidates every entry.
+   * @param {string} [rootDir] - Project root the entries' paths are relative to; without it
+   *   entries of files a run did not see are kept whether or not the files still exist.
+   */
+  constructor(cacheDir, settings = {}, rootDir = null) {
+    this.cacheDir = cacheDir;
+    this.rootDir = rootDir;
+    this.cacheFile = path.join(cacheDir, CACHE_FILE);
+    this.fingerprint = MetadataCache.hash(JSON.stringify({ version: CACHE_VERSION, settings }));
+    this.entries = new Map();
+    this.used = new Set();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Reads the cache from disk. A missing, unreadable or outdated cache
+   * starts out empty.
+   */
+  async load() {
+    this.entries = new Map();
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        Logger.warn(`Ignoring unreadable cache ${this.cacheFile}: ${error.message}`);
+      }
+      return;
+    }
+    if (!data || data.fingerprint !== this.fingerprint || typeof data.entries !== 'object') {
+      Logger.info('Cache was built with other settings; starting afresh.');
+      return;
+    }
+    Object.entries(data.entries).forEach(([relativePath, entry]) => this.entries.set(relativePath, entry));
+    Logger.debug(`Loaded ${this.entries.size} cache entries from ${this.cacheFile}`);
+  }
+
+  /**
+   * Returns the entry of a file whose mtime and size are unchanged.
+   * @param {string} relativePath
+   * @param {{mtimeMs: number, size: number}} stats
+   * @returns {Object|null}
+   */
+  get(relativePath, stats) {
+    const entry = this.entries.get(relativePath);
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return this.hit(relativePath, entry);
+    }
+    return null;
+  }
+
+  /**
+   * Returns the entry of a file whose content hash is unchanged, recording
+   * its new mtime and size.
+   * @param {string} relativePath
+   * @param {{mtimeMs: number, size: number}} stats
+   * @param {string} hash - SHA-256 of the content.
+   * @returns {Object|null}
+   */
+  getByHash(relativePath, stats, hash) {
+    const entry = this.entries.get(relativePath);
+    if (entry && entry.hash === hash) {
+      Object.assign(entry, { mtimeMs: stats.mtimeMs, size: stats.size });
+      return this.hit(relativePath, entry);
+    }
+    this.misses++;
+    return null;
+  }
+
+  hit(relativePath, entry) {
+    this.hits++;
+    this.used.add(relativePath);
+    return entry;
+  }
+
+  /**
+   * Stores the analysis of a file.
+   * @param {string} relativePath
+   * @param {{mtimeMs: number, size: number}} stats
+   * @param {string} hash - SHA-256 of the content.
+   * @param {Object} analysis - Whatever the MetadataProcessor needs to skip the file next time.
+   */
+  set(relativePath, stats, hash, analysis) {
+    this.entries.set(relativePath, { mtimeMs: stats.mtimeMs, size: stats.size, hash, ...analysis });
+    this.used.add(relativePath);
+  }
+
+  /**
+   * Forgets a file that is gone, so the next save() leaves it out. Watch
+   * mode calls it for deleted files, as it keeps one cache across rebuilds.
+   * @param {string} relativePath
+   */
+  delete(relativePath) {
+    this.entries.delete(relativePath);
+    this.used.delete(relativePath);
+  }
+
+  /**
+   * Writes the entries, dropping files that are gone. Entries of files this
+   * run did not scan, such as those outside `--since` or `--include`, are
+   * kept for the next run that does.
+   */
+  async save() {
+    const paths = [...this.entries.keys()].sort();
+    const present = await Promise.all(
+      paths.map((relativePath) => this.used.has(relativePath) || this.exists(relativePath)),
+    );
+    const entries = {};
+    paths.forEach((relativePath, index) => {
+      if (present[index]) entries[relativePath] = this.entries.get(relativePath);
+    });
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(this.cacheFile, JSON.stringify({ fingerprint: this.fingerprint, entries }), 'utf8');
+    Logger.debug(`Saved ${Object.keys(entries).length} cache entries to ${this.cacheFile}`);
+  }
+
+  async exists(relativePath) {
+    if (!this.rootDir) return true;
+    try {
+      await fs.access(path.join(this.rootDir, relativePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Deletes the cache directory.
+   */
+  async clear() {
+    await fs.rm(this.cacheDir, { recursive: true, force: true });
+    this.entries = new Map();
+    this.used = new Set();
+    Logger.info(`Cleared cache at ${this.cacheDir}`);
+  }
+
+  static hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+}
+
+MetadataCache.CACHE_VERSION = CACHE_VERSION;
+
+module.exports = MetadataCache;
@@ -2,53 +2,247 @@
 const fs = require( 'fs' ).promises;
 const path = require('path');
 const Logger = require('../utils/logger');
+const BinaryDetector = require('./binaryDetector');
+const DependencyExtractor = require('./dependencyExtractor');
+const DependencyResolver = require('./dependencyResolver');
+const MetadataCache = require('./metadataCache');
+const RelationshipMapper = require('./relationshipMapper');
 
 class MetadataProcessor {
-  constructor(rootDir) {
+  /**
+   * @param {string} rootDir - The project root directory.
+   * @param {Object} [options] - The `metadata` section of the configuration.
+   * @param {Object} [options.resolve] - Dependency resolution options
+   *   (`extensions`, `tsconfig`), see DependencyResolver.
+   * @param {Object} [options.binary] - Handling of binary files (the `scan.binary` setting):
+   *   `mode` is 'exclude' (default) to leave them out or 'stub' to keep an entry with
+   *   their type, size and hash; `extensions` lists extra binary extensions.
+   * @param {MetadataCache} [options.cache] - Loaded cache to reuse the analysis of unchanged
+   *   files from and store new analyses in.
+   */
+  constructor(rootDir, options = {}) {
     this.rootDir = rootDir;
+    this.options = options;
+    this.cache = options.cache || null;
+    this.binaryMode = (options.binary && options.binary.mode) || 'exclude';
+    this.binaryDetector = new BinaryDetector(options.binary);
+    this.dependencyExtractor = new DependencyExtractor();
   }
 
+  /**
+   * Enriches files with metadata and their content. Files are read in
+   * parallel but returned in the order given; binary files are left out or
+   * stubbed, and unreadable files left out.
+   * @param {Array<string>} files - Absolute file paths.
+   * @returns {Promise<Array<Object>>}
+   */
   async enrich(files) {
     Logger.info(`Starting metadata enrichment for ${files.length} files.`);
-    const enrichedFiles = [];
+    const enrichedFiles = await this.analyzeFiles(files);
+    this.link(enrichedFiles, files);
+    Logger.info(`Metadata enrichment completed.`);
+    return enrichedFiles;
+  }
+
+  /**
+   * Reads and analyses files on their own, without the dependency
+   * resolution and relationships that need the whole file set (see link).
+   * @param {Array<string>} files - Absolute file paths.
+   * @returns {Promise<Array<Object>>} - Enriched files in the order given.
+   */
+  async analyzeFiles(files) {
+    let binaryFiles = 0;
+    const cacheHits = this.cache ? this.cache.hits : 0;
 
     const tasks = files.map(async (filePath) => {
       try {
         const relativePath = path.relative(this.rootDir, filePath);
         const fileName = path.basename(filePath);
-        const content = await fs.readFile(filePath, 'utf8');
-        const metadata = this.extractMetadata(content, filePath);
+        const { analysis, content } = await this.analyzeFile(filePath, relativePath);
+        if (analysis.binary) {
+          binaryFiles++;
+          Logger.debug(`Binary file ${relativePath} (${analysis.reason}): ${this.binaryMode}`);
+          return this.binaryMode === 'stub' ? this.createBinaryStub(analysis.binary, filePath, relativePath) : null;
+        }
 
-        // Add relationship detection & output preparation
-        const relationships = await this.findRelationships(filePath);
-        const outputMetadata = this.prepareForOutput(metadata, relationships);
+        // Relationships need every file, so they are filled in once all are enriched
+        const outputMetadata = this.prepareForOutput(MetadataProcessor.copyMetadata(analysis.metadata));
 
-        enrichedFiles.push({
+        Logger.debug(`Enriched metadata for ${relativePath}`);
+        return {
+          path: filePath,
           fileName,
           relativePath,
           metadata: outputMetadata,
           content,
-        });
-        Logger.debug(`Enriched metadata for ${relativePath}`);
+        };
       } catch (error) {
         Logger.error(`Error enriching metadata for ${filePath}: ${error.message}`);
+        return null;
       }
     });
 
-    await Promise.all(tasks);
-    Logger.info(`Metadata enrichment completed.`);
+    const enrichedFiles = (await Promise.all(tasks)).filter(Boolean);
+    if (binaryFiles > 0) {
+      Logger.info(`${this.binaryMode === 'stub' ? 'Stubbed' : 'Excluded'} ${binaryFiles} binary file(s).`);
+    }
+    if (this.cache) {
+      Logger.info(`Reused cached metadata for ${this.cache.hits - cacheHits} of ${files.length} file(s).`);
+    }
     return enrichedFiles;
   }
 
+  /**
+   * Resolves the dependencies of analysed files and fills in their
+   * relationships, replacing any found before.
+   * @param {Array<Object>} enrichedFiles - Every file of the pack, as returned by analyzeFiles.
+   * @param {Array<string>} files - Absolute paths of all scanned files.
+   */
+  link(enrichedFiles, files) {
+    this.resolveDependencies(enrichedFiles, files);
+    this.relationshipMapper = new RelationshipMapper(enrichedFiles, this.resolver);
+    enrichedFiles.forEach((file) => {
+      file.metadata.relationships = this.findRelationships(file);
+    });
+  }
+
+  /**
+   * Works out whether a file is binary, its encoding and its metadata, or
+   * takes them from the cache when the file is unchanged.
+   * @param {string} filePath
+   * @param {string} relativePath
+   * @returns {Promise<{analysis: Object, content: string|null}>} - The analysis (see analyze)
+   *   and the decoded content, null for binary files.
+   */
+  async analyzeFile(filePath, relativePath) {
+    if (!this.cache) {
+      const buffer = await fs.readFile(filePath);
+      return this.analyze(buffer, filePath);
+    }
+
+    const stats = await fs.stat(filePath);
+    const cached = this.cache.get(relativePath, stats);
+    if (cached) {
+      // Unchanged binary files are not read at all
+      const content = cached.binary ? null : this.binaryDetector.decode(await fs.readFile(filePath), cached.encoding);
+      return { analysis: cached, content };
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const hash = MetadataCache.hash(buffer);
+    const rehashed = this.cache.getByHash(relativePath, stats, hash);
+    if (rehashed) {
+      return {
+        analysis: rehashed,
+        content: rehashed.binary ? null : this.binaryDetector.decode(buffer, rehashed.encoding),
+      };
+    }
+    const result = this.analyze(buffer, filePath);
+    this.cache.set(relativePath, stats, hash, result.analysis);
+    return result;
+  }
+
+  /**
+   * Analyses a file's content.
+   * @param {Buffer} buffer
+   * @param {string} filePath
+   * @returns {{analysis: Object, content: string|null}} - `analysis` holds `binary` (type,
+   *   size and hash of a binary file, else null), the detection `reason`, the text
+   *   `encoding` and the extracted `metadata`.
+   */
+  analyze(buffer, filePath) {
+    const detected = this.binaryDetector.detect(buffer, filePath);
+    if (detected.binary) {
+      const binary = this.binaryDetector.describe(buffer, filePath);
+      return { analysis: { binary, reason: detected.reason, encoding: null, metadata: null }, content: null };
+    }
+    const content = this.binaryDetector.decode(buffer, detected.encoding);
+    return {
+      analysis: {
+        binary: null,
+        reason: null,
+        encoding: detected.encoding,
+        metadata: this.extractMetadata(content, filePath),
+      },
+      content,
+    };
+  }
+
+  /**
+   * Copies analysed metadata, so resolving dependencies later does not
+   * change the cached entry.
+   */
+  static copyMetadata(metadata) {
+    return {
+      ...metadata,
+      dependencies: [...metadata.dependencies],
+      dependencyDetails: metadata.dependencyDetails.map((dependency) => ({ ...dependency })),
+    };
+  }
+
+  /**
+   * Builds the entry that stands in for a binary file: its content is a
+   * one-line summary and `metadata.binary` holds its type, size and hash.
+   * @param {{type: string, size: number, hash: string}} binary - See BinaryDetector.describe.
+   */
+  createBinaryStub(binary, filePath, relativePath) {
+    return {
+      path: filePath,
+      fileName: path.basename(filePath),
+      relativePath,
+      metadata: this.prepareForOutput({
+        description: `Binary file (${binary.type})`,
+        dependencies: [],
+        dependencyDetails: [],
+        binary,
+      }),
+      content: `[binary file: ${binary.type}, ${binary.size} bytes, sha256 ${binary.hash}]`,
+    };
+  }
+
   extractMetadata(content, filePath) {
+    const dependencyDetails = this.dependencyExtractor.extract(content, filePath);
     const metadata = {
       description: this.generateDescription(filePath),
-      dependencies: this.extractDependencies(content, filePath),
+      dependencies: dependencyDetails.map((dependency) => dependency.specifier),
+      dependencyDetails,
     };
     // Additional logic or placeholders can be added here if needed
     return metadata;
   }
 
+  /**
+   * Maps each file's relative and package dependencies to files in the
+   * scanned set, recording the result on every dependency detail and as
+   * `metadata.resolvedDependencies` (paths relative to rootDir).
+   * @param {Array<Object>} enrichedFiles - Files enriched so far.
+   * @param {Array<string>} files - Absolute paths of all scanned files.
+   */
+  resolveDependencies(enrichedFiles, files) {
+    const contents = {};
+    enrichedFiles.forEach((file) => {
+      contents[path.resolve(file.path)] = file.content;
+    });
+    const resolver = new DependencyResolver(this.rootDir, files, {
+      ...(this.options.resolve || {}),
+      contents,
+    });
+    this.resolver = resolver;
+
+    enrichedFiles.forEach((file) => {
+      const resolved = [];
+      (file.metadata.dependencyDetails || []).forEach((dependency) => {
+        dependency.resolved = dependency.kind === 'builtin'
+          ? null
+          : resolver.resolve(dependency.specifier, file.path);
+        if (dependency.resolved && !resolved.includes(dependency.resolved)) {
+          resolved.push(dependency.resolved);
+        }
+      });
+      file.metadata.resolvedDependencies = resolved;
+    });
+  }
+
   prepareForOutput(metadata, relationships) {
     // Prepare additional metadata fields for output
     return {
@@ -57,9 +251,16 @@ class MetadataProcessor {
     };
   }
 
-  async findRelationships(file) {
-    // Placeholder for identifying file relationships
-    return [];
+  /**
+   * Returns the typed relationships of an enriched file: `imports`,
+   * `importedBy`, `testedBy`, `tests` and `configures`.
+   * Only available once enrich() has processed the whole file set.
+   * @param {Object} file - Enriched file object.
+   * @returns {Array<{type: string, target: string}>}
+   */
+  findRelationships(file) {
+    if (!this.relationshipMapper) return [];
+    return this.relationshipMapper.get(file.relativePath);
   }
 
   generateDescription(filePath) {
@@ -82,17 +283,16 @@ class MetadataProcessor {
     }
   }
 
+  /**
+   * Extracts the module specifiers a file depends on.
+   * @param {string} content - File content.
+   * @param {string} filePath - Path of the file.
+   * @returns {Array<string>} - Specifiers in order of first appearance.
+   */
   extractDependencies(content, filePath) {
-    const dependencies = [];
-
-    const importRegex = /import\s+.*\s+from\s+['"](.*)['"];?/g;
-    let match;
-
-    while ((match = importRegex.exec(content)) !== null) {
-      dependencies.push(match[1]);
-    }
-
-    return dependencies;
+    return this.dependencyExtractor
+      .extract(content, filePath)
+      .map((dependency) => dependency.specifier);
   }
 }
 
@@ -0,0 +1,91 @@
+// src/core/pathFilter.js
+const picomatch = require('picomatch');
+
+const MATCH_OPTIONS = { dot: true };
+
+/**
+ * PathFilter
+ * Applies the `include` and `exclude` glob lists to paths relative to the
+ * project root. A pattern matching a directory covers everything in it. A
+ * file is kept when no exclude pattern matches it and, if include patterns
+ * are given, at least one of them does. Directories are tested too, so
+ * subtrees that are excluded or cannot hold an included file are never
+ * walked.
+ */
+class PathFilter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.include] - Globs a file must match, e.g. `src/**\/*.js`.
+   * @param {Array<string>} [options.exclude] - Globs of files and directories to leave out.
+   */
+  constructor(options = {}) {
+    this.include = (options.include || []).map((pattern) => PathFilter.compile(pattern));
+    this.exclude = (options.exclude || []).map((pattern) => PathFilter.compile(pattern));
+  }
+
+  static compile(pattern) {
+    const { base, isGlob } = picomatch.scan(pattern);
+    return {
+      pattern,
+      matcher: picomatch(pattern, MATCH_OPTIONS),
+      // Directory the pattern is confined to, and how deep it can reach
+      base: isGlob ? base : pattern,
+      depth: !isGlob || pattern.includes('**') || pattern.includes('{') ? Infinity : pattern.split('/').length,
+    };
+  }
+
+  /**
+   * Returns why a file is filtered out, or null when it is kept.
+   * @param {string} relativePath - Path relative to the root, with '/' separators.
+   * @returns {string|null}
+   */
+  checkFile(relativePath) {
+    const excluded = PathFilter.findMatch(this.exclude, relativePath);
+    if (excluded) return `excluded by pattern \`${excluded}\``;
+    if (this.include.length > 0 && !PathFilter.findMatch(this.include, relativePath)) {
+      return 'not matched by include patterns';
+    }
+    return null;
+  }
+
+  /**
+   * Returns why a directory need not be walked, or null when it must be.
+   * @param {string} relativePath - Path relative to the root, with '/' separators.
+   * @returns {string|null}
+   */
+  checkDirectory(relativePath) {
+    const excluded = PathFilter.findMatch(this.exclude, relativePath);
+    if (excluded) return `excluded by pattern \`${excluded}\``;
+    if (this.include.length > 0 && !this.include.some((entry) => PathFilter.mayContain(entry, relativePath))) {
+      return 'outside include patterns';
+    }
+    return null;
+  }
+
+  /**
+   * Finds the first pattern matching a path or one of its directories.
+   * @returns {string|null}
+   */
+  static findMatch(patterns, relativePath) {
+    const parts = relativePath.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      const candidate = parts.slice(0, i).join('/');
+      const match = patterns.find(({ matcher }) => matcher(candidate));
+      if (match) return match.pattern;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a directory can contain files matching an include pattern.
+   */
+  static mayContain({ base, depth }, dir) {
+    if (base && base !== dir && !dir.startsWith(`${base}/`)) {
+      // Only directories leading to the base can, then
+      return base.startsWith(`${dir}/`);
+    }
+    return dir.split('/').length < depth;
+  }
+}
+
+module.exports = PathFilter;
@@ -73,6 +73,26 @@ class PluginBase {
 		}
 	}
 
+	/**
+	 * Returns the sort strategies this plugin provides, keyed by the name used in
+	 * `sortingStrategy` and `--strategy`. Values are strategy classes, constructed
+	 * with the strategy's options, or factories `(options) => strategy`.
+	 * @returns {Object<string, Function>}
+	 */
+	getSortStrategies() {
+		return {};
+	}
+
+	/**
+	 * Returns the output formats this plugin provides, keyed by the name used
+	 * in `output.format` and `--format`. Values are Formatter subclasses or
+	 * factories `() => formatter`.
+	 * @returns {Object<string, Function>}
+	 */
+	getFormatters() {
+		return {};
+	}
+
 	/**
 	 * Protected methods for plugin-specific implementations.
 	 * These methods should be overridden by derived classes as needed.
@@ -164,6 +164,67 @@ class PluginManager {
 		return true;
 	}
 
+	/**
+	 * Registers the sort strategies provided by loaded plugins through
+	 * `getSortStrategies()`.
+	 * @param {StrategyRegistry} registry - Registry to add the strategies to.
+	 */
+	registerStrategies(registry) {
+		this.registerProvided(registry, 'getSortStrategies', 'sort strategy', 'sort strategies');
+	}
+
+	/**
+	 * Registers the output formats provided by loaded plugins through
+	 * `getFormatters()`.
+	 * @param {FormatterRegistry} registry - Registry to add the formats to.
+	 */
+	registerFormatters(registry) {
+		this.registerProvided(registry, 'getFormatters', 'output format', 'output formats');
+	}
+
+	/**
+	 * Adds what each plugin returns from a provider method, an object of
+	 * factories keyed by name, to a registry. A plugin whose method throws,
+	 * or a factory the registry rejects, is logged and skipped.
+	 * @param {StrategyRegistry|FormatterRegistry} registry
+	 * @param {string} method - Provider method, e.g. 'getSortStrategies'.
+	 * @param {string} noun - What is provided, for log messages.
+	 * @param {string} plural - Plural of the noun.
+	 */
+	registerProvided(registry, method, noun, plural) {
+		for (const plugin of this.plugins) {
+			if (typeof plugin.instance[method] !== 'function') {
+				continue;
+			}
+
+			let provided;
+			try {
+				provided = plugin.instance[method]() || {};
+			} catch (error) {
+				Logger.error(
+					`Failed to get ${plural} from plugin '${plugin.manifest.name}': ${error.message}`,
+					error,
+				);
+				continue;
+			}
+
+			for (const [name, factory] of Object.entries(provided)) {
+				try {
+					registry.register(name, factory, {
+						description: factory.description || '',
+						requiredOptions: factory.requiredOptions,
+						source: `plugin '${plugin.manifest.name}'`,
+					});
+					Logger.info(`Registered ${noun} '${name}' from plugin '${plugin.manifest.name}'.`);
+				} catch (error) {
+					Logger.error(
+						`Failed to register ${noun} '${name}' from plugin '${plugin.manifest.name}': ${error.message}`,
+					);
+				}
+			}
+		}
+	}
+
 	async executeHook(hookName, ...args) {
 		if (!hookName || typeof hookName !== 'string') {
 			Logger.error('Invalid hook name provided');
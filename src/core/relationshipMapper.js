@@ -0,0 +1,187 @@
+// src/core/relationshipMapper.js
+const path = require('path');
+
+const TEST_DIRS = ['test', 'tests', '__tests__', 'spec', 'specs'];
+const TEST_SUITE_DIRS = ['unit', 'integration', 'e2e', 'functional'];
+const SOURCE_DIRS = ['src', 'lib', 'app', 'source'];
+const TEST_FILE_PATTERN = /\.(test|spec)\.[^.]+$/;
+
+// Config file name patterns and the tool each one configures.
+const CONFIG_TOOLS = [
+  [/^package\.json$/, 'npm'],
+  [/^tsconfig(\..+)?\.json$/, 'typescript'],
+  [/^jsconfig\.json$/, 'javascript'],
+  [/^(babel\.config\.(js|cjs|mjs|json)|\.babelrc(\.json|\.js)?)$/, 'babel'],
+  [/^jest\.config(\..+)?\.(js|cjs|mjs|ts|json)$/, 'jest'],
+  [/^vitest\.config\.(js|mjs|ts)$/, 'vitest'],
+  [/^webpack(\..+)?\.config\.(js|cjs|mjs|ts)$/, 'webpack'],
+  [/^vite\.config\.(js|mjs|ts)$/, 'vite'],
+  [/^rollup\.config\.(js|mjs|ts)$/, 'rollup'],
+  [/^(\.eslintrc(\.(js|cjs|json|ya?ml))?|eslint\.config\.(js|cjs|mjs))$/, 'eslint'],
+  [/^(\.prettierrc(\.(js|cjs|json|ya?ml))?|prettier\.config\.(js|cjs|mjs))$/, 'prettier'],
+  [/^\.llm-pack\.config\.json$/, 'llm-pack'],
+  [/^\.editorconfig$/, 'editorconfig'],
+  [/^(\.nvmrc|\.node-version|\.tool-versions)$/, 'node version'],
+  [/^Dockerfile(\..+)?$/, 'docker'],
+  [/^(docker-)?compose\.ya?ml$/, 'docker compose'],
+  [/^plugin\.json$/, 'llm-pack plugin'],
+];
+
+/**
+ * RelationshipMapper
+ * Builds typed relationships between enriched files:
+ * - `imports` / `importedBy` from resolved dependencies,
+ * - `testedBy` / `tests` by pairing test files (X.test.js under tests/,
+ *   __tests__/X.js, X.spec.ts next to the source) with the source they cover,
+ * - `configures` for known config files, naming the tool and, for
+ *   package.json, the entry files it declares.
+ */
+class RelationshipMapper {
+  /**
+   * @param {Array<Object>} files - Enriched files with `metadata.resolvedDependencies`.
+   * @param {Object} [resolver] - DependencyResolver used to resolve package.json entries.
+   */
+  constructor(files, resolver = null) {
+    this.files = files;
+    this.resolver = resolver;
+    this.byPath = new Map(files.map((file) => [file.relativePath, file]));
+    this.relationships = new Map(files.map((file) => [file.relativePath, []]));
+    this.build();
+  }
+
+  /**
+   * @param {string} relativePath - Path of a file relative to the project root.
+   * @returns {Array<{type: string, target: string}>} - Relationships of the file.
+   */
+  get(relativePath) {
+    return this.relationships.get(relativePath) || [];
+  }
+
+  build() {
+    this.files.forEach((file) => {
+      const imports = (file.metadata && file.metadata.resolvedDependencies) || [];
+      imports.forEach((target) => {
+        if (target === file.relativePath || !this.byPath.has(target)) return;
+        this.add(file.relativePath, 'imports', target);
+        this.add(target, 'importedBy', file.relativePath);
+      });
+    });
+
+    this.files.filter((file) => RelationshipMapper.isTestFile(file.relativePath)).forEach((test) => {
+      const source = this.findTestedSource(test);
+      if (source) {
+        this.add(source, 'testedBy', test.relativePath);
+        this.add(test.relativePath, 'tests', source);
+      }
+    });
+
+    this.files.forEach((file) => {
+      this.findConfigured(file).forEach((target) => this.add(file.relativePath, 'configures', target));
+    });
+  }
+
+  add(from, type, target) {
+    const list = this.relationships.get(from);
+    if (list && !list.some((rel) => rel.type === type && rel.target === target)) {
+      list.push({ type, target });
+    }
+  }
+
+  static isTestFile(relativePath) {
+    const segments = relativePath.split(/[\\/]/);
+    return TEST_FILE_PATTERN.test(segments[segments.length - 1]) ||
+      segments.slice(0, -1).some((segment) => TEST_DIRS.includes(segment));
+  }
+
+  static getStem(relativePath) {
+    return path.basename(relativePath).replace(/\.[^.]+$/, '').replace(/\.(test|spec)$/, '');
+  }
+
+  /**
+   * Picks the source file a test covers: a same-named file the test imports,
+   * otherwise the same-named source whose directory layout mirrors the test's
+   * most closely, as long as that match is unambiguous.
+   */
+  findTestedSource(test) {
+    const stem = RelationshipMapper.getStem(test.relativePath);
+    const candidates = this.files.filter((file) =>
+      file !== test &&
+      !RelationshipMapper.isTestFile(file.relativePath) &&
+      RelationshipMapper.getStem(file.relativePath) === stem
+    );
+    if (candidates.length === 0) return null;
+
+    const imported = (test.metadata && test.metadata.resolvedDependencies) || [];
+    const direct = candidates.find((file) => imported.includes(file.relativePath));
+    if (direct) return direct.relativePath;
+
+    const testDir = path.dirname(test.relativePath);
+    const testSegments = this.stripRoots(testDir.split(/[\\/]/), [...TEST_DIRS, ...TEST_SUITE_DIRS]);
+    const scored = candidates.map((file) => {
+      const sourceDir = path.dirname(file.relativePath);
+      if (sourceDir === testDir || path.dirname(testDir) === sourceDir) {
+        return { file, score: Infinity };
+      }
+      const sourceSegments = this.stripRoots(sourceDir.split(/[\\/]/), SOURCE_DIRS);
+      let score = 0;
+      while (score < testSegments.length && testSegments[score] === sourceSegments[score]) score++;
+      return { file, score };
+    });
+
+    const best = Math.max(...scored.map((item) => item.score));
+    const winners = scored.filter((item) => item.score === best);
+    return winners.length === 1 ? winners[0].file.relativePath : null;
+  }
+
+  stripRoots(segments, roots) {
+    const stripped = segments.filter((segment) => segment !== '.');
+    while (stripped.length > 0 && roots.includes(stripped[0])) stripped.shift();
+    return stripped;
+  }
+
+  /**
+   * Returns what a config file configures: the tool, plus the entry files
+   * declared by a package.json.
+   */
+  findConfigured(file) {
+    const name = path.basename(file.relativePath);
+    const match = CONFIG_TOOLS.find(([pattern]) => pattern.test(name));
+    if (!match) return [];
+
+    const targets = [match[1]];
+    if (name === 'package.json') {
+      targets.push(...this.findPackageEntries(file));
+    }
+    return targets;
+  }
+
+  findPackageEntries(file) {
+    let manifest;
+    try {
+      manifest = JSON.parse(file.content || '');
+    } catch (error) {
+      return [];
+    }
+
+    const entries = [];
+    if (typeof manifest.main === 'string') entries.push(manifest.main);
+    if (typeof manifest.bin === 'string') entries.push(manifest.bin);
+    if (manifest.bin && typeof manifest.bin === 'object') entries.push(...Object.values(manifest.bin));
+
+    const dir = path.dirname(file.relativePath);
+    const targets = [];
+    entries.forEach((entry) => {
+      let target = path.join(dir, entry);
+      if (this.resolver && file.path) {
+        const resolved = this.resolver.resolvePath(path.resolve(path.dirname(file.path), entry));
+        target = resolved ? path.relative(this.resolver.rootDir, resolved) : null;
+      }
+      if (target && this.byPath.has(target) && !targets.includes(target)) {
+        targets.push(target);
+      }
+    });
+    return targets;
+  }
+}
+
+module.exports = RelationshipMapper;
@@ -0,0 +1,198 @@
+// src/core/strategies/compositeSort.js
+const fs = require('fs').promises;
+const path = require('path');
+const DependencySort = require('./dependencySort');
+const TypeSort = require('./typeSort');
+const comparePaths = require('../../utils/comparePaths');
+
+const KEY_ALIASES = {
+	dir: 'dir',
+	directory: 'dir',
+	type: 'type',
+	size: 'size',
+	mtime: 'mtime',
+	depth: 'depth',
+	dependency: 'depth',
+	lexical: 'lexical',
+	path: 'lexical',
+};
+const KEY_NAMES = ['dir', 'type', 'size', 'mtime', 'depth', 'lexical'];
+
+/**
+ * CompositeSort
+ * Sorts by an ordered list of keys, each ascending or descending, falling
+ * through to the next key on ties:
+ * - `dir`: parent directory of the file,
+ * - `type`: file type, ranked like TypeSort, then extension,
+ * - `size`: size in bytes,
+ * - `mtime`: last modification time,
+ * - `depth`: dependency depth, so files come after the files they import
+ *   (members of a dependency cycle share a depth),
+ * - `lexical`: relative path.
+ * Keys are given as a list such as `dir,depth,size:desc` or as
+ * `{ key, order }` objects. Files equal on every key are ordered by path.
+ */
+class CompositeSort {
+	/**
+	 * @param {Object} options
+	 * @param {string|Array<string|Object>} options.keys - Sort keys, e.g. `dir,type:desc,size`.
+	 * @param {string} [options.order] - Order for keys that do not give their own ('asc' or 'desc').
+	 */
+	constructor(options = {}) {
+		const defaultOrder = options.order?.toLowerCase() === 'desc' ? 'desc' : 'asc';
+		this.keys = CompositeSort.parseKeys(options.keys, defaultOrder);
+		this.typeSort = new TypeSort();
+	}
+
+	/**
+	 * Normalizes a key list to `[{ key, order }]`.
+	 * @param {string|Array<string|Object>} keys - Key list as a string or array.
+	 * @param {string} [defaultOrder='asc'] - Order for keys without one.
+	 * @returns {Array<{key: string, order: string}>}
+	 */
+	static parseKeys(keys, defaultOrder = 'asc') {
+		const entries = typeof keys === 'string' ? keys.split(',') : keys;
+		if (!Array.isArray(entries)) {
+			throw new Error('Composite sort keys must be a comma-separated string or an array');
+		}
+
+		const parsed = entries
+			.map((entry) => (typeof entry === 'string' ? CompositeSort.parseKey(entry) : entry))
+			.filter((entry) => entry && entry.key !== '')
+			.map(({ key, order }) => {
+				const name = CompositeSort.isKey(key) ? KEY_ALIASES[String(key).trim().toLowerCase()] : null;
+				if (!name) {
+					throw new Error(`Unknown sort key "${key}". Available keys: ${KEY_NAMES.join(', ')}`);
+				}
+				const direction = (order || defaultOrder).toLowerCase();
+				if (!['asc', 'desc'].includes(direction)) {
+					throw new Error(`Invalid order "${order}" for sort key "${key}": expected asc or desc`);
+				}
+				return { key: name, order: direction };
+			});
+
+		if (parsed.length === 0) {
+			throw new Error('Composite sort needs at least one key');
+		}
+		return parsed;
+	}
+
+	static isKey(name) {
+		return Object.prototype.hasOwnProperty.call(KEY_ALIASES, String(name).trim().toLowerCase());
+	}
+
+	static parseKey(entry) {
+		const [key, order] = entry.trim().split(':');
+		return { key: key.trim(), order: order && order.trim() };
+	}
+
+	async sort(files) {
+		if (!Array.isArray(files)) {
+			throw new Error('Files must be provided as an array');
+		}
+
+		const used = new Set(this.keys.map(({ key }) => key));
+		let items = files;
+		let depths = null;
+		if (used.has('depth')) {
+			({ files: items, depths } = this.computeDepths(files));
+		}
+		const stats = used.has('size') || used.has('mtime')
+			? await Promise.all(items.map((file) => this.statFile(file)))
+			: [];
+
+		const rows = items.map((file, index) => {
+			const relativePath = file.relativePath || file.path || '';
+			const type = this.typeSort.getFileType(relativePath);
+			return {
+				file,
+				values: {
+					dir: path.dirname(relativePath),
+					type: [this.typeSort.getPriority(type), path.extname(relativePath).toLowerCase()],
+					size: stats[index]?.size,
+					mtime: stats[index]?.mtime,
+					depth: depths && depths.get(file.relativePath || file.path),
+					lexical: relativePath,
+				},
+			};
+		});
+
+		rows.sort((a, b) => {
+			for (const { key, order } of this.keys) {
+				const result = CompositeSort.compare(a.values[key], b.values[key]);
+				if (result !== 0) {
+					return order === 'desc' ? -result : result;
+				}
+			}
+			return comparePaths(a.values.lexical, b.values.lexical);
+		});
+		return rows.map((row) => row.file);
+	}
+
+	static compare(a, b) {
+		if (Array.isArray(a)) {
+			for (let i = 0; i < a.length; i++) {
+				const result = CompositeSort.compare(a[i], b[i]);
+				if (result !== 0) return result;
+			}
+			return 0;
+		}
+		if (typeof a === 'string') {
+			return comparePaths(a, b);
+		}
+		return (a || 0) - (b || 0);
+	}
+
+	/**
+	 * Reads size and modification time, falling back to the content length
+	 * when the file cannot be read.
+	 */
+	async statFile(file) {
+		const filePath = file.path || file.relativePath;
+		try {
+			const stats = await fs.stat(filePath);
+			return { size: stats.size, mtime: stats.mtimeMs };
+		} catch (error) {
+			return { size: Buffer.byteLength(file.content || '', 'utf8'), mtime: 0 };
+		}
+	}
+
+	/**
+	 * Computes each file's dependency depth: 0 for files that import nothing
+	 * in the set, otherwise one more than the deepest file they import.
+	 * Returns the files as given, except that members of a dependency cycle
+	 * are replaced by DependencySort's annotated copies.
+	 * @returns {{files: Array<Object>, depths: Map<string, number>}}
+	 */
+	computeDepths(files) {
+		const dependencySort = new DependencySort();
+		const ordered = dependencySort.sort(files);
+		const byKey = new Map(ordered.map((file) => [file.relativePath || file.path, file]));
+		const depths = new Map();
+
+		for (const file of ordered) {
+			const fileKey = file.relativePath || file.path;
+			if (depths.has(fileKey)) continue;
+
+			const group = file.metadata?.dependencyCycle || [fileKey];
+			let depth = 0;
+			group.forEach((memberKey) => {
+				dependencySort.getDependencyKeys(byKey.get(memberKey), memberKey).forEach((depKey) => {
+					if (!group.includes(depKey) && depths.has(depKey)) {
+						depth = Math.max(depth, depths.get(depKey) + 1);
+					}
+				});
+			});
+			group.forEach((memberKey) => depths.set(memberKey, depth));
+		}
+
+		return {
+			files: files.map((file) => byKey.get(file.relativePath || file.path) || file),
+			depths,
+		};
+	}
+}
+
+CompositeSort.KEY_NAMES = KEY_NAMES;
+
+module.exports = CompositeSort;
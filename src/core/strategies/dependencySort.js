@@ -1,5 +1,13 @@
 const path = require('path');
+const Logger = require('../../utils/logger');
 
+/**
+ * DependencySort
+ * Orders files so that every file comes after the files it depends on.
+ * Dependency cycles are found as strongly connected components (Tarjan's
+ * algorithm) and emitted together, in input order, instead of aborting the
+ * sort; each member gets `metadata.dependencyCycle` listing the whole group.
+ */
 class DependencySort {
 	constructor() {
 		this.resolvedDeps = new Map();
@@ -11,60 +19,110 @@ class DependencySort {
 		}
 
 		const fileMap = new Map();
-		const sorted = [];
-		const visited = new Set();
-		const temp = new Set();
-
-		// Initialize file map with normalized paths
 		files.forEach((file) => {
-			const key = file.relativePath || file.path;
-			fileMap.set(key, file);
+			fileMap.set(file.relativePath || file.path, file);
 		});
 
-		const visit = (file, chain = []) => {
-			const fileKey = file.relativePath || file.path;
+		const sorted = [];
+		const index = new Map();
+		const lowLink = new Map();
+		const stack = [];
+		const onStack = new Set();
+		let counter = 0;
 
-			if (visited.has(fileKey)) return;
-			if (temp.has(fileKey)) {
-				throw new Error(`Circular dependency detected involving ${chain[0]}`);
-			}
+		const visit = (file) => {
+			const fileKey = file.relativePath || file.path;
+			index.set(fileKey, counter);
+			lowLink.set(fileKey, counter);
+			counter++;
+			stack.push(fileKey);
+			onStack.add(fileKey);
 
-			temp.add(fileKey);
-			chain.push(fileKey);
-
-			// Process dependencies
-			const deps = file.metadata?.dependencies || [];
-			if (Array.isArray(deps)) {
-				for (const dep of deps) {
-					if (!dep) continue;
-
-					// Handle dependency path with or without .js extension
-					const depPath = dep.endsWith('.js') ? dep : `${dep}.js`;
-					const normalizedPath = depPath.startsWith('./')
-						? path.join(path.dirname(fileKey), depPath.slice(2))
-						: depPath;
-
-					const depFile = fileMap.get(normalizedPath);
-					if (depFile && !visited.has(normalizedPath)) {
-						visit(depFile, [...chain]);
-					}
+			for (const depKey of this.getDependencyKeys(file, fileKey)) {
+				const depFile = fileMap.get(depKey);
+				if (!depFile) continue;
+				if (!index.has(depKey)) {
+					visit(depFile);
+					lowLink.set(fileKey, Math.min(lowLink.get(fileKey), lowLink.get(depKey)));
+				} else if (onStack.has(depKey)) {
+					lowLink.set(fileKey, Math.min(lowLink.get(fileKey), index.get(depKey)));
 				}
 			}
 
-			temp.delete(fileKey);
-			visited.add(fileKey);
-			sorted.push(file);
+			// A file whose low-link is its own index is the root of a component;
+			// everything above it on the stack belongs to the same cycle.
+			if (lowLink.get(fileKey) === index.get(fileKey)) {
+				const component = [];
+				let memberKey;
+				do {
+					memberKey = stack.pop();
+					onStack.delete(memberKey);
+					component.push(memberKey);
+				} while (memberKey !== fileKey);
+				sorted.push(...this.emitComponent(component, fileMap, files));
+			}
 		};
 
-		// Process all files
 		for (const file of files) {
-			if (!visited.has(file.relativePath || file.path)) {
-				visit(file, []);
+			if (!index.has(file.relativePath || file.path)) {
+				visit(file);
 			}
 		}
 
 		return sorted;
 	}
+
+	/**
+	 * Returns the files of a strongly connected component. A single file is
+	 * returned unchanged; the members of a cycle are returned in input order,
+	 * as copies annotated with the cycle they belong to.
+	 * @param {Array<string>} component - Keys of the files in the component.
+	 * @param {Map<string, Object>} fileMap - Files by key.
+	 * @param {Array<Object>} files - The files being sorted, in input order.
+	 * @returns {Array<Object>}
+	 */
+	emitComponent(component, fileMap, files) {
+		if (component.length === 1) {
+			return [fileMap.get(component[0])];
+		}
+
+		const members = files.filter((file) => component.includes(file.relativePath || file.path));
+		const cycle = members.map((file) => file.relativePath || file.path);
+		Logger.warn(`Circular dependency between ${cycle.join(', ')}; emitting these files together.`);
+
+		return members.map((file) => ({
+			...file,
+			metadata: { ...file.metadata, dependencyCycle: cycle },
+		}));
+	}
+
+	/**
+	 * Returns the keys of the files a file depends on. Paths resolved by the
+	 * MetadataProcessor are used as-is; raw specifiers are mapped by guessing
+	 * a `.js` extension relative to the importing file.
+	 * @param {Object} file - Enriched file object.
+	 * @param {string} fileKey - Key of the file in the file map.
+	 * @returns {Array<string>}
+	 */
+	getDependencyKeys(file, fileKey) {
+		const resolved = file.metadata?.resolvedDependencies;
+		if (Array.isArray(resolved)) {
+			return resolved;
+		}
+
+		const deps = file.metadata?.dependencies || [];
+		if (!Array.isArray(deps)) {
+			return [];
+		}
+
+		return deps.filter(Boolean).map((dep) => {
+			// Handle dependency path with or without .js extension
+			const depPath = dep.endsWith('.js') ? dep : `${dep}.js`;
+			return depPath.startsWith('./')
+				? path.join(path.dirname(fileKey), depPath.slice(2))
+				: depPath;
+		});
+	}
 }
 
 module.exports = DependencySort;
@@ -1,6 +1,8 @@
+const comparePaths = require('../../utils/comparePaths');
+
 class LexicalSort {
   sort(files) {
-    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    return files.sort((a, b) => comparePaths(a.relativePath, b.relativePath));
   }
 }
 
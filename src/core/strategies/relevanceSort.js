@@ -0,0 +1,163 @@
+// src/core/strategies/relevanceSort.js
+const Logger = require('../../utils/logger');
+const comparePaths = require('../../utils/comparePaths');
+
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_FIELD_WEIGHTS = { path: 3, symbols: 2, content: 1 };
+const STOP_WORDS = new Set([
+	'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'how', 'in',
+	'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when', 'where', 'which', 'with',
+]);
+const SYMBOL_PATTERNS = [
+	/\b(?:function\*?|class|interface|type|enum|def|fn|func|struct|trait|module)\s+([A-Za-z_$][\w$]*)/g,
+	/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/g,
+	/^\s*(?:static\s+)?(?:async\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/gm,
+];
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with']);
+
+/**
+ * RelevanceSort
+ * Ranks files against a free-text query with BM25F over three fields: the
+ * relative path, declared symbol names and the content, path and symbol
+ * matches weighing more. Identifiers are split on camelCase and snake_case
+ * so `tokenBudget` matches "token budget". Files that match nothing are
+ * dropped; the rest come most relevant first, equal scores in path order,
+ * with `metadata.relevance` set, so a token budget cuts the least relevant
+ * files first.
+ */
+class RelevanceSort {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.query - Text to rank files against.
+	 * @param {Object} [options.fieldWeights] - Weights for `path`, `symbols` and `content`.
+	 * @param {number} [options.minScore=0] - Files scoring at or below this are dropped.
+	 * @param {number} [options.maxFiles] - Keep at most this many files.
+	 */
+	constructor(options = {}) {
+		if (typeof options.query !== 'string' || RelevanceSort.tokenize(options.query).length === 0) {
+			throw new Error(
+				'The relevance strategy needs a query (set --query or strategyOptions.relevance.query)',
+			);
+		}
+		this.query = options.query;
+		this.terms = [...new Set(RelevanceSort.tokenize(options.query))];
+		this.fieldWeights = { ...DEFAULT_FIELD_WEIGHTS, ...options.fieldWeights };
+		this.minScore = options.minScore || 0;
+		this.maxFiles = options.maxFiles || null;
+	}
+
+	/**
+	 * Splits text into lowercase search terms: identifiers are broken up on
+	 * camelCase, underscores and punctuation, stop words are dropped and
+	 * plurals reduced to their singular.
+	 * @param {string} text
+	 * @returns {Array<string>}
+	 */
+	static tokenize(text) {
+		return (text || '')
+			.replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+			.replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+			.toLowerCase()
+			.split(/[^a-z0-9]+/)
+			.filter((term) => term.length > 1 && !STOP_WORDS.has(term))
+			.map(RelevanceSort.stem);
+	}
+
+	static stem(term) {
+		if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+		if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+		return term;
+	}
+
+	/**
+	 * Collects names of declared functions, classes, variables and methods.
+	 * @param {string} content
+	 * @returns {Array<string>}
+	 */
+	static extractSymbols(content) {
+		const symbols = [];
+		SYMBOL_PATTERNS.forEach((pattern) => {
+			for (const match of (content || '').matchAll(pattern)) {
+				if (!KEYWORDS.has(match[1])) symbols.push(match[1]);
+			}
+		});
+		return symbols;
+	}
+
+	sort(files) {
+		if (!Array.isArray(files)) {
+			throw new Error('Files must be provided as an array');
+		}
+
+		const scores = this.score(files);
+		let ranked = files
+			.map((file, index) => ({ file, score: scores[index] }))
+			.filter(({ score }) => score > this.minScore)
+			.sort((a, b) => b.score - a.score || comparePaths(RelevanceSort.key(a.file), RelevanceSort.key(b.file)));
+
+		if (ranked.length === 0) {
+			Logger.warn(`RelevanceSort: no files match "${this.query}"; keeping the input order.`);
+			return files;
+		}
+		if (this.maxFiles) {
+			ranked = ranked.slice(0, this.maxFiles);
+		}
+
+		Logger.info(`RelevanceSort: ${ranked.length} of ${files.length} files match "${this.query}".`);
+		return ranked.map(({ file, score }) => ({
+			...file,
+			metadata: { ...file.metadata, relevance: Math.round(score * 1000) / 1000 },
+		}));
+	}
+
+	static key(file) {
+		return file.relativePath || file.path || '';
+	}
+
+	/**
+	 * Scores every file with BM25F: per-field term frequencies are length
+	 * normalised and weighted, summed, then saturated once per query term.
+	 * @param {Array<Object>} files
+	 * @returns {Array<number>} - Scores in the order of `files`.
+	 */
+	score(files) {
+		const fields = Object.keys(this.fieldWeights);
+		const documents = files.map((file) => {
+			const relativePath = RelevanceSort.key(file);
+			const text = {
+				path: relativePath,
+				symbols: RelevanceSort.extractSymbols(file.content).join(' '),
+				content: file.content || '',
+			};
+			return Object.fromEntries(fields.map((field) => [field, this.countTerms(text[field] || '')]));
+		});
+
+		const averageLength = Object.fromEntries(fields.map((field) => [
+			field,
+			documents.reduce((sum, doc) => sum + doc[field].length, 0) / Math.max(documents.length, 1) || 1,
+		]));
+		const idf = new Map(this.terms.map((term) => {
+			const containing = documents.filter((doc) => fields.some((field) => doc[field].counts.has(term))).length;
+			return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+		}));
+
+		return documents.map((doc) => this.terms.reduce((total, term) => {
+			const frequency = fields.reduce((sum, field) => {
+				const count = doc[field].counts.get(term) || 0;
+				const norm = 1 - B + (B * doc[field].length) / averageLength[field];
+				return sum + (this.fieldWeights[field] * count) / norm;
+			}, 0);
+			return total + (idf.get(term) * frequency) / (K1 + frequency);
+		}, 0));
+	}
+
+	countTerms(text) {
+		const terms = RelevanceSort.tokenize(text);
+		const counts = new Map();
+		terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+		return { counts, length: terms.length };
+	}
+}
+
+module.exports = RelevanceSort;
@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const Logger = require('../../utils/logger');
+const comparePaths = require('../../utils/comparePaths');
 
 class SizeSort {
   constructor(options = { order: 'asc' }) {
@@ -30,8 +31,10 @@ class SizeSort {
       })
     );
 
-    return filesWithSize.sort((a, b) => 
-      this.order === 'asc' ? a.size - b.size : b.size - a.size
+    // Files of equal size keep path order either way, so the result does not depend on the input order
+    return filesWithSize.sort((a, b) =>
+      (this.order === 'asc' ? a.size - b.size : b.size - a.size) ||
+      comparePaths(a.relativePath || a.path, b.relativePath || b.path)
     );
   }
 }
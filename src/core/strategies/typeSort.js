@@ -1,5 +1,6 @@
 // src/core/strategies/typeSort.js
 const path = require('path');
+const comparePaths = require('../../utils/comparePaths');
 
 class TypeSort {
 	constructor(options = { order: 'asc' }) {
@@ -52,9 +53,9 @@ class TypeSort {
 			// Secondary sort by path when priorities are equal
 			const pathA = a.path || a.relativePath;
 			const pathB = b.path || b.relativePath;
-			return this.order === 'desc' 
-				? pathB.localeCompare(pathA)
-				: pathA.localeCompare(pathB);
+			return this.order === 'desc'
+				? comparePaths(pathB, pathA)
+				: comparePaths(pathA, pathB);
 		});
 	}
 }
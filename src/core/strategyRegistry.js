@@ -0,0 +1,148 @@
+// src/core/strategyRegistry.js
+const Logger = require('../utils/logger');
+const LexicalSort = require('./strategies/lexicalSort');
+const SizeSort = require('./strategies/sizeSort');
+const TypeSort = require('./strategies/typeSort');
+const DependencySort = require('./strategies/dependencySort');
+const CompositeSort = require('./strategies/compositeSort');
+const RelevanceSort = require('./strategies/relevanceSort');
+
+const BUILT_IN_STRATEGIES = [
+  ['lexical', LexicalSort, 'Alphabetical by relative path'],
+  ['size', SizeSort, 'By file size (order: asc, desc)'],
+  ['type', TypeSort, 'By file type (order: asc, desc)'],
+  ['dependency', DependencySort, 'Dependencies before the files that import them'],
+  ['relevance', RelevanceSort, 'Most relevant to the query first (query: text)', ['query']],
+  [
+    'composite',
+    CompositeSort,
+    `By several keys in turn (keys: ${CompositeSort.KEY_NAMES.join(', ')})`,
+    ['keys'],
+  ],
+];
+
+/**
+ * StrategyRegistry
+ * Maps sorting strategy names to the classes or factories that build them.
+ * A registered strategy is either a class constructed with the strategy's
+ * options or a factory function `(options) => strategy`; either way the
+ * result must have a `sort(files)` method. Names are case-insensitive.
+ * A key list such as `dir,type:desc,size`, or a single composite key such
+ * as `mtime` that is not a strategy name, selects the `composite` strategy
+ * with those keys.
+ */
+class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  /**
+   * Creates a registry holding the built-in strategies.
+   * @returns {StrategyRegistry}
+   */
+  static createDefault() {
+    const registry = new StrategyRegistry();
+    BUILT_IN_STRATEGIES.forEach(([name, Strategy, description, requiredOptions]) => {
+      registry.register(name, Strategy, { description, requiredOptions });
+    });
+    return registry;
+  }
+
+  /**
+   * Registers a strategy under a name, replacing any strategy of that name.
+   * @param {string} name - Name used in `sortingStrategy` and `--strategy`.
+   * @param {Function} factory - Strategy class or `(options) => strategy` factory.
+   * @param {Object} [info]
+   * @param {string} [info.description] - One-line description for listings.
+   * @param {string} [info.source] - Where the strategy comes from, e.g. a plugin name.
+   * @param {Array<string>} [info.requiredOptions] - Options the strategy cannot run without,
+   *   such as the `query` of relevance; listings mark them and the interactive mode leaves
+   *   such strategies out.
+   */
+  register(name, factory, { description = '', source = 'built-in', requiredOptions = [] } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Strategy name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Strategy "${name}" must be a class or factory function`);
+    }
+
+    const key = name.trim().toLowerCase();
+    if (this.strategies.has(key)) {
+      Logger.warn(`Sorting strategy "${key}" from ${this.strategies.get(key).source} replaced by ${source}`);
+    }
+    this.strategies.set(key, { name: key, factory, description, source, requiredOptions });
+  }
+
+  has(name) {
+    return typeof name === 'string' && this.strategies.has(name.trim().toLowerCase());
+  }
+
+  /**
+   * Returns the registry entry for a name.
+   * @param {string} name - Strategy name.
+   * @returns {{name: string, factory: Function, description: string, source: string,
+   *   requiredOptions: Array<string>}}
+   * @throws {Error} When no strategy of that name is registered.
+   */
+  resolve(name) {
+    if (this.isKeyList(name)) {
+      CompositeSort.parseKeys(name);
+      return this.resolve('composite');
+    }
+    if (!this.has(name)) {
+      throw new Error(`Unknown sorting strategy "${name}". Available strategies: ${this.names().join(', ')}`);
+    }
+    return this.strategies.get(name.trim().toLowerCase());
+  }
+
+  /**
+   * Builds a strategy instance.
+   * @param {string} name - Strategy name.
+   * @param {Object} [options] - Strategy options, e.g. `{ order: 'desc' }`.
+   * @returns {Object} - Strategy with a `sort(files)` method.
+   */
+  create(name, options = {}) {
+    if (this.isKeyList(name)) {
+      return this.create('composite', { ...options, keys: name });
+    }
+
+    const { name: key, factory } = this.resolve(name);
+    const isClass = factory.prototype && typeof factory.prototype.sort === 'function';
+    const strategy = isClass ? new factory(options) : factory(options);
+
+    if (!strategy || typeof strategy.sort !== 'function') {
+      throw new Error(`Sorting strategy "${key}" does not provide a sort(files) method`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Whether a strategy name is really a composite key list, e.g. `dir,size:desc`.
+   * @param {string} name - Strategy name or key list.
+   * @returns {boolean}
+   */
+  isKeyList(name) {
+    if (typeof name !== 'string') return false;
+    return /[,:]/.test(name) || (!this.has(name) && CompositeSort.isKey(name));
+  }
+
+  names() {
+    return [...this.strategies.keys()];
+  }
+
+  /**
+   * @returns {Array<{name: string, description: string, source: string, requiredOptions: Array<string>}>} -
+   *   Registered strategies in registration order.
+   */
+  list() {
+    return [...this.strategies.values()].map(({ name, description, source, requiredOptions }) => ({
+      name,
+      description,
+      source,
+      requiredOptions,
+    }));
+  }
+}
+
+module.exports = StrategyRegistry;
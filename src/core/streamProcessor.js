@@ -2,6 +2,7 @@ const { Transform } = require('stream');
 const fs = require('fs');
 const path = require('path');
 const MetricsCollector = require('./metricsCollector');
+const Logger = require('../utils/logger');
 
 class StreamProcessor {
   constructor(options = {}) {
@@ -40,6 +41,7 @@ class StreamProcessor {
 
   createWriteStream(filePath) {
     this.validatePath(filePath, 'writing');
+    this.ensureDirectoryExists(path.dirname(filePath));
     return fs.createWriteStream(filePath, {
       highWaterMark: this.chunkSize,
       encoding: 'utf8'
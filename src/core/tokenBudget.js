@@ -0,0 +1,280 @@
+// src/core/tokenBudget.js
+const Logger = require('../utils/logger');
+const { createTokenizer } = require('./tokenizers');
+
+const BUDGET_MODES = ['drop', 'truncate', 'summarize'];
+
+// Tokens reserved for the per-file header written by the Consolidator, when
+// the budget is not given the formatter to measure it with.
+const HEADER_OVERHEAD = 40;
+
+// Files that would keep fewer tokens than this after truncation are dropped instead.
+const MIN_KEPT_TOKENS = 64;
+
+const OUTLINE_PATTERN =
+  /^\s*(export\s|module\.exports|exports\.|(async\s+)?function[\s*]|class\s|interface\s|type\s+\w+\s*=|enum\s|(const|let|var)\s+\w+\s*=\s*(async\s+)?(\(|function|class|require)|def\s|import\s|#{1,6}\s)/;
+
+/**
+ * TokenBudget
+ * Fits a sorted list of enriched files into a maximum token count. Files are
+ * trimmed starting from the lowest priority: an explicit numeric
+ * `metadata.priority` wins (higher is kept longer), otherwise files later in
+ * the sorted order are cut first.
+ */
+class TokenBudget {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxTokens - Maximum tokens for the whole pack.
+   * @param {string} [options.mode='drop'] - One of 'drop', 'truncate' or 'summarize'.
+   * @param {string|Object} [options.tokenizer='approximate'] - Tokenizer name, module path or instance.
+   * @param {string} [options.rootDir] - Directory tokenizer module paths are resolved against.
+   * @param {Function} [options.formatFile] - Formats a file as the pack will hold it, so its
+   *   header is measured rather than estimated.
+   */
+  constructor(options = {}) {
+    const { maxTokens, mode = 'drop', tokenizer = 'approximate', rootDir, formatFile = null } = options;
+
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      throw new Error('maxTokens must be a positive integer.');
+    }
+    if (!BUDGET_MODES.includes(mode)) {
+      throw new Error(`Invalid token budget mode "${mode}". Expected one of: ${BUDGET_MODES.join(', ')}.`);
+    }
+
+    this.maxTokens = maxTokens;
+    this.mode = mode;
+    this.tokenizer = createTokenizer(tokenizer, rootDir);
+    this.formatFile = formatFile;
+  }
+
+  /**
+   * Counts the tokens a file will occupy in the pack, header included.
+   * @param {Object} file - Enriched file object.
+   * @returns {number} - Token count.
+   */
+  countFile(file) {
+    if (this.formatFile) return this.tokenizer.count(this.formatFile(file));
+    return HEADER_OVERHEAD + this.tokenizer.count(file.relativePath || '') + this.tokenizer.count(file.content || '');
+  }
+
+  /**
+   * Cuts files until the pack fits the budget.
+   * @param {Array<Object>} files - Sorted enriched files.
+   * @param {Object} [options]
+   * @param {Function} [options.frame] - Given the budget report, returns everything the pack
+   *   holds besides the files (header, preamble, sections, the report itself); room is
+   *   reserved for it before the files are fitted.
+   * @returns {{files: Array<Object>, report: Object}} - Files that fit and a report of what was cut.
+   */
+  apply(files, { frame = null } = {}) {
+    if (!Array.isArray(files)) {
+      throw new Error('Files must be provided as an array');
+    }
+
+    let reserved = frame ? this.tokenizer.count(frame(null)) : 0;
+    let result = this.fit(files, reserved);
+    // The report grows with every file it lists; fit again until it has room
+    while (frame) {
+      const needed = this.tokenizer.count(frame(result.report));
+      if (needed <= reserved) break;
+      reserved = needed;
+      result = this.fit(files, reserved);
+    }
+
+    if (reserved >= this.maxTokens) {
+      Logger.warn(`Token budget: the pack needs ${reserved} tokens besides the files, leaving none of the ${this.maxTokens} for them.`);
+    } else if (files.length > 0 && result.files.length === 0) {
+      Logger.warn(`Token budget: no file fits in the ${this.maxTokens - reserved} tokens left for files; the pack holds none.`);
+    }
+    this.logReport(result.report);
+    return result;
+  }
+
+  /**
+   * Cuts files until they fit the budget less the reserved tokens.
+   * @param {Array<Object>} files - Sorted enriched files.
+   * @param {number} reserved - Tokens kept free for the rest of the pack.
+   * @returns {{files: Array<Object>, report: Object}}
+   */
+  fit(files, reserved) {
+    const limit = this.maxTokens - reserved;
+    const entries = files.map((file, index) => ({
+      file,
+      index,
+      tokens: this.countFile(file),
+      action: null,
+    }));
+    const fileTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+    let usedTokens = fileTokens;
+
+    const byPriority = [...entries].sort((a, b) => {
+      const priorityA = this.getPriority(a.file);
+      const priorityB = this.getPriority(b.file);
+      if (priorityA !== priorityB) return priorityA - priorityB;
+      return b.index - a.index;
+    });
+
+    for (const entry of byPriority) {
+      if (usedTokens <= limit) break;
+      const overshoot = usedTokens - limit;
+      const before = entry.tokens;
+
+      if (this.mode === 'truncate') {
+        this.truncate(entry, before - overshoot);
+      } else if (this.mode === 'summarize') {
+        this.summarize(entry);
+        if (entry.tokens >= before) {
+          // An outline that is not smaller than the file is of no use; keep the original.
+          Object.assign(entry, { action: null, content: undefined, tokens: before });
+          continue;
+        }
+      }
+
+      if (!entry.action) {
+        entry.action = 'dropped';
+        entry.tokens = 0;
+      }
+      usedTokens -= before - entry.tokens;
+    }
+
+    // Summaries may not free enough on their own; fall back to dropping.
+    for (const entry of byPriority) {
+      if (usedTokens <= limit) break;
+      if (entry.action === 'dropped') continue;
+      usedTokens -= entry.tokens;
+      entry.action = 'dropped';
+      entry.tokens = 0;
+    }
+
+    // Rather than pack nothing, keep what fits of the most important file
+    const first = byPriority[byPriority.length - 1];
+    if (this.mode === 'truncate' && first && entries.every((entry) => entry.action === 'dropped')) {
+      this.truncate(first, limit, 1);
+      if (first.action === 'truncated' && first.tokens <= limit) {
+        usedTokens += first.tokens;
+      } else {
+        Object.assign(first, { action: 'dropped', content: undefined, tokens: 0 });
+      }
+    }
+
+    const kept = [];
+    const cut = [];
+    for (const entry of entries) {
+      const originalTokens = this.countFile(entry.file);
+      if (entry.action) {
+        cut.push({
+          relativePath: entry.file.relativePath,
+          action: entry.action,
+          originalTokens,
+          keptTokens: entry.tokens,
+        });
+      }
+      if (entry.action === 'dropped') continue;
+
+      kept.push({
+        ...entry.file,
+        content: entry.content !== undefined ? entry.content : entry.file.content,
+        metadata: {
+          ...entry.file.metadata,
+          tokens: entry.tokens,
+          ...(entry.action ? { budget: { action: entry.action, originalTokens } } : {}),
+        },
+      });
+    }
+
+    const report = {
+      maxTokens: this.maxTokens,
+      mode: this.mode,
+      totalTokens: fileTokens + reserved,
+      usedTokens: usedTokens + reserved,
+      reservedTokens: reserved,
+      cut,
+    };
+    return { files: kept, report };
+  }
+
+  getPriority(file) {
+    const priority = file.metadata && file.metadata.priority;
+    return typeof priority === 'number' ? priority : 0;
+  }
+
+  /**
+   * Keeps whole lines from the top of the file until the target is reached.
+   * Leaves the entry alone when fewer than `minKept` tokens or no whole line
+   * would be kept.
+   */
+  truncate(entry, targetTokens, minKept = MIN_KEPT_TOKENS) {
+    const available = targetTokens - this.countFile({ ...entry.file, content: '' });
+    if (available < minKept) return;
+
+    const lines = (entry.file.content || '').split('\n');
+    const marker = (omitted) => `\n... [truncated ${omitted} of ${lines.length} lines to fit the token budget]`;
+    const limit = available - this.tokenizer.count(marker(lines.length));
+    const keptLines = [];
+    let tokens = 0;
+    for (const line of lines) {
+      const lineTokens = this.tokenizer.count(`${line}\n`);
+      if (tokens + lineTokens > limit) break;
+      keptLines.push(line);
+      tokens += lineTokens;
+    }
+    if (keptLines.length === 0) return;
+
+    entry.content = `${keptLines.join('\n')}${marker(lines.length - keptLines.length)}`;
+    entry.tokens = this.countFile({ ...entry.file, content: entry.content });
+    entry.action = 'truncated';
+  }
+
+  /**
+   * Replaces the content with an outline of its declarations.
+   */
+  summarize(entry) {
+    entry.content = TokenBudget.summarizeContent(entry.file.content || '');
+    entry.tokens = this.countFile({ ...entry.file, content: entry.content });
+    entry.action = 'summarized';
+  }
+
+  /**
+   * Builds an offline outline of a file: its leading comment block followed by
+   * declaration-like lines (functions, classes, exports, imports, headings).
+   * @param {string} content - File content.
+   * @returns {string} - The summary.
+   */
+  static summarizeContent(content) {
+    const lines = content.split('\n');
+    const summary = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!/^(\/\/|\/\*|\*|#(?!#*\s)|""")/.test(trimmed) || summary.length >= 10) break;
+      summary.push(line);
+    }
+    for (const line of lines.slice(summary.length)) {
+      if (OUTLINE_PATTERN.test(line)) {
+        summary.push(line.replace(/\s*\{.*$/, ' { ... }'));
+      }
+    }
+    if (summary.length === 0) {
+      summary.push(...lines.slice(0, 10));
+    }
+
+    return `... [summarized: ${summary.length} of ${lines.length} lines kept to fit the token budget]\n${summary.join('\n')}`;
+  }
+
+  logReport(report) {
+    if (report.cut.length === 0) {
+      Logger.info(`Token budget: ${report.totalTokens} of ${report.maxTokens} tokens used, nothing cut.`);
+      return;
+    }
+    report.cut.forEach((item) => {
+      Logger.warn(`Token budget: ${item.action} ${item.relativePath} (${item.originalTokens} -> ${item.keptTokens} tokens)`);
+    });
+    Logger.info(
+      `Token budget: reduced ${report.totalTokens} to ${report.usedTokens} of ${report.maxTokens} tokens; ${report.cut.length} file(s) cut.`,
+    );
+  }
+}
+
+TokenBudget.MODES = BUDGET_MODES;
+
+module.exports = TokenBudget;
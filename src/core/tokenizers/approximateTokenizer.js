@@ -0,0 +1,36 @@
+// src/core/tokenizers/approximateTokenizer.js
+
+/**
+ * ApproximateTokenizer
+ * Offline token estimator. Words are counted as one token per four characters
+ * (rounded up) and every punctuation character as a token of its own, which
+ * tracks BPE tokenizers closely enough for budgeting purposes.
+ */
+class ApproximateTokenizer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.charsPerToken=4] - Average characters per word token.
+   */
+  constructor(options = {}) {
+    this.name = 'approximate';
+    this.charsPerToken = options.charsPerToken || 4;
+  }
+
+  /**
+   * Estimates the number of tokens in a string.
+   * @param {string} text - The text to measure.
+   * @returns {number} - Estimated token count.
+   */
+  count(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    const pieces = String(text).match(/\w+|[^\s\w]/g) || [];
+    for (const piece of pieces) {
+      tokens += /\w/.test(piece[0]) ? Math.ceil(piece.length / this.charsPerToken) : 1;
+    }
+    return tokens;
+  }
+}
+
+module.exports = ApproximateTokenizer;
@@ -0,0 +1,43 @@
+// src/core/tokenizers/index.js
+const path = require('path');
+const ApproximateTokenizer = require('./approximateTokenizer');
+
+const BUILT_IN_TOKENIZERS = {
+  approximate: ApproximateTokenizer,
+};
+
+/**
+ * Resolves a tokenizer from a config value.
+ * Accepts an object exposing `count(text)`, the name of a built-in tokenizer,
+ * or a path (relative to rootDir) to a module exporting either a tokenizer
+ * object or a class whose instances expose `count(text)`.
+ * @param {string|Object} [spec='approximate'] - Tokenizer instance, name or module path.
+ * @param {string} [rootDir=process.cwd()] - Directory module paths are resolved against.
+ * @returns {{count: function(string): number}} - The tokenizer instance.
+ */
+function createTokenizer(spec = 'approximate', rootDir = process.cwd()) {
+  let tokenizer = spec;
+
+  if (!spec) {
+    tokenizer = new ApproximateTokenizer();
+  } else if (typeof spec === 'string') {
+    if (BUILT_IN_TOKENIZERS[spec]) {
+      tokenizer = new BUILT_IN_TOKENIZERS[spec]();
+    } else {
+      let exported;
+      try {
+        exported = require(path.resolve(rootDir, spec));
+      } catch (error) {
+        throw new Error(`Unable to load tokenizer "${spec}": ${error.message}`);
+      }
+      tokenizer = typeof exported === 'function' ? new exported() : exported;
+    }
+  }
+
+  if (!tokenizer || typeof tokenizer.count !== 'function') {
+    throw new Error(`Invalid tokenizer "${spec}": expected an object with a count(text) method.`);
+  }
+  return tokenizer;
+}
+
+module.exports = { createTokenizer, ApproximateTokenizer };
@@ -0,0 +1,100 @@
+// src/output/formatterRegistry.js
+const Logger = require('../utils/logger');
+const Formatter = require('./formatters/formatter');
+const MarkdownFormatter = require('./formatters/markdownFormatter');
+const XmlFormatter = require('./formatters/xmlFormatter');
+const JsonFormatter = require('./formatters/jsonFormatter');
+
+const BUILT_IN_FORMATS = [
+  ['markdown', MarkdownFormatter, 'A heading and fenced code block per file'],
+  ['xml', XmlFormatter, '<file> elements with the content in CDATA sections'],
+  ['json', JsonFormatter, 'One document with a project summary and the file records'],
+  ['jsonl', () => new JsonFormatter({ lines: true }), 'One file record per line'],
+];
+
+/**
+ * FormatterRegistry
+ * Maps output format names to the classes or factories that build their
+ * formatters, as StrategyRegistry does for sorting strategies. A registered
+ * format is either a class or a factory function `() => formatter`; the
+ * result must have every method of the Formatter interface, which
+ * extending Formatter provides. Names are case-insensitive.
+ */
+class FormatterRegistry {
+  constructor() {
+    this.formats = new Map();
+  }
+
+  /**
+   * Creates a registry holding the built-in formats.
+   * @returns {FormatterRegistry}
+   */
+  static createDefault() {
+    const registry = new FormatterRegistry();
+    BUILT_IN_FORMATS.forEach(([name, factory, description]) => {
+      registry.register(name, factory, { description });
+    });
+    return registry;
+  }
+
+  /**
+   * Registers a format under a name, replacing any format of that name.
+   * @param {string} name - Name used in `output.format` and `--format`.
+   * @param {Function} factory - Formatter class or `() => formatter` factory.
+   * @param {Object} [info]
+   * @param {string} [info.description] - One-line description for listings.
+   * @param {string} [info.source] - Where the format comes from, e.g. a plugin name.
+   */
+  register(name, factory, { description = '', source = 'built-in' } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Format name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Format "${name}" must be a class or factory function`);
+    }
+
+    const key = name.trim().toLowerCase();
+    if (this.formats.has(key)) {
+      Logger.warn(`Output format "${key}" from ${this.formats.get(key).source} replaced by ${source}`);
+    }
+    this.formats.set(key, { name: key, factory, description, source });
+  }
+
+  has(name) {
+    return typeof name === 'string' && this.formats.has(name.trim().toLowerCase());
+  }
+
+  /**
+   * Builds the formatter of a format.
+   * @param {string} name - Format name.
+   * @returns {Formatter}
+   * @throws {Error} When no format of that name is registered or its formatter is incomplete.
+   */
+  create(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown output format "${name}". Available formats: ${this.names().join(', ')}`);
+    }
+    const { name: key, factory } = this.formats.get(name.trim().toLowerCase());
+    const isClass = factory.prototype && typeof factory.prototype.formatFile === 'function';
+    const formatter = isClass ? new factory() : factory();
+
+    const missing = Formatter.METHODS.filter((method) => !formatter || typeof formatter[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Output format "${key}" does not implement ${missing.join(', ')}`);
+    }
+    return formatter;
+  }
+
+  names() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * @returns {Array<{name: string, description: string, source: string}>} - Registered formats in registration order.
+   */
+  list() {
+    return [...this.formats.values()].map(({ name, description, source }) => ({ name, description, source }));
+  }
+}
+
+module.exports = FormatterRegistry;
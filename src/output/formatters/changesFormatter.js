@@ -0,0 +1,42 @@
+const codeFence = require('../../utils/codeFence');
+
+class ChangesFormatter {
+  /**
+   * Formats a "Changes" section with the commits since a ref and a unified
+   * diff per changed file.
+   * @param {Object} changes
+   * @param {string} changes.ref - Ref the changes are relative to.
+   * @param {Array<Object>} [changes.commits] - Commits from GitRepository.getCommits.
+   * @param {Array<Object>} [changes.diffs] - Per-file diffs from GitRepository.getDiffs.
+   * @returns {string}
+   */
+  formatChanges({ ref, commits = [], diffs = [] }) {
+    const summary = `**Since**: \`${ref}\`\n**Commits**: ${commits.length}\n**Files changed**: ${diffs.length}`;
+    const parts = [`# Changes\n${summary}`];
+
+    if (commits.length > 0) {
+      parts.push(`## Commits\n${commits.map((commit) => this.formatCommit(commit)).join('\n')}`);
+    }
+    if (diffs.length > 0) {
+      parts.push(`## Diffs\n\n${diffs.map((diff) => this.formatDiff(diff)).join('\n\n')}`);
+    } else {
+      parts.push('No differences in the working tree.');
+    }
+
+    return `${parts.join('\n\n')}\n`;
+  }
+
+  formatCommit(commit) {
+    const line = `- \`${commit.hash}\` ${commit.subject} (${commit.author}, ${commit.date})`;
+    if (!commit.body) return line;
+    const body = commit.body.split('\n').map((bodyLine) => (bodyLine ? `  ${bodyLine}` : '')).join('\n');
+    return `${line}\n\n${body}\n`;
+  }
+
+  formatDiff(diff) {
+    const fence = codeFence(diff.diff);
+    return `### ${diff.path} (${diff.status})\n${fence}diff\n${diff.diff}\n${fence}`;
+  }
+}
+
+module.exports = ChangesFormatter;
@@ -0,0 +1,124 @@
+// src/output/formatters/formatter.js
+
+/**
+ * Formatter
+ * The interface every output format implements. An output file is written
+ * as formatHeader(), the files and sections with formatSeparator() between
+ * them, then formatFooter(); each piece goes to disk as it is produced, so
+ * no format has to build the whole pack in memory. Extend this class to
+ * inherit the defaults and override what the format needs; only
+ * formatFile() has none. Plugins add formats through `getFormatters()`.
+ */
+class Formatter {
+  constructor() {
+    // Extension the output file name gets when it still has the default `.md`
+    this.extension = '.md';
+  }
+
+  /**
+   * Opens every output file, including each chunk.
+   * @param {Object} project - Summary of the whole pack, see Consolidator.describeProject.
+   * @returns {string}
+   */
+  formatHeader(project) {
+    return '';
+  }
+
+  /**
+   * Formats the project overview that opens the pack, before the first file.
+   * Only called when the preamble is on.
+   * @param {Object} project - Summary of the whole pack; `project.overview` holds the file
+   *   counts by type, the estimated tokens, the sorting strategy and the directory tree.
+   * @returns {string|null} - Null leaves the preamble out.
+   */
+  formatPreamble(project) {
+    return null;
+  }
+
+  /**
+   * Formats the table of contents. Only called when the table of contents is
+   * on; it follows the preamble, or the chunk index in a chunked pack.
+   * @param {Array<Object>} entries - One per file in pack order: `relativePath`, `anchor`, `lines`
+   *   (null for binary files), `bytes` and, in a chunked pack, the `chunk` file the file starts in.
+   * @param {Object} project - Summary of the whole pack.
+   * @returns {string|null} - Null leaves the table of contents out.
+   */
+  formatTableOfContents(entries, project) {
+    return null;
+  }
+
+  /**
+   * Formats one file.
+   * @param {Object} file - Enriched file object; `anchor` is a slug of its path that no other
+   *   file in the pack shares.
+   * @param {{part: number, parts: number}} [part] - Which part of a file split across chunks.
+   * @returns {string}
+   */
+  formatFile(file, part) {
+    throw new Error(`${this.constructor.name} does not implement formatFile(file, part)`);
+  }
+
+  /**
+   * Goes between two files or sections of the same output file.
+   * @returns {string}
+   */
+  formatSeparator() {
+    return '\n';
+  }
+
+  /**
+   * Closes every output file.
+   * @param {Object} project - Summary of the whole pack.
+   * @returns {string}
+   */
+  formatFooter(project) {
+    return '';
+  }
+
+  /**
+   * Formats a section that is not a file, such as the "Changes" section.
+   * @param {string} name - Section name, e.g. 'changes'.
+   * @param {string} text - The section as Markdown.
+   * @returns {string|null} - Null leaves the section out.
+   */
+  formatSection(name, text) {
+    return text;
+  }
+
+  /**
+   * Formats the report of a token budget that cut files.
+   * @param {Object} report - Report from TokenBudget.apply.
+   * @returns {string|null} - Null leaves the report out.
+   */
+  formatBudgetReport(report) {
+    return null;
+  }
+
+  /**
+   * Formats the index written next to the chunks of a chunked pack.
+   * @param {Array<{fileName: string, entries: Array<Object>}>} chunks - Chunk file names and
+   *   the files (`relativePath`, `part`, `parts`) or labelled sections in each.
+   * @param {{chunkSize: number, chunkUnit: string}} limit
+   * @param {Object} project - Summary of the whole pack.
+   * @returns {string}
+   */
+  formatChunkIndex(chunks, limit, project) {
+    return chunks
+      .map(({ fileName, entries }) => [fileName, ...entries.map((entry) => entry.label || entry.relativePath)].join('\n'))
+      .join('\n\n');
+  }
+}
+
+Formatter.METHODS = [
+  'formatHeader',
+  'formatPreamble',
+  'formatTableOfContents',
+  'formatFile',
+  'formatSeparator',
+  'formatFooter',
+  'formatSection',
+  'formatBudgetReport',
+  'formatChunkIndex',
+];
+
+module.exports = Formatter;
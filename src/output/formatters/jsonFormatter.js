@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const path = require('path');
+const Formatter = require('./formatter');
+const Logger = require('../../utils/logger');
+const countLines = require('../../utils/countLines');
+
+// Version of the record layout described by schema/pack.schema.json
+const FORMAT_VERSION = 1;
+
+class JsonFormatter extends Formatter {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.lines=false] - Write JSON Lines, one file record per line,
+   *   instead of one document.
+   */
+  constructor(options = {}) {
+    super();
+    this.lines = options.lines === true;
+    this.extension = this.lines ? '.jsonl' : '.json';
+  }
+
+  /**
+   * Opens the document with the project summary and the `files` array;
+   * JSON Lines has no header.
+   * @param {Object} project - Summary of the whole pack, see Consolidator.describeProject.
+   * @returns {string}
+   */
+  formatHeader(project = {}) {
+    if (this.lines) return '';
+    const head = JSON.stringify({ version: FORMAT_VERSION, project }, null, 2).slice(0, -2);
+    return `${head},\n  "files": [`;
+  }
+
+  /**
+   * Builds the record of a file, as described by the `file` definition of
+   * the pack schema.
+   * @param {Object} file - Enriched file object.
+   * @param {{part: number, parts: number}} [part] - Which part of a file split across chunks.
+   * @returns {Object}
+   */
+  createRecord(file, part = null) {
+    const { relationships = [], ...metadata } = file.metadata || {};
+    const binary = metadata.binary || null;
+    const content = binary ? null : file.content || '';
+    return {
+      path: file.relativePath,
+      language: path.extname(file.fileName || '').substring(1) || 'plaintext',
+      ...(part ? { part: part.part, parts: part.parts } : {}),
+      metadata: {
+        description: metadata.description || null,
+        dependencies: metadata.dependencies || [],
+        ...metadata,
+        binary,
+        bytes: binary ? binary.size : Buffer.byteLength(content, 'utf8'),
+        lines: binary ? null : countLines(content),
+      },
+      relationships: relationships.map(({ type, target }) => ({ type, target })),
+      content,
+      hashes: {
+        sha256: binary ? binary.hash : crypto.createHash('sha256').update(content).digest('hex'),
+      },
+    };
+  }
+
+  /**
+   * Formats a file record: one line in JSON Lines, an element of the
+   * `files` array otherwise.
+   * @returns {string}
+   */
+  formatFile(file, part = null) {
+    const record = this.createRecord(file, part);
+    return this.lines ? `${JSON.stringify(record)}\n` : `\n${JsonFormatter.indent(record, 2)}`;
+  }
+
+  formatSeparator() {
+    return this.lines ? '' : ',';
+  }
+
+  formatFooter() {
+    return this.lines ? '' : '\n  ]\n}\n';
+  }
+
+  /**
+   * Sections such as "Changes" are part of the project summary, not
+   * records; JSON Lines leaves them out.
+   * @returns {null}
+   */
+  formatSection(name) {
+    if (this.lines) {
+      Logger.warn(`The jsonl format holds file records only; leaving out the ${name} section.`);
+    }
+    return null;
+  }
+
+  /**
+   * @param {Array<{fileName: string, entries: Array<Object>}>} chunks - Chunk file names and
+   *   the files (or labelled sections) in each.
+   * @param {{chunkSize: number, chunkUnit: string}} limit
+   * @returns {string}
+   */
+  formatChunkIndex(chunks, { chunkSize, chunkUnit }) {
+    const records = chunks.map(({ fileName, entries }) => ({
+      chunk: fileName,
+      files: entries
+        .filter((entry) => !entry.label)
+        .map(({ relativePath, part, parts }) => ({ path: relativePath, part, parts })),
+    }));
+    if (this.lines) {
+      return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+    }
+    return `${JSON.stringify({ version: FORMAT_VERSION, chunkSize, chunkUnit, chunks: records }, null, 2)}\n`;
+  }
+
+  /**
+   * Pretty-prints a value to sit at the given depth of a document.
+   */
+  static indent(value, depth) {
+    const padding = '  '.repeat(depth);
+    return JSON.stringify(value, null, 2)
+      .split('\n')
+      .map((line) => `${padding}${line}`)
+      .join('\n');
+  }
+}
+
+JsonFormatter.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = JsonFormatter;
@@ -1,41 +1,137 @@
-
 const path = require('path');
+const Formatter = require('./formatter');
+const comparePaths = require('../../utils/comparePaths');
+const slugify = require('../../utils/slugify');
+const codeFence = require('../../utils/codeFence');
+
+const RELATIONSHIP_LABELS = [
+  ['imports', 'Imports'],
+  ['importedBy', 'Imported By'],
+  ['tests', 'Tests'],
+  ['testedBy', 'Tested By'],
+  ['configures', 'Configures'],
+];
+
+class MarkdownFormatter extends Formatter {
+  formatPreamble({ name, files, bytes, lines, overview }) {
+    const types = Object.entries(overview.types).map(([type, count]) => `${type} (${count})`);
+    const rows = [
+      `**Project**: ${name || 'Unnamed'}`,
+      `**Files**: ${files}${types.length > 0 ? ` — ${types.join(', ')}` : ''}`,
+      `**Size**: ${lines} lines, ${bytes} bytes, ~${overview.tokens} tokens`,
+      `**Sorted By**: ${overview.sortingStrategy || 'lexical'}`,
+    ];
+    return `# Project Overview\n${rows.join('\n')}\n\n\`\`\`text\n${overview.tree}\`\`\`\n`;
+  }
 
-class MarkdownFormatter {
-  formatFile(file) {
-    const header = this.createHeader(file);
-    const metadata = this.formatMetadata(file.metadata || {});
-    const content = this.formatContent(file);
-    return this.combine(header, metadata, content);
+  /**
+   * Lists the files under a heading per directory, directories by name and
+   * files in pack order, each linked to the anchor of its section.
+   * @param {Array<Object>} entries - See Formatter.formatTableOfContents.
+   * @returns {string}
+   */
+  formatTableOfContents(entries) {
+    const directories = new Map();
+    entries.forEach((entry) => {
+      const directory = path.posix.dirname(entry.relativePath);
+      if (!directories.has(directory)) directories.set(directory, []);
+      directories.get(directory).push(entry);
+    });
+    const sections = [...directories.keys()].sort(comparePaths).map((directory) => {
+      const rows = directories.get(directory).map(({ relativePath, anchor, lines, bytes, chunk }) => {
+        const size = lines === null ? `binary, ${bytes} bytes` : `${lines} ${lines === 1 ? 'line' : 'lines'}`;
+        const link = `${chunk || ''}#${anchor || slugify(relativePath)}`;
+        return `- [${path.posix.basename(relativePath)}](${link}) (${size})`;
+      });
+      return `## ${directory === '.' ? './' : `${directory}/`}\n${rows.join('\n')}\n`;
+    });
+    return `# Table of Contents\n\n${sections.join('\n')}`;
   }
 
-  createHeader(file) {
-    return file.fileName || 'Untitled';
+  /**
+   * Anchor of a file's section: the `anchor` the Consolidator gave it, which
+   * is unique in the pack, or else a slug of its path. Parts after the first
+   * of a split file get their own.
+   * @param {Object} file
+   * @param {{part: number, parts: number}} [part]
+   * @returns {string}
+   */
+  anchor(file, part = null) {
+    const slug = file.anchor || slugify(file.relativePath || file.fileName || '');
+    return part && part.part > 1 ? `${slug}-part-${part.part}` : slug;
   }
 
-  formatMetadata(metadata) {
+  formatFile(file, part = null) {
+    const header = part
+      ? { ...file, fileName: `${file.fileName} (part ${part.part} of ${part.parts})` }
+      : file;
+    const anchor = `<a id="${this.anchor(file, part)}"></a>\n`;
+    return `${anchor}${this.formatFileHeader(header)}${this.formatContent(file)}`;
+  }
+
+  formatFileHeader(file) {
+    const {
+      fileName,
+      relativePath,
+      metadata = { description: '', dependencies: [] },
+    } = file;
     const description = metadata.description || 'No description available.';
-    const dependencies = (metadata.dependencies && metadata.dependencies.length > 0)
+    const dependencies = metadata.dependencies && metadata.dependencies.length > 0
       ? metadata.dependencies.join(', ')
       : 'None';
-    return `**Description**: ${description}\n**Dependencies**: ${dependencies}`;
+
+    return `# ${fileName}\n**Path**: \`${relativePath}\`\n**Description**: ${description}\n**Dependencies**: ${dependencies}\n${this.formatRelationships(metadata.relationships)}${this.formatCycleNote(file)}\n`;
+  }
+
+  formatCycleNote(file) {
+    const cycle = (file.metadata && file.metadata.dependencyCycle) || [];
+    const others = cycle.filter((member) => member !== file.relativePath);
+    if (others.length === 0) return '';
+
+    return `**Note**: Part of a circular dependency with ${others.map((member) => `\`${member}\``).join(', ')}; these files are grouped together.\n`;
+  }
+
+  formatRelationships(relationships) {
+    if (!Array.isArray(relationships) || relationships.length === 0) return '';
+
+    return RELATIONSHIP_LABELS.map(([type, label]) => {
+      const targets = relationships
+        .filter((rel) => rel.type === type)
+        .map((rel) => (rel.target.includes('/') || rel.target.includes('.') ? `\`${rel.target}\`` : rel.target));
+      return targets.length > 0 ? `**${label}**: ${targets.join(', ')}\n` : '';
+    }).join('');
   }
 
   formatContent(file) {
-    let ext = path.extname(file.fileName || '').substring(1) || 'plaintext';
-    // Escape triple backticks in content
-    const escaped = (file.content || '').replace(/```/g, '````');
-    return `\`\`\`${ext}\n${escaped}\n\`\`\``;
+    const binary = file.metadata && file.metadata.binary;
+    if (binary) {
+      return `**Binary**: ${binary.type}, ${binary.size} bytes, sha256 \`${binary.hash}\`\n`;
+    }
+    const ext = path.extname(file.fileName || '').substring(1) || 'plaintext';
+    const content = file.content || '';
+    const fence = codeFence(content);
+    return `${fence}${ext}\n${content}\n${fence}\n`;
   }
 
-  combine(header, metadata, content) {
-    return `# ${header}\n\n${metadata}\n\n${content}\n\n---\n`;
+  formatBudgetReport(report) {
+    const rows = report.cut.map(
+      (item) => `- \`${item.relativePath}\`: ${item.action} (${item.originalTokens} -> ${item.keptTokens} tokens)`,
+    );
+    return `# Token Budget\n**Limit**: ${report.maxTokens} tokens (${report.mode})\n**Used**: ${report.usedTokens} of ${report.totalTokens} tokens\n\n${rows.join('\n')}\n`;
   }
 
-  getLanguage(content) {
-    // Optionally determine language from content, for now default to 'plaintext'
-    return 'plaintext';
+  formatChunkIndex(chunks, { chunkSize, chunkUnit }) {
+    const sections = chunks.map(({ fileName, entries }) => {
+      const rows = entries.map((entry) => {
+        if (entry.label) return `- ${entry.label}`;
+        return entry.parts
+          ? `- \`${entry.relativePath}\` (part ${entry.part} of ${entry.parts})`
+          : `- \`${entry.relativePath}\``;
+      });
+      return `## ${fileName}\n${rows.join('\n')}\n`;
+    });
+    return `# Chunk Index\n**Chunks**: ${chunks.length} (max ${chunkSize} ${chunkUnit} each)\n\n${sections.join('\n')}`;
   }
 }
 
-module.exports = MarkdownFormatter;
\ No newline at end of file
+module.exports = MarkdownFormatter;
@@ -0,0 +1,45 @@
+const path = require('path');
+const formatTree = require('../../utils/formatTree');
+
+class ScanTreeFormatter {
+  /**
+   * Formats the outcome of a scan as a directory tree, marking every path
+   * left out with the reason and, for ignored paths, the ignore rule.
+   * Included paths that a negated rule re-included name that rule too.
+   * @param {Object} scan
+   * @param {string} scan.rootDir - Directory that was scanned.
+   * @param {Array<{path: string, rule?: Object}>} scan.included - Files kept by the scan.
+   * @param {Array<{path: string, reason: string, directory?: boolean, rule?: Object}>} scan.excluded -
+   *   Paths skipped by the scan, see FileScanner.skipped.
+   * @returns {string}
+   */
+  format({ rootDir, included = [], excluded = [] }) {
+    const toEntry = (entry, label) => ({
+      parts: path.relative(rootDir, entry.path).split(path.sep),
+      directory: entry.directory,
+      label,
+    });
+    const entries = [
+      ...included.map((entry) => toEntry(entry, entry.rule ? `included: ${this.formatRule(entry.rule)}` : null)),
+      ...excluded.map((entry) => toEntry(entry, `excluded: ${this.formatReason(entry)}`)),
+    ];
+
+    const lines = formatTree(path.basename(path.resolve(rootDir)), entries);
+    lines.push('', `${included.length} included, ${excluded.length} excluded`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatReason(entry) {
+    if (entry.reason === 'ignored' && entry.rule) {
+      return `ignored by ${this.formatRule(entry.rule)}`;
+    }
+    return entry.reason;
+  }
+
+  formatRule(rule) {
+    const location = rule.line ? `${rule.source}:${rule.line}` : rule.source;
+    return `${location} \`${rule.pattern}\``;
+  }
+}
+
+module.exports = ScanTreeFormatter;
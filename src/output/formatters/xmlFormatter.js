@@ -0,0 +1,193 @@
+const path = require('path');
+const Formatter = require('./formatter');
+
+// Characters XML 1.0 does not allow anywhere, not even in CDATA
+const INVALID_XML_CHARS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const RELATIONSHIP_TYPES = ['imports', 'importedBy', 'tests', 'testedBy', 'configures'];
+const DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+class XmlFormatter extends Formatter {
+  constructor() {
+    super();
+    this.extension = '.xml';
+  }
+
+  formatHeader() {
+    return `${DECLARATION}<pack>\n`;
+  }
+
+  formatSeparator() {
+    return '';
+  }
+
+  formatFooter() {
+    return '</pack>\n';
+  }
+
+  /**
+   * Formats the project overview as an `<overview>` element, with the
+   * directory tree in a CDATA section.
+   * @param {Object} project - Summary of the whole pack.
+   * @returns {string}
+   */
+  formatPreamble({ name, files, bytes, lines, overview }) {
+    const attributes = XmlFormatter.attributes({
+      project: name,
+      files,
+      lines,
+      bytes,
+      tokens: overview.tokens,
+      'sorted-by': overview.sortingStrategy,
+    });
+    const types = Object.entries(overview.types).map(
+      ([type, count]) => `<type${XmlFormatter.attributes({ name: type, files: count })}/>`,
+    );
+    return `<overview${attributes}>\n  ${this.formatList('types', types)}\n  <tree>${XmlFormatter.cdata(overview.tree)}</tree>\n</overview>\n`;
+  }
+
+  /**
+   * Formats a file as a `<file>` element: metadata as child elements and
+   * the content verbatim in a CDATA section, so code needs no escaping.
+   * @param {Object} file - Enriched file object.
+   * @param {{part: number, parts: number}} [part] - Which part of a file split across chunks.
+   * @returns {string}
+   */
+  formatFile(file, part = null) {
+    const metadata = file.metadata || {};
+    const attributes = {
+      path: file.relativePath,
+      language: path.extname(file.fileName || '').substring(1) || 'plaintext',
+      ...(part ? { part: part.part, parts: part.parts } : {}),
+    };
+    const children = [];
+    if (metadata.description) {
+      children.push(`<description>${XmlFormatter.escape(metadata.description)}</description>`);
+    }
+    if (metadata.dependencies && metadata.dependencies.length > 0) {
+      children.push(this.formatList('dependencies', metadata.dependencies.map(
+        (dependency) => `<dependency>${XmlFormatter.escape(dependency)}</dependency>`,
+      )));
+    }
+    const relationships = (metadata.relationships || [])
+      .filter((rel) => RELATIONSHIP_TYPES.includes(rel.type));
+    if (relationships.length > 0) {
+      children.push(this.formatList('relationships', relationships.map(
+        (rel) => `<relationship${XmlFormatter.attributes({ type: rel.type, target: rel.target })}/>`,
+      )));
+    }
+    const cycle = (metadata.dependencyCycle || []).filter((member) => member !== file.relativePath);
+    if (cycle.length > 0) {
+      children.push(this.formatList('dependency-cycle', cycle.map(
+        (member) => `<member${XmlFormatter.attributes({ path: member })}/>`,
+      )));
+    }
+
+    if (metadata.binary) {
+      const { type, size, hash } = metadata.binary;
+      children.push(`<binary${XmlFormatter.attributes({ type, size, sha256: hash })}/>`);
+    } else {
+      children.push(`<content>${XmlFormatter.cdata(file.content || '')}</content>`);
+    }
+    return `<file${XmlFormatter.attributes(attributes)}>\n${children.map((child) => `  ${child}`).join('\n')}\n</file>\n`;
+  }
+
+  formatList(name, items) {
+    return `<${name}>\n${items.map((item) => `    ${item}`).join('\n')}\n  </${name}>`;
+  }
+
+  /**
+   * Wraps an already formatted section, such as the "Changes" section.
+   * @param {string} name - Element name.
+   * @param {string} text
+   * @returns {string}
+   */
+  formatSection(name, text) {
+    return `<${name}>${XmlFormatter.cdata(text)}</${name}>\n`;
+  }
+
+  /**
+   * @param {Object} report - Report from TokenBudget.apply.
+   * @returns {string}
+   */
+  formatBudgetReport(report) {
+    const cuts = report.cut.map((item) => `  <cut${XmlFormatter.attributes({
+      path: item.relativePath,
+      action: item.action,
+      'original-tokens': item.originalTokens,
+      'kept-tokens': item.keptTokens,
+    })}/>`);
+    const attributes = XmlFormatter.attributes({
+      limit: report.maxTokens,
+      mode: report.mode,
+      used: report.usedTokens,
+      total: report.totalTokens,
+    });
+    return `<token-budget${attributes}>\n${cuts.join('\n')}\n</token-budget>\n`;
+  }
+
+  /**
+   * @param {Array<{fileName: string, entries: Array<Object>}>} chunks - Chunk file names and
+   *   the files (or labelled sections) in each.
+   * @param {{chunkSize: number, chunkUnit: string}} limit
+   * @returns {string}
+   */
+  formatChunkIndex(chunks, { chunkSize, chunkUnit }) {
+    const items = chunks.map(({ fileName, entries }) => {
+      const rows = entries.map(({ label, relativePath, part, parts }) => (label
+        ? `    <section${XmlFormatter.attributes({ name: label })}/>`
+        : `    <file${XmlFormatter.attributes({ path: relativePath, part, parts })}/>`));
+      return `  <chunk${XmlFormatter.attributes({ file: fileName })}>\n${rows.join('\n')}\n  </chunk>`;
+    });
+    const attributes = XmlFormatter.attributes({ chunks: chunks.length, max: chunkSize, unit: chunkUnit });
+    return `${DECLARATION}<chunk-index${attributes}>\n${items.join('\n')}\n</chunk-index>\n`;
+  }
+
+  /**
+   * Formats attributes, leaving out undefined and null values.
+   * @param {Object} attributes
+   * @returns {string} - ` name="value"` pairs.
+   */
+  static attributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${XmlFormatter.escape(String(value))}"`)
+      .join('');
+  }
+
+  /**
+   * Escapes text for element content and attribute values.
+   * @param {string} text
+   * @returns {string}
+   */
+  static escape(text) {
+    return XmlFormatter.sanitize(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Wraps text in a CDATA section. A `]]>` inside the text is split across
+   * two sections, the only sequence CDATA cannot hold.
+   * @param {string} text
+   * @returns {string}
+   */
+  static cdata(text) {
+    return `<![CDATA[${XmlFormatter.sanitize(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+
+  /**
+   * Replaces characters that cannot appear in an XML document, such as
+   * most control characters, with U+FFFD.
+   * @param {string} text
+   * @returns {string}
+   */
+  static sanitize(text) {
+    return text.replace(INVALID_XML_CHARS, '\uFFFD');
+  }
+}
+
+module.exports = XmlFormatter;
@@ -1,14 +1,25 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const Logger = require('../utils/logger');
 const MarkdownFormatter = require('./formatters/markdownFormatter');
-const HeaderFormatter = require('./formatters/headerFormatter');
 
+/**
+ * OutputManager
+ * Writes output files through a Formatter: the header, each file or
+ * section with separators between them, then the footer, streamed to disk
+ * piece by piece. In check mode nothing is written; the pieces are hashed
+ * and compared with the file already on disk.
+ */
 class OutputManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.outputDir='.llm-pack']
+   * @param {Formatter} [options.formatter] - Format to write; Markdown by default.
+   */
   constructor(options = {}) {
     this.outputDir = options.outputDir || '.llm-pack';
-    this.markdownFormatter = new MarkdownFormatter();
-    this.headerFormatter = new HeaderFormatter();
+    this.formatter = options.formatter || new MarkdownFormatter();
   }
 
   async initialize() {
@@ -25,50 +36,163 @@ class OutputManager {
     }
   }
 
-  async createConsolidatedFile(files, outputPath) {
+  /**
+   * Writes files into one output file.
+   * @param {Array<Object>} files - Enriched file objects.
+   * @param {string} outputPath
+   * @param {Object} [project] - Project summary for the formatter's header and footer.
+   */
+  async createConsolidatedFile(files, outputPath, project = {}) {
     Logger.info(`Creating consolidated file at ${outputPath}`);
-    
-    // Ensure the directory exists
-    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
-
-    let stream;
+    const document = await this.begin(outputPath, project);
     try {
-      stream = fs.createWriteStream(outputPath, { 
-        encoding: 'utf8',
-        flags: 'w'
-      });
-
       for (const file of files) {
         if (!file) continue;
-        const formatted = this.markdownFormatter.formatFile(file);
-        await this.writeToStream(stream, formatted);
+        await this.add(document, this.formatter.formatFile(file));
       }
-
-      // Close the stream properly
-      await new Promise((resolve, reject) => {
-        stream.end(err => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
+      await this.end(document);
     } catch (error) {
-      if (stream) {
-        stream.destroy();
-      }
+      await document.sink.abort();
       throw error;
     }
   }
 
+  /**
+   * Starts an output file by writing the formatter's header.
+   * @param {string} filePath
+   * @param {Object} project - Project summary for the header and footer.
+   * @param {Object} [options]
+   * @param {boolean} [options.check] - Compare with the file on disk instead of writing it.
+   * @returns {Promise<Object>} - The document to pass to add() and end().
+   */
+  async begin(filePath, project, { check = false } = {}) {
+    const sink = check ? this.openCheck(filePath) : await this.openFile(filePath);
+    const document = { filePath, project, sink, count: 0 };
+    await sink.write(this.formatter.formatHeader(project));
+    return document;
+  }
+
+  /**
+   * Adds a formatted file or section, after a separator unless it is the first.
+   */
+  async add(document, text) {
+    if (document.count > 0) await document.sink.write(this.formatter.formatSeparator());
+    await document.sink.write(text);
+    document.count++;
+  }
+
+  /**
+   * Writes the footer and closes the document.
+   * @returns {Promise<boolean>} - In check mode, whether the file on disk has the same content.
+   */
+  async end(document) {
+    await document.sink.write(this.formatter.formatFooter(document.project));
+    return document.sink.close();
+  }
+
+  /**
+   * Writes a whole file, such as a chunk index.
+   * @returns {Promise<boolean>} - In check mode, whether the file on disk has the same content.
+   */
+  async writeFile(filePath, content, { check = false } = {}) {
+    const sink = check ? this.openCheck(filePath) : await this.openFile(filePath);
+    await sink.write(content);
+    return sink.close();
+  }
+
+  /**
+   * Opens a file for writing. A failure of the stream, such as an output
+   * directory that cannot be written, rejects the pending and any later
+   * write() or close() rather than surfacing as an unhandled 'error' event.
+   */
+  async openFile(filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const stream = fs.createWriteStream(filePath, {
+      encoding: 'utf8',
+      flags: 'w'
+    });
+    let failure = null;
+    // stream.closed only exists from Node 18 on
+    let closed = false;
+    stream.on('error', (error) => {
+      failure = failure || error;
+    });
+    stream.on('close', () => {
+      closed = true;
+    });
+    return {
+      write: (text) => {
+        if (failure) return Promise.reject(failure);
+        return text ? this.writeToStream(stream, text) : Promise.resolve();
+      },
+      close: () => new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        stream.end((error) => {
+          if (!error && !failure) {
+            resolve(true);
+            return;
+          }
+          // Node 16 reports the stream as destroyed before the 'error' that names the cause
+          const settle = () => reject(failure || error);
+          if (closed) settle();
+          else stream.once('close', settle);
+        });
+      }),
+      // Drops the partly written file; the error that caused the abort is the one to report
+      abort: async () => {
+        if (!closed) {
+          // A stream still opening creates the file when it opens; wait for that before removing it
+          await new Promise((resolve) => stream.once('close', resolve).destroy());
+        }
+        await fs.promises.rm(filePath, { force: true }).catch(() => {});
+      },
+    };
+  }
+
+  openCheck(filePath) {
+    const hash = crypto.createHash('sha256');
+    return {
+      write: async (text) => {
+        hash.update(text, 'utf8');
+      },
+      close: async () => hash.digest('hex') === await OutputManager.hashFile(filePath),
+      abort: async () => {},
+    };
+  }
+
   async writeToStream(stream, content) {
     return new Promise((resolve, reject) => {
-      const canContinue = stream.write(content);
-      if (!canContinue) {
-        stream.once('drain', resolve);
+      const done = (error) => {
+        stream.removeListener('drain', done);
+        stream.removeListener('error', done);
+        if (error) reject(error);
+        else resolve();
+      };
+      if (!stream.write(content)) {
+        stream.once('drain', done);
+        stream.once('error', done);
       } else {
         resolve();
       }
     });
   }
+
+  /**
+   * Hashes a file as it is read, without loading it whole.
+   * @returns {Promise<string|null>} - SHA-256, or null when the file does not exist.
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', (error) => (error.code === 'ENOENT' ? resolve(null) : reject(error)));
+    });
+  }
 }
 
 module.exports = OutputManager;
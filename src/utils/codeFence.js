@@ -0,0 +1,14 @@
+// src/utils/codeFence.js
+
+/**
+ * Returns a Markdown code fence that the text cannot close: one backtick
+ * longer than the longest run of backticks in it, and at least three.
+ * @param {string} text - Content of the code block.
+ * @returns {string}
+ */
+function codeFence(text = '') {
+  const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+module.exports = codeFence;
@@ -0,0 +1,18 @@
+// src/utils/comparePaths.js
+
+/**
+ * Compares two paths by UTF-16 code units, like `Array.prototype.sort`
+ * without a comparator. Unlike `localeCompare` the result does not depend on
+ * the locale or ICU version of the machine, so packs built anywhere list
+ * files in the same order.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative, zero or positive.
+ */
+function comparePaths(a = '', b = '') {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+module.exports = comparePaths;
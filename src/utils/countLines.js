@@ -0,0 +1,15 @@
+// src/utils/countLines.js
+
+/**
+ * Counts the lines of a text the way editors do: a final newline ends the
+ * last line rather than starting another, and empty text has no lines.
+ * @param {string} text
+ * @returns {number}
+ */
+function countLines(text = '') {
+  if (!text) return 0;
+  const lines = text.split('\n').length;
+  return text.endsWith('\n') ? lines - 1 : lines;
+}
+
+module.exports = countLines;
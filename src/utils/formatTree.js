@@ -0,0 +1,42 @@
+// src/utils/formatTree.js
+const comparePaths = require('./comparePaths');
+
+/**
+ * Draws paths as a directory tree, one line per file or directory, with
+ * `├──`/`└──` connectors and entries sorted by name.
+ * @param {string} rootName - Name printed on the first line.
+ * @param {Array<{parts: Array<string>, directory?: boolean, label?: string}>} entries - Paths split
+ *   into their segments; `directory` marks a path that is itself a directory and `label` is
+ *   printed after the name.
+ * @returns {Array<string>} - The lines of the tree.
+ */
+function formatTree(rootName, entries) {
+  const root = { children: new Map() };
+  entries.forEach(({ parts, directory, label }) => {
+    let node = root;
+    parts.forEach((part, index) => {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map(), directory: index < parts.length - 1 });
+      }
+      node = node.children.get(part);
+    });
+    node.directory = node.directory || Boolean(directory);
+    node.label = label;
+  });
+  return [`${rootName}/`, ...formatChildren(root, '')];
+}
+
+function formatChildren(node, prefix) {
+  const names = [...node.children.keys()].sort(comparePaths);
+  return names.flatMap((name, index) => {
+    const child = node.children.get(name);
+    const last = index === names.length - 1;
+    const label = child.label ? `  [${child.label}]` : '';
+    return [
+      `${prefix}${last ? '└── ' : '├── '}${name}${child.directory ? '/' : ''}${label}`,
+      ...formatChildren(child, `${prefix}${last ? '    ' : '│   '}`),
+    ];
+  });
+}
+
+module.exports = formatTree;
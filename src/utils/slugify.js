@@ -0,0 +1,47 @@
+// src/utils/slugify.js
+const crypto = require('crypto');
+
+/**
+ * Turns text such as a file path into an anchor slug: lower case, with
+ * every run of characters other than letters and digits replaced by one
+ * hyphen.
+ * @param {string} text
+ * @returns {string} - The slug, or 'section' when the text has no letters or digits.
+ */
+function slugify(text = '') {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'section';
+}
+
+/**
+ * Gives each path a slug no other path shares. Paths whose slugs collide,
+ * such as `foo-bar.js` and `foo_bar.js`, each get a short hash of the path
+ * appended. A slug depends only on the path and the paths it collides with,
+ * never on the order of the paths.
+ * @param {Array<string>} paths
+ * @returns {Map<string, string>} - Slug of each path.
+ */
+function uniqueSlugs(paths) {
+  const bySlug = new Map();
+  new Set(paths).forEach((filePath) => {
+    const slug = slugify(filePath);
+    if (!bySlug.has(slug)) bySlug.set(slug, []);
+    bySlug.get(slug).push(filePath);
+  });
+
+  const slugs = new Map();
+  bySlug.forEach((group, slug) => {
+    group.forEach((filePath) => {
+      const hash = crypto.createHash('sha256').update(filePath).digest('hex').slice(0, 8);
+      slugs.set(filePath, group.length > 1 ? `${slug}-${hash}` : slug);
+    });
+  });
+  return slugs;
+}
+
+slugify.unique = uniqueSlugs;
+
+module.exports = slugify;
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const LlmPackAPI = require('../../src/api/api');
 const FileProcessor = require('../../src/core/fileProcessor');
+const ChangeSelector = require('../../src/core/changeSelector');
 const Logger = require('../../src/utils/logger');
 
 jest.mock('../../src/utils/logger');
@@ -65,6 +66,17 @@ describe('LlmPackAPI Integration', () => {
 		expect(exists).toBe(true);
 	});
 
+	test('should leave the metadata cache alone when checking', async () => {
+		const api = new LlmPackAPI('/project');
+
+		const { upToDate } = await api.checkAll();
+
+		expect(upToDate).toBe(false);
+		expect(fs.existsSync('/project/.llm-pack/cache/metadata.json')).toBe(false);
+		await api.runAll();
+		expect(fs.existsSync('/project/.llm-pack/cache/metadata.json')).toBe(true);
+	});
+
 	test('should allow overriding config programmatically', async () => {
 		const customConfig = {
 			sortingStrategy: 'lexical',
@@ -106,6 +118,15 @@ describe('LlmPackAPI Integration', () => {
 		).resolves.not.toThrow();
 	});
 
+	test('should give the output file the extension of the output format', async () => {
+		const api = new LlmPackAPI('/project', { output: { format: 'xml' } });
+		await api.consolidateFiles([{ path: '/project/test.js', relativePath: 'test.js', fileName: 'test.js' }]);
+
+		const output = fs.readFileSync('/project/.llm-pack/consolidated_output.xml', 'utf8');
+		expect(output).toContain('<file path="test.js" language="js">');
+		expect(fs.existsSync(defaultOutputPath)).toBe(false);
+	});
+
 	test('should handle different sorting strategies', async () => {
 		const api = new LlmPackAPI('/project', {
 			sortingStrategy: 'size',
@@ -130,6 +151,129 @@ describe('LlmPackAPI Integration', () => {
 		expect(exists).toBe(true);
 	});
 
+	test('should sort by dependencies when the dependency strategy is selected', async () => {
+		const api = new LlmPackAPI('/project', { sortingStrategy: 'dependency' });
+		const files = [
+			{ relativePath: 'src/main.js', metadata: { resolvedDependencies: ['src/utils.js'] } },
+			{ relativePath: 'src/utils.js', metadata: { resolvedDependencies: ['src/main.js'] } },
+			{ relativePath: 'src/app.js', metadata: { resolvedDependencies: ['src/main.js'] } },
+		];
+
+		const sorted = await api.sortFiles(files);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual(['src/main.js', 'src/utils.js', 'src/app.js']);
+		expect(sorted[0].metadata.dependencyCycle).toEqual(['src/main.js', 'src/utils.js']);
+	});
+
+	test('should pass per-strategy options from the config', async () => {
+		const api = new LlmPackAPI('/project', {
+			sortingStrategy: 'reverse',
+			sortOrder: 'asc',
+			strategyOptions: { reverse: { keep: 1 } },
+		});
+		const factory = jest.fn(({ keep }) => ({ sort: (files) => files.slice(0, keep) }));
+		api.strategyRegistry.register('reverse', factory);
+
+		const sorted = await api.sortFiles([{ relativePath: 'a.js' }, { relativePath: 'b.js' }]);
+
+		expect(factory).toHaveBeenCalledWith({ order: 'asc', keep: 1 });
+		expect(sorted).toEqual([{ relativePath: 'a.js' }]);
+	});
+
+	test('should describe the sorting strategy with its order for the preamble', () => {
+		expect(new LlmPackAPI('/project', {}).describeSortingStrategy()).toBe('lexical');
+		expect(
+			new LlmPackAPI('/project', { sortingStrategy: 'size', strategyOptions: { size: { order: 'desc' } } })
+				.describeSortingStrategy(),
+		).toBe('size (desc)');
+	});
+
+	test('should sort by composite keys from the config', async () => {
+		const api = new LlmPackAPI('/project', {
+			sortingStrategy: 'composite',
+			strategyOptions: { composite: { keys: ['dir', 'lexical:desc'] } },
+		});
+		const files = ['src/a.js', 'b.js', 'src/c.js', 'a.js'].map((relativePath) => ({ relativePath }));
+
+		const sorted = await api.sortFiles(files);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual(['b.js', 'a.js', 'src/c.js', 'src/a.js']);
+	});
+
+	test('should cut the least relevant files first when ranking against a query', async () => {
+		const api = new LlmPackAPI('/project', {
+			sortingStrategy: 'relevance',
+			strategyOptions: { relevance: { query: 'parser' } },
+			maxTokens: 200,
+		});
+		const files = [
+			{ relativePath: 'src/cli.js', content: `run(parser);\n${'start();\n'.repeat(20)}` },
+			{ relativePath: 'src/parser.js', content: `class Parser {}\n${'parse();\n'.repeat(20)}` },
+			{ relativePath: 'src/logger.js', content: 'log();\n'.repeat(20) },
+		];
+
+		const sorted = await api.sortFiles(files);
+		const { files: packed, report } = api.applyTokenBudget(sorted);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual(['src/parser.js', 'src/cli.js']);
+		expect(packed.map((file) => file.relativePath)).toEqual(['src/parser.js']);
+		expect(report.cut).toEqual([expect.objectContaining({ relativePath: 'src/cli.js', action: 'dropped' })]);
+	});
+
+	test('should pack changed files and their dependency neighbours in git mode', async () => {
+		mockFs({
+			'/project': {
+				src: {
+					'main.js': "require('./utils');",
+					'utils.js': 'module.exports = {};',
+					'other.js': 'module.exports = {};',
+				},
+			},
+		});
+		const getChangedFiles = jest
+			.spyOn(ChangeSelector.prototype, 'getChangedFiles')
+			.mockResolvedValue(['/project/src/utils.js']);
+
+		const api = new LlmPackAPI('/project', { git: { since: 'main' } });
+		const enriched = await api.enrichMetadata(await api.scanFiles());
+
+		expect(enriched.map((file) => file.relativePath).sort()).toEqual(['src/main.js', 'src/utils.js']);
+
+		const changedOnly = new LlmPackAPI('/project', { git: { since: 'main', hops: 0 } });
+		expect(await changedOnly.scanFiles()).toEqual(['/project/src/utils.js']);
+		getChangedFiles.mockRestore();
+	});
+
+	test('should explain why paths were included or excluded', async () => {
+		mockFs({
+			'/project': {
+				'.gitignore': '*.log\n!keep.log',
+				'src': { 'main.js': testContent },
+				'debug.log': 'log',
+				'keep.log': 'log',
+				'yarn.lock': '',
+			},
+		});
+		const api = new LlmPackAPI('/project');
+
+		const { included, excluded } = await api.explainScan();
+
+		expect(included.sort((a, b) => a.path.localeCompare(b.path))).toEqual([
+			{ path: '/project/keep.log', rule: { source: '.gitignore', line: 2, pattern: '!keep.log' } },
+			{ path: '/project/src/main.js', rule: null },
+		]);
+		expect(excluded).toEqual(expect.arrayContaining([
+			{ path: '/project/debug.log', reason: 'ignored', rule: { source: '.gitignore', line: 1, pattern: '*.log' } },
+			{ path: '/project/yarn.lock', reason: 'lockfile' },
+		]));
+	});
+
+	test('should reject an unknown sorting strategy', async () => {
+		const api = new LlmPackAPI('/project', { sortingStrategy: 'random' });
+
+		await expect(api.sortFiles([])).rejects.toThrow('Unknown sorting strategy "random"');
+	});
+
 	test('should log an error if file reading fails', async () => {
 		const api = new LlmPackAPI('/project');
 
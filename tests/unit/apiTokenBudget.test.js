@@ -0,0 +1,55 @@
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const LlmPackAPI = require('../../src/api/api');
+const { ApproximateTokenizer } = require('../../src/core/tokenizers');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+describe('LlmPackAPI token budget', () => {
+	let tmpDir;
+	let root;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		root = fs.realpathSync(tmpDir.name);
+		for (const name of ['alpha', 'beta', 'gamma', 'delta', 'epsilon']) {
+			await fs.outputFile(
+				path.join(root, `src/${name}.js`),
+				`function ${name}(value) {\n${'  value = transform(value, [1, 2, 3]);\n'.repeat(12)}  return value;\n}\n`,
+			);
+		}
+	});
+
+	afterEach(() => {
+		tmpDir.removeCallback();
+	});
+
+	const pack = async (config) => {
+		const api = new LlmPackAPI(root, { cache: { enabled: false }, ...config });
+		await api.runAll();
+		return fs.readFileSync(path.join(root, '.llm-pack/consolidated_output.md'), 'utf8');
+	};
+
+	test.each(['drop', 'truncate', 'summarize'])(
+		'should keep the whole pack within maxTokens with a preamble and table of contents (%s)',
+		async (mode) => {
+			const maxTokens = 900;
+			const output = await pack({
+				maxTokens,
+				tokenBudget: { mode },
+				output: { preamble: true, toc: true },
+			});
+
+			expect(output).toContain('# Project Overview');
+			expect(output).toContain('# Table of Contents');
+			expect(output).toContain('# Token Budget');
+			expect(new ApproximateTokenizer().count(output)).toBeLessThanOrEqual(maxTokens);
+		},
+	);
+});
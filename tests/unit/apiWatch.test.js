@@ -0,0 +1,87 @@
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const LlmPackAPI = require('../../src/api/api');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+describe('LlmPackAPI watch mode', () => {
+	let tmpDir;
+	let root;
+	let api;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		root = fs.realpathSync(tmpDir.name);
+		await fs.outputFile(path.join(root, 'src/app.js'), "const util = require('./util');\n");
+		await fs.outputFile(path.join(root, 'src/util.js'), 'module.exports = 1;\n');
+		await fs.outputFile(path.join(root, 'src/other.js'), 'module.exports = 2;\n');
+		api = new LlmPackAPI(root, { cache: { enabled: false } });
+		await api.build();
+	});
+
+	afterEach(async () => {
+		if (api.watcher) await api.watcher.close();
+		tmpDir.removeCallback();
+	});
+
+	const output = () => fs.readFileSync(path.join(root, '.llm-pack/consolidated_output.md'), 'utf8');
+	const file = (relativePath) => path.join(root, relativePath);
+
+	test('should re-enrich changed files and the files importing them', async () => {
+		await fs.writeFile(file('src/util.js'), 'module.exports = 42;\n');
+		const analyze = jest.spyOn(api.metadataProcessor, 'analyzeFiles');
+
+		const summary = await api.rebuild([file('src/util.js')]);
+
+		expect(summary).toMatchObject({ changed: 1, removed: 0, dependents: 1, packed: 3 });
+		expect(analyze).toHaveBeenCalledWith([file('src/util.js'), file('src/app.js')]);
+		expect(output()).toContain('module.exports = 42;');
+	});
+
+	test('should drop deleted files and pick up new ones', async () => {
+		await fs.remove(file('src/other.js'));
+		expect(await api.rebuild([file('src/other.js')])).toMatchObject({ changed: 0, removed: 1, packed: 2 });
+		expect(output()).not.toContain('src/other.js');
+
+		await fs.outputFile(file('lib/new.js'), "require('../src/util');\n");
+		expect(await api.rebuild([file('lib')])).toMatchObject({ changed: 1, removed: 0, packed: 3 });
+		expect(output()).toContain('**Path**: `lib/new.js`');
+	});
+
+	test('should rescan when an ignore file changes', async () => {
+		await fs.writeFile(file('.gitignore'), 'src/other.js\n');
+
+		expect(await api.rebuild([file('.gitignore')])).toMatchObject({ removed: 1, packed: 2 });
+		expect(api.isIgnoredByWatch(file('.gitignore'), false)).toBe(false);
+		expect(api.isIgnoredByWatch(file('.llm-pack/consolidated_output.md'), false)).toBe(true);
+	});
+
+	test('should drop deleted files from the cache on rebuild', async () => {
+		const cachedApi = new LlmPackAPI(root);
+		await cachedApi.build();
+		const cached = () =>
+			Object.keys(fs.readJsonSync(path.join(root, '.llm-pack/cache/metadata.json')).entries);
+		expect(cached()).toContain('src/other.js');
+
+		await fs.remove(file('src/other.js'));
+		await cachedApi.rebuild([file('src/other.js')]);
+
+		expect(cached()).toEqual(['src/app.js', 'src/util.js']);
+	});
+
+	test('should skip the rebuild when nothing in the pack changed', async () => {
+		expect(await api.rebuild([file('src/missing.js')])).toBeNull();
+	});
+
+	test('should refuse to watch only the changes in git', async () => {
+		const gitApi = new LlmPackAPI(root, { git: { since: 'main' } });
+
+		await expect(gitApi.watch()).rejects.toThrow('Watch mode packs the whole tree');
+	});
+});
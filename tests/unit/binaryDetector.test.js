@@ -0,0 +1,61 @@
+const BinaryDetector = require('../../src/core/binaryDetector');
+
+describe('BinaryDetector', () => {
+	const detector = new BinaryDetector();
+
+	test('should treat plain UTF-8 text as text', () => {
+		expect(detector.detect(Buffer.from('const é = "ok";\n'), 'a.js')).toEqual({
+			binary: false,
+			encoding: 'utf8',
+			reason: null,
+		});
+	});
+
+	test('should detect binaries by extension, signature, NUL bytes and control characters', () => {
+		expect(detector.detect(Buffer.from('text'), 'font.WOFF2').reason).toBe('binary extension');
+		expect(detector.detect(Buffer.from('%PDF-1.7\n'), 'doc').reason).toBe('binary signature');
+		expect(detector.detect(Buffer.from('ab\0cd'), 'data.out').reason).toBe('NUL byte');
+		expect(detector.detect(Buffer.from('\x01\x02\x03abcdef'), 'data.out').reason).toBe('control characters');
+	});
+
+	test('should only sniff the start of large files for NUL bytes', () => {
+		const buffer = Buffer.concat([Buffer.alloc(9000, 'a'), Buffer.from([0])]);
+		expect(detector.detect(buffer, 'big.txt').binary).toBe(false);
+	});
+
+	test('should accept extra binary extensions', () => {
+		const custom = new BinaryDetector({ extensions: ['.DAT'] });
+		expect(custom.detect(Buffer.from('text'), 'x.dat').binary).toBe(true);
+		expect(detector.detect(Buffer.from('text'), 'x.dat').binary).toBe(false);
+	});
+
+	test('should detect and decode byte order marks and Latin-1', () => {
+		const utf8 = Buffer.from('\uFEFFhi', 'utf8');
+		const utf16le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hi\0', 'utf16le')]);
+		const utf16be = Buffer.from([0xfe, 0xff, 0x00, 0x68, 0x00, 0x69]);
+		const latin1 = Buffer.from([0x63, 0x61, 0x66, 0xe9]);
+
+		expect(detector.decode(utf8, detector.detect(utf8, 'a.txt').encoding)).toBe('hi');
+		expect(detector.detect(utf16le, 'a.txt').encoding).toBe('utf16le');
+		expect(detector.decode(utf16le, 'utf16le')).toBe('hi\0');
+		expect(detector.decode(utf16be, detector.detect(utf16be, 'a.txt').encoding)).toBe('hi');
+		expect(detector.detect(latin1, 'a.txt').encoding).toBe('latin1');
+		expect(detector.decode(latin1, 'latin1')).toBe('café');
+	});
+
+	test('should not reject UTF-8 cut off inside a character by the sample', () => {
+		const buffer = Buffer.concat([Buffer.alloc(7999, 'a'), Buffer.from('é')]);
+		expect(detector.detect(buffer, 'a.txt').encoding).toBe('utf8');
+	});
+
+	test('should describe binaries by signature, extension and hash', () => {
+		const gif = Buffer.from('GIF89a');
+		expect(detector.describe(gif, 'anim')).toEqual({
+			type: 'image/gif',
+			size: 6,
+			hash: require('crypto').createHash('sha256').update(gif).digest('hex'),
+		});
+		expect(detector.describe(Buffer.from('x'), 'f.ttf').type).toBe('font/ttf');
+		expect(detector.describe(Buffer.from('x'), 'f.out').type).toBe('application/octet-stream');
+	});
+});
@@ -0,0 +1,113 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const ChangeSelector = require('../../src/core/changeSelector');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+const git = (cwd, ...args) =>
+	execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+		cwd,
+		stdio: 'pipe',
+	});
+
+describe('ChangeSelector', () => {
+	let tmpDir;
+	let repo;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		repo = tmpDir.name;
+		await fs.outputFile(path.join(repo, 'src/a.js'), 'a');
+		await fs.outputFile(path.join(repo, 'src/b.js'), 'b');
+		await fs.outputFile(path.join(repo, 'src/c.js'), 'c');
+		await fs.outputFile(path.join(repo, 'docs/readme.md'), 'docs');
+		git(repo, 'init', '-q');
+		git(repo, 'add', '.');
+		git(repo, 'commit', '-q', '-m', 'initial');
+		git(repo, 'tag', 'v1');
+	});
+
+	afterEach(() => {
+		tmpDir.removeCallback();
+	});
+
+	const relative = (files) => files.map((file) => path.relative(repo, file)).sort();
+
+	test('should list files changed since a ref, including uncommitted ones', async () => {
+		await fs.outputFile(path.join(repo, 'src/a.js'), 'a2');
+		git(repo, 'commit', '-q', '-am', 'change a');
+		await fs.outputFile(path.join(repo, 'src/b.js'), 'b2');
+		await fs.outputFile(path.join(repo, 'src/new.js'), 'new');
+		await fs.remove(path.join(repo, 'src/c.js'));
+
+		const files = await new ChangeSelector(repo, { since: 'v1' }).getChangedFiles();
+
+		expect(relative(files)).toEqual(['src/a.js', 'src/b.js', 'src/new.js']);
+	});
+
+	test('should separate staged and unstaged changes', async () => {
+		await fs.outputFile(path.join(repo, 'src/a.js'), 'a2');
+		git(repo, 'add', 'src/a.js');
+		await fs.outputFile(path.join(repo, 'src/b.js'), 'b2');
+		await fs.outputFile(path.join(repo, 'notes.txt'), 'untracked');
+
+		expect(relative(await new ChangeSelector(repo, { staged: true }).getChangedFiles())).toEqual(['src/a.js']);
+		expect(relative(await new ChangeSelector(repo, { unstaged: true }).getChangedFiles())).toEqual([
+			'notes.txt',
+			'src/b.js',
+		]);
+	});
+
+	test('should only report changes under the root directory', async () => {
+		await fs.outputFile(path.join(repo, 'src/a.js'), 'a2');
+		await fs.outputFile(path.join(repo, 'docs/readme.md'), 'docs2');
+
+		const files = await new ChangeSelector(path.join(repo, 'src'), { unstaged: true }).getChangedFiles();
+
+		expect(files).toEqual([path.join(repo, 'src/a.js')]);
+	});
+
+	test('should reject unknown refs and directories outside git', async () => {
+		await expect(new ChangeSelector(repo, { since: 'nope' }).getChangedFiles()).rejects.toThrow(
+			'Unknown git ref "nope"',
+		);
+
+		const outside = tmp.dirSync({ unsafeCleanup: true });
+		await expect(new ChangeSelector(outside.name, { staged: true }).getChangedFiles()).rejects.toThrow(
+			`Not a git repository: ${outside.name}`,
+		);
+		outside.removeCallback();
+	});
+
+	test('should expand changed files through the dependency graph', () => {
+		const files = [
+			{ relativePath: 'app.js', metadata: { resolvedDependencies: ['service.js'] } },
+			{ relativePath: 'service.js', metadata: { resolvedDependencies: ['db.js'] } },
+			{ relativePath: 'db.js', metadata: { resolvedDependencies: [] } },
+			{ relativePath: 'other.js', metadata: { resolvedDependencies: [] } },
+		];
+		const changed = ['/project/db.js'];
+		const select = (hops) =>
+			new ChangeSelector('/project', { staged: true, hops }).expand(files, changed).map((file) => file.relativePath);
+
+		expect(select(0)).toEqual(['db.js']);
+		expect(select(1)).toEqual(['service.js', 'db.js']);
+		expect(select(2)).toEqual(['app.js', 'service.js', 'db.js']);
+
+		const expanded = new ChangeSelector('/project', { staged: true }).expand(files, changed);
+		expect(expanded.map((file) => file.metadata.changed)).toEqual([false, true]);
+	});
+
+	test('should only be enabled when a change source is set', () => {
+		expect(ChangeSelector.isEnabled({ since: null, staged: false, unstaged: false, hops: 1 })).toBe(false);
+		expect(ChangeSelector.isEnabled({ since: 'main' })).toBe(true);
+		expect(ChangeSelector.isEnabled()).toBe(false);
+	});
+});
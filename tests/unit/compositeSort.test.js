@@ -0,0 +1,110 @@
+const mockFs = require('mock-fs');
+const CompositeSort = require('../../src/core/strategies/compositeSort');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+const file = (relativePath, content = '', resolvedDependencies = []) => ({
+	relativePath,
+	content,
+	metadata: { resolvedDependencies },
+});
+const paths = (files) => files.map((f) => f.relativePath);
+
+describe('CompositeSort Strategy', () => {
+	afterEach(() => {
+		mockFs.restore();
+	});
+
+	test('should parse key lists with per-key order', () => {
+		expect(CompositeSort.parseKeys('dir, type:desc,size', 'asc')).toEqual([
+			{ key: 'dir', order: 'asc' },
+			{ key: 'type', order: 'desc' },
+			{ key: 'size', order: 'asc' },
+		]);
+		expect(CompositeSort.parseKeys(['directory', { key: 'dependency', order: 'DESC' }], 'desc')).toEqual([
+			{ key: 'dir', order: 'desc' },
+			{ key: 'depth', order: 'desc' },
+		]);
+		expect(() => CompositeSort.parseKeys('size:up')).toThrow(
+			'Invalid order "up" for sort key "size": expected asc or desc',
+		);
+		expect(() => CompositeSort.parseKeys('')).toThrow('Composite sort needs at least one key');
+		expect(() => new CompositeSort()).toThrow(
+			'Composite sort keys must be a comma-separated string or an array',
+		);
+	});
+
+	test('should group by directory, then dependency order, then size', async () => {
+		const files = [
+			file('src/app.js', 'x'.repeat(30), ['src/util.js', 'lib/log.js']),
+			file('lib/log.js', 'x'.repeat(50)),
+			file('src/util.js', 'x'.repeat(20)),
+			file('src/constants.js', 'x'.repeat(10)),
+			file('lib/format.js', 'x'.repeat(5), ['lib/log.js']),
+		];
+
+		const sorted = await new CompositeSort({ keys: 'dir,depth,size' }).sort(files);
+
+		expect(paths(sorted)).toEqual([
+			'lib/log.js',
+			'lib/format.js',
+			'src/constants.js',
+			'src/util.js',
+			'src/app.js',
+		]);
+	});
+
+	test('should sort by type descending, then path', async () => {
+		const files = [file('b.md'), file('a.css'), file('c.js'), file('a.md'), file('a.json')];
+
+		const sorted = await new CompositeSort({ keys: 'type:desc,lexical' }).sort(files);
+
+		expect(paths(sorted)).toEqual(['a.md', 'b.md', 'a.json', 'c.js', 'a.css']);
+	});
+
+	test('should sort by modification time from disk', async () => {
+		mockFs({
+			'/project/old.js': mockFs.file({ content: 'old', mtime: new Date(2020, 0, 1) }),
+			'/project/new.js': mockFs.file({ content: 'new', mtime: new Date(2024, 0, 1) }),
+			'/project/mid.js': mockFs.file({ content: 'mid', mtime: new Date(2022, 0, 1) }),
+		});
+		const files = ['old', 'new', 'mid'].map((name) => ({
+			path: `/project/${name}.js`,
+			relativePath: `${name}.js`,
+		}));
+
+		const sorted = await new CompositeSort({ keys: 'mtime:desc' }).sort(files);
+
+		expect(paths(sorted)).toEqual(['new.js', 'mid.js', 'old.js']);
+	});
+
+	test('should give dependency cycle members one depth and break ties by path', async () => {
+		const files = [
+			file('c.js', '', ['a.js']),
+			file('a.js', '', ['b.js']),
+			file('b.js', '', ['a.js', 'base.js']),
+			file('base.js'),
+		];
+
+		const sorted = await new CompositeSort({ keys: 'depth' }).sort(files);
+
+		expect(paths(sorted)).toEqual(['base.js', 'a.js', 'b.js', 'c.js']);
+		expect(sorted[1].metadata.dependencyCycle).toEqual(['a.js', 'b.js']);
+		expect(sorted[3]).toBe(files[0]);
+	});
+
+	test('should order files equal on every key by path, whatever the input order', async () => {
+		const files = [file('src/b.js'), file('src/B.js'), file('src/a.js')];
+
+		const forward = await new CompositeSort({ keys: 'dir' }).sort([...files]);
+		const reversed = await new CompositeSort({ keys: 'dir' }).sort([...files].reverse());
+
+		expect(paths(forward)).toEqual(['src/B.js', 'src/a.js', 'src/b.js']);
+		expect(paths(reversed)).toEqual(paths(forward));
+	});
+});
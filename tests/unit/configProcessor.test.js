@@ -178,6 +178,104 @@ describe('ConfigProcessor - Additional Coverage', () => {
 			cp.validateConfig({ metadata: { detectDependencies: 'nope' } });
 		}).toThrow('metadata.detectDependencies must be a boolean.');
 	});
+
+	test('should throw if maxTokens is not a positive integer', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ maxTokens: -5 })).toThrow(
+			'maxTokens must be a positive integer.',
+		);
+		expect(() => cp.validateConfig({ maxTokens: null })).not.toThrow();
+	});
+
+	test('should throw if tokenBudget.mode is unknown', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ tokenBudget: { mode: 'shrink' } })).toThrow(
+			'tokenBudget.mode must be one of: drop, truncate, summarize.',
+		);
+	});
+
+	test('should throw if git options have the wrong types', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ git: { since: 5 } })).toThrow('git.since must be a string.');
+		expect(() => cp.validateConfig({ git: { staged: 'yes' } })).toThrow('git.staged must be a boolean.');
+		expect(() => cp.validateConfig({ git: { hops: -1 } })).toThrow('git.hops must be a non-negative integer.');
+		expect(() => cp.validateConfig({ git: { since: 'main', hops: 0 } })).not.toThrow();
+	});
+
+	test('should throw if include or exclude are not glob lists', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ include: 'src/**' })).toThrow('include must be an array of glob strings.');
+		expect(() => cp.validateConfig({ exclude: [1] })).toThrow('exclude must be an array of glob strings.');
+		expect(() => cp.validateConfig({ include: ['src/**/*.js'], exclude: ['**/*.test.js'] })).not.toThrow();
+	});
+
+	test('should throw if ignore options are not booleans', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ ignore: { nested: 'yes' } })).toThrow('ignore.nested must be a boolean.');
+		expect(() => cp.validateConfig({ ignore: { skipDefaults: 0 } })).toThrow('ignore.skipDefaults must be a boolean.');
+		expect(() => cp.validateConfig({ ignore: { gitExcludes: false } })).not.toThrow();
+	});
+
+	test('should throw if scan limits are invalid', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ scan: { maxFileSize: 0 } })).toThrow('scan.maxFileSize must be a positive integer.');
+		expect(() => cp.validateConfig({ scan: { skipGenerated: 'no' } })).toThrow('scan.skipGenerated must be a boolean.');
+		expect(() => cp.validateConfig({ scan: { followSymlinks: 1 } })).toThrow('scan.followSymlinks must be a boolean.');
+		expect(() => cp.validateConfig({ scan: { maxFileSize: 100000, skipGenerated: false, followSymlinks: true } })).not.toThrow();
+	});
+
+	test('should throw if scan.binary options are invalid', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ scan: { binary: { mode: 'skip' } } })).toThrow(
+			'scan.binary.mode must be one of: exclude, stub.',
+		);
+		expect(() => cp.validateConfig({ scan: { binary: { extensions: '.dat' } } })).toThrow(
+			'scan.binary.extensions must be an array of strings.',
+		);
+		expect(() => cp.validateConfig({ scan: { binary: { mode: 'stub', extensions: ['.dat'] } } })).not.toThrow();
+	});
+
+	test('should throw if changes options have the wrong types', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ changes: { enabled: 'yes' } })).toThrow('changes.enabled must be a boolean.');
+		expect(() => cp.validateConfig({ changes: { ref: 1 } })).toThrow('changes.ref must be a string.');
+		expect(() => cp.validateConfig({ changes: { context: 1.5 } })).toThrow(
+			'changes.context must be a non-negative integer.',
+		);
+		expect(() => cp.validateConfig({ changes: { enabled: true, ref: 'main', context: 0 } })).not.toThrow();
+	});
+
+	test('should validate the cache setting', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ cache: { enabled: 'yes' } })).toThrow('cache.enabled must be a boolean.');
+		expect(() => cp.validateConfig({ cache: { enabled: false } })).not.toThrow();
+	});
+
+	test('should validate the output format', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ output: { format: 1 } })).toThrow('output.format must be a string.');
+		expect(() => cp.validateConfig({ output: { format: 'xml' } })).not.toThrow();
+	});
+
+	test('should validate the preamble switch', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ output: { preamble: 'yes' } })).toThrow('output.preamble must be a boolean.');
+		expect(() => cp.validateConfig({ output: { preamble: true } })).not.toThrow();
+	});
+
+	test('should validate the table of contents switch', () => {
+		const cp = new ConfigProcessor('/fake');
+		expect(() => cp.validateConfig({ output: { toc: 1 } })).toThrow('output.toc must be a boolean.');
+		expect(() => cp.validateConfig({ output: { toc: false } })).not.toThrow();
+	});
+
+	test('should throw if strategyOptions are not keyed option objects', () => {
+		const cp = new ConfigProcessor('/fake');
+		const message = 'strategyOptions must map strategy names to option objects.';
+		expect(() => cp.validateConfig({ strategyOptions: [] })).toThrow(message);
+		expect(() => cp.validateConfig({ strategyOptions: { size: 'desc' } })).toThrow(message);
+		expect(() => cp.validateConfig({ strategyOptions: { size: { order: 'desc' } } })).not.toThrow();
+	});
 });
 
 // ...existing code...
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const Consolidator = require('../../src/core/consolidator');
 const FileProcessor = require('../../src/core/fileProcessor');
+const MarkdownFormatter = require('../../src/output/formatters/markdownFormatter');
 
 jest.mock('../../src/utils/logger');
 jest.mock('../../src/core/fileProcessor');
@@ -66,15 +67,71 @@ describe('Consolidator', () => {
 		expect(fs.existsSync('/test/newdir')).toBe(true);
 	});
 
-	test('formatHeader should handle missing metadata correctly', () => {
-		const consolidator = new Consolidator();
-		const file = {
-			fileName: 'test.js',
-			relativePath: 'src/test.js',
-		};
-		const header = consolidator.formatHeader(file);
-		expect(header).toContain('No description available');
-		expect(header).toContain('**Dependencies**: None');
+	test('should append the changes section after the files', async () => {
+		const consolidator = new Consolidator({ outputDir: '/test/output', outputFileName: 'output.md' });
+		const changes = '# Changes\n**Since**: `main`\n';
+
+		await consolidator.createOutput(
+			[{ fileName: 'a.js', relativePath: 'a.js', content: 'a', metadata: {} }],
+			{ changes },
+		);
+
+		const output = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(output.indexOf('# a.js')).toBeLessThan(output.indexOf('# Changes'));
+	});
+
+	test('should put the changes section in a chunk of its own', async () => {
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 10000,
+		});
+
+		await consolidator.createOutput(
+			[{ fileName: 'a.js', relativePath: 'a.js', content: 'a', metadata: {} }],
+			{ changes: '# Changes\n' },
+		);
+
+		expect(fs.readFileSync('/test/output/output-002.md', 'utf8')).toBe('# Changes\n');
+		expect(fs.readFileSync('/test/output/output.md', 'utf8')).toContain('## output-002.md\n- Changes\n');
+	});
+
+	test('should split a changes section that exceeds the chunk size alone', async () => {
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 300,
+		});
+		const changes = `# Changes\n${Array.from({ length: 30 }, (_, i) => `+const line${i} = ${i};`).join('\n')}\n`;
+
+		const result = await consolidator.createOutput(
+			[{ fileName: 'a.js', relativePath: 'a.js', content: 'a', metadata: {} }],
+			{ changes },
+		);
+
+		const chunks = result.chunks.map((chunk) => fs.readFileSync(chunk, 'utf8'));
+		expect(chunks.length).toBeGreaterThan(2);
+		chunks.forEach((chunk) => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(300));
+		expect(chunks.slice(1).join('\n')).toContain('+const line29 = 29;');
+		expect(fs.readFileSync('/test/output/output.md', 'utf8')).toContain(
+			`## output-002.md\n- Changes (part 1 of ${chunks.length - 1})\n`,
+		);
+	});
+
+	test('should remove the chunks of an earlier chunked run when writing one file', async () => {
+		const files = [{ path: '/test/a.js', fileName: 'a.js', relativePath: 'a.js', content: 'a' }];
+		mockFs({ '/test/output': { 'output-001.md': 'old chunk', 'output-002.md': 'old chunk' } });
+		const consolidator = new Consolidator({ outputDir: '/test/output', outputFileName: 'output.md' });
+
+		expect(await consolidator.consolidate(files, { check: true })).toMatchObject({
+			upToDate: false,
+			stale: ['/test/output/output.md', '/test/output/output-001.md', '/test/output/output-002.md'],
+		});
+
+		await consolidator.createOutput(files);
+
+		expect(fs.readdirSync('/test/output')).toEqual(['output.md']);
+		expect(await consolidator.consolidate(files, { check: true })).toMatchObject({ upToDate: true });
 	});
 
 	test('should use current directory when outputDir is empty', () => {
@@ -87,19 +144,389 @@ describe('Consolidator', () => {
 		expect(consolidator.outputFilePath).toBe('./output.md');
 	});
 
-	test('formatContent should handle different file extensions', () => {
-		const consolidator = new Consolidator();
-		const testCases = [
-			{ fileName: 'test.js', expectedExt: 'js' },
-			{ fileName: 'test.py', expectedExt: 'py' },
-			{ fileName: 'test', expectedExt: 'plaintext' },
-			{ fileName: undefined, expectedExt: 'plaintext' },
+	test('should append the token budget report when files were cut', async () => {
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+		});
+		const budgetReport = {
+			maxTokens: 100,
+			mode: 'drop',
+			totalTokens: 250,
+			usedTokens: 90,
+			cut: [
+				{ relativePath: 'big.js', action: 'dropped', originalTokens: 160, keptTokens: 0 },
+			],
+		};
+
+		await consolidator.consolidate([{ path: 'test.js' }], { budgetReport });
+
+		const output = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(output).toContain('# Token Budget');
+		expect(output).toContain('- `big.js`: dropped (160 -> 0 tokens)');
+	});
+
+	test('should split output into numbered chunks with an index', async () => {
+		const files = ['a.js', 'b.js', 'c.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: 'x'.repeat(100),
+		}));
+		FileProcessor.prototype.processFiles.mockResolvedValueOnce({
+			results: files,
+			metrics: {},
+		});
+		mockFs({ '/test/output': { 'output-009.md': 'stale chunk' } });
+
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 500,
+		});
+		const result = await consolidator.consolidate(files);
+
+		expect(result.chunks).toEqual([
+			'/test/output/output-001.md',
+			'/test/output/output-002.md',
+		]);
+		expect(fs.existsSync('/test/output/output-009.md')).toBe(false);
+
+		const first = fs.readFileSync('/test/output/output-001.md', 'utf8');
+		expect(first).toContain('**Path**: `src/a.js`');
+		expect(first).toContain('**Path**: `src/b.js`');
+		expect(Buffer.byteLength(first)).toBeLessThanOrEqual(500);
+
+		const index = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(index).toContain('## output-001.md\n- `src/a.js`\n- `src/b.js`');
+		expect(index).toContain('## output-002.md\n- `src/c.js`');
+	});
+
+	test('should split a file across chunks only when it exceeds the limit alone', async () => {
+		const big = {
+			fileName: 'big.js',
+			relativePath: 'big.js',
+			content: Array.from({ length: 40 }, (_, i) => `const line${i} = ${i};`).join('\n'),
+		};
+		FileProcessor.prototype.processFiles.mockResolvedValueOnce({
+			results: [big],
+			metrics: {},
+		});
+
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 300,
+		});
+		const result = await consolidator.consolidate([big]);
+
+		expect(result.chunks.length).toBeGreaterThan(1);
+		const chunks = result.chunks.map((chunk) => fs.readFileSync(chunk, 'utf8'));
+		chunks.forEach((chunk) => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(300));
+		expect(chunks[0]).toContain(`# big.js (part 1 of ${chunks.length})`);
+		expect(chunks.join('\n')).toContain('const line39 = 39;');
+	});
+
+	test('should check the output against the files on disk without writing', async () => {
+		const files = [{ path: '/test/a.js', fileName: 'a.js', relativePath: 'a.js', content: 'a' }];
+		const consolidator = new Consolidator({ outputDir: '/test/output', outputFileName: 'output.md' });
+
+		const missing = await consolidator.consolidate(files, { check: true });
+		expect(missing).toMatchObject({ upToDate: false, stale: ['/test/output/output.md'] });
+		expect(fs.existsSync('/test/output/output.md')).toBe(false);
+
+		await consolidator.createOutput(files);
+		expect(await consolidator.consolidate(files, { check: true })).toMatchObject({ upToDate: true, stale: [] });
+
+		const changed = [{ ...files[0], content: 'b' }];
+		expect(await consolidator.consolidate(changed, { check: true })).toMatchObject({ upToDate: false });
+		expect(FileProcessor.prototype.processFiles).not.toHaveBeenCalled();
+	});
+
+	test('should report leftover chunks as stale when checking', async () => {
+		const files = ['a.js', 'b.js'].map((name) => ({
+			path: `/test/${name}`,
+			fileName: name,
+			relativePath: name,
+			content: 'x'.repeat(100),
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 10000,
+		});
+
+		await consolidator.createOutput(files);
+		expect(await consolidator.consolidate(files, { check: true })).toMatchObject({ upToDate: true });
+
+		fs.writeFileSync('/test/output/output-002.md', 'from a larger pack');
+		const result = await consolidator.consolidate(files, { check: true });
+		expect(result).toMatchObject({ upToDate: false, stale: ['/test/output/output-002.md'] });
+	});
+
+	test('should write an XML document when the format is xml', async () => {
+		const files = [
+			{ fileName: 'a.js', relativePath: 'src/a.js', content: 'if (a < b && c) {}', metadata: { description: 'A & B' } },
+		];
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.xml',
+			format: 'xml',
+		});
+		await consolidator.createOutput(files, { changes: '# Changes' });
+
+		const output = fs.readFileSync('/test/output/output.xml', 'utf8');
+		expect(output.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<pack>\n')).toBe(true);
+		expect(output).toContain('<file path="src/a.js" language="js">');
+		expect(output).toContain('<description>A &amp; B</description>');
+		expect(output).toContain('<content><![CDATA[if (a < b && c) {}]]></content>');
+		expect(output).toContain('<changes><![CDATA[# Changes]]></changes>');
+		expect(output.endsWith('</pack>\n')).toBe(true);
+	});
+
+	test('should make every XML chunk and the index a document of its own', async () => {
+		const files = ['a.js', 'b.js', 'c.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: 'x'.repeat(100),
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.xml',
+			chunkSize: 450,
+			format: 'xml',
+		});
+		const result = await consolidator.createOutput(files);
+
+		expect(result.chunks.length).toBeGreaterThan(1);
+		result.chunks.forEach((chunk) => {
+			const content = fs.readFileSync(chunk, 'utf8');
+			expect(content.startsWith('<?xml')).toBe(true);
+			expect(content.endsWith('</pack>\n')).toBe(true);
+			expect(Buffer.byteLength(content)).toBeLessThanOrEqual(450);
+		});
+		const index = fs.readFileSync('/test/output/output.xml', 'utf8');
+		expect(index).toContain('<chunk-index chunks="2" max="450" unit="bytes">');
+		expect(index).toContain('<chunk file="output-001.xml">\n    <file path="src/a.js"/>');
+	});
+
+	test('should write a JSON document with a project summary', async () => {
+		const files = ['a.js', 'b.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: 'x\ny',
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.json',
+			format: 'json',
+			rootDir: '/test/demo',
+		});
+		await consolidator.createOutput(files, { changes: '# Changes' });
+
+		const document = JSON.parse(fs.readFileSync('/test/output/output.json', 'utf8'));
+		expect(document.project).toEqual({
+			name: 'demo',
+			files: 2,
+			bytes: 6,
+			lines: 4,
+			tokenBudget: null,
+			changes: '# Changes',
+		});
+		expect(document.files.map((file) => file.path)).toEqual(['src/a.js', 'src/b.js']);
+	});
+
+	test('should open the pack with a project overview when the preamble is on', async () => {
+		mockFs({
+			'/test/demo': { 'package.json': JSON.stringify({ name: 'demo-app' }) },
+			'/test/output': {},
+		});
+		const files = [
+			{ fileName: 'b.js', relativePath: 'src/b.js', content: 'b\nb' },
+			{ fileName: 'a.js', relativePath: 'src/a.js', content: 'a' },
+			{ fileName: 'README.md', relativePath: 'README.md', content: 'readme' },
+			{ fileName: 'LICENSE', relativePath: 'LICENSE', content: 'mit' },
+		];
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			rootDir: '/test/demo',
+			preamble: true,
+			sortingStrategy: 'size (desc)',
+		});
+		await consolidator.createOutput(files);
+
+		const output = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(output.startsWith('# Project Overview\n**Project**: demo-app\n')).toBe(true);
+		expect(output).toContain('**Files**: 4 — js (2), (none) (1), md (1)\n');
+		expect(output).toContain('**Size**: 5 lines, 13 bytes, ~');
+		expect(output).toContain('**Sorted By**: size (desc)\n');
+		expect(output).toContain(
+			'```text\ndemo-app/\n├── LICENSE\n├── README.md\n└── src/\n    ├── a.js\n    └── b.js\n```\n',
+		);
+		expect(output.indexOf('# Project Overview')).toBeLessThan(output.indexOf('# b.js'));
+	});
+
+	test('should leave the overview out of the project summary by default', () => {
+		const consolidator = new Consolidator({ outputDir: '/test/output', rootDir: '/test/demo' });
+		const project = consolidator.describeProject([{ fileName: 'a.js', relativePath: 'a.js', content: 'a' }]);
+		expect(project.name).toBe('demo');
+		expect(project).not.toHaveProperty('overview');
+	});
+
+	test('should put the overview in the first chunk and the JSON project summary', async () => {
+		const files = ['a.js', 'b.js'].map((name) => ({
+			fileName: name,
+			relativePath: name,
+			content: 'x'.repeat(100),
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 10000,
+			preamble: true,
+		});
+		await consolidator.createOutput(files);
+		expect(fs.readFileSync('/test/output/output-001.md', 'utf8').startsWith('# Project Overview\n')).toBe(true);
+		expect(fs.readFileSync('/test/output/output.md', 'utf8')).toContain('## output-001.md\n- Overview\n- `a.js`');
+
+		const json = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.json',
+			format: 'json',
+			preamble: true,
+			sortingStrategy: 'lexical',
+		});
+		await json.createOutput(files);
+		const { project } = JSON.parse(fs.readFileSync('/test/output/output.json', 'utf8'));
+		expect(project.overview).toEqual({
+			types: { js: 2 },
+			tokens: expect.any(Number),
+			sortingStrategy: 'lexical',
+			tree: './\n├── a.js\n└── b.js\n',
+		});
+	});
+
+	test('should follow the overview with a table of contents when it is on', async () => {
+		const files = [
+			{ fileName: 'b.js', relativePath: 'src/b.js', content: 'b\nb\n' },
+			{ fileName: 'a.js', relativePath: 'a.js', content: 'a' },
 		];
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			preamble: true,
+			toc: true,
+		});
+		await consolidator.createOutput(files);
+
+		const output = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(output).toContain('# Table of Contents\n\n## ./\n- [a.js](#a-js) (1 line)\n\n## src/\n- [b.js](#src-b-js) (2 lines)\n');
+		expect(output).toContain('<a id="src-b-js"></a>\n# b.js\n');
+		expect(output.indexOf('# Project Overview')).toBeLessThan(output.indexOf('# Table of Contents'));
+		expect(output.indexOf('# Table of Contents')).toBeLessThan(output.indexOf('# b.js'));
+	});
+
+	test('should give paths with the same slug anchors of their own', async () => {
+		const files = ['foo-bar.js', 'foo_bar.js', 'baz.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: name,
+		}));
+		const consolidator = new Consolidator({ outputDir: '/test/output', outputFileName: 'output.md', toc: true });
+		await consolidator.createOutput(files);
+
+		const output = fs.readFileSync('/test/output/output.md', 'utf8');
+		const links = [...output.matchAll(/\]\(#([^)]+)\)/g)].map((match) => match[1]);
+		const ids = [...output.matchAll(/<a id="([^"]+)"><\/a>/g)].map((match) => match[1]);
+		expect(links).toEqual(ids);
+		expect(new Set(ids).size).toBe(3);
+		expect(ids[0]).toMatch(/^src-foo-bar-js-[0-9a-f]{8}$/);
+		expect(ids[1]).toMatch(/^src-foo-bar-js-[0-9a-f]{8}$/);
+		expect(ids[2]).toBe('src-baz-js');
+
+		// The same files in another order keep their anchors
+		await consolidator.createOutput([...files].reverse());
+		const reordered = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect([...reordered.matchAll(/<a id="([^"]+)"><\/a>/g)].map((match) => match[1])).toEqual([...ids].reverse());
+	});
 
-		testCases.forEach(({ fileName, expectedExt }) => {
-			const result = consolidator.formatContent({ fileName, content: 'test' });
-			expect(result).toContain(`\`\`\`${expectedExt}\n`);
+	test('should put the table of contents of a chunked pack in the index', async () => {
+		const files = ['a.js', 'b.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: 'x'.repeat(100),
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 300,
+			toc: true,
 		});
+		await consolidator.createOutput(files);
+
+		const index = fs.readFileSync('/test/output/output.md', 'utf8');
+		expect(index).toContain('- [a.js](output-001.md#src-a-js) (1 line)\n- [b.js](output-002.md#src-b-js) (1 line)\n');
+		expect(fs.readFileSync('/test/output/output-001.md', 'utf8')).not.toContain('# Table of Contents');
+	});
+
+	test('should split JSON Lines into chunks of whole records', async () => {
+		const files = ['a.js', 'b.js', 'c.js'].map((name) => ({
+			fileName: name,
+			relativePath: `src/${name}`,
+			content: 'x'.repeat(100),
+		}));
+		const consolidator = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.jsonl',
+			chunkSize: 600,
+			format: 'jsonl',
+		});
+		const result = await consolidator.createOutput(files);
+
+		expect(result.chunks.length).toBeGreaterThan(1);
+		const records = result.chunks.flatMap((chunk) =>
+			fs.readFileSync(chunk, 'utf8').trimEnd().split('\n').map((line) => JSON.parse(line)),
+		);
+		expect(records.map((record) => record.path)).toEqual(['src/a.js', 'src/b.js', 'src/c.js']);
+		const index = fs.readFileSync('/test/output/output.jsonl', 'utf8').trimEnd().split('\n');
+		expect(JSON.parse(index[0])).toEqual({ chunk: 'output-001.jsonl', files: [{ path: 'src/a.js' }] });
+	});
+
+	test('should drop the partly written output when formatting fails', async () => {
+		const formatter = new MarkdownFormatter();
+		const formatFile = formatter.formatFile.bind(formatter);
+		formatter.formatFile = (file, part) => {
+			if (file.relativePath === 'b.js') throw new Error('cannot format b.js');
+			return formatFile(file, part);
+		};
+		const files = ['a.js', 'b.js'].map((name) => ({ fileName: name, relativePath: name, content: name }));
+		// Lets an abandoned write stream create its file, as it would without abort()
+		const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+		const single = new Consolidator({ outputDir: '/test/output', outputFileName: 'output.md', formatter });
+		await expect(single.createOutput(files)).rejects.toThrow('cannot format b.js');
+		await settle();
+		expect(fs.existsSync('/test/output/output.md')).toBe(false);
+
+		const chunked = new Consolidator({
+			outputDir: '/test/output',
+			outputFileName: 'output.md',
+			chunkSize: 10000,
+			formatter,
+		});
+		await expect(chunked.createOutput(files)).rejects.toThrow('cannot format b.js');
+		await settle();
+		expect(fs.existsSync('/test/output/output-001.md')).toBe(false);
+	});
+
+	test('should reject unknown output formats', () => {
+		expect(() => new Consolidator({ format: 'yaml' })).toThrow('Unknown output format "yaml"');
+	});
+
+	test('should reject unknown chunk units', () => {
+		expect(() => new Consolidator({ chunkSize: 10, chunkUnit: 'lines' })).toThrow(
+			'Invalid chunk unit "lines"',
+		);
 	});
 
 	test('should handle file processing errors gracefully', async () => {
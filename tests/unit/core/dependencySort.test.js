@@ -63,7 +63,7 @@ describe('DependencySort Strategy', () => {
 
   });
 
-  test('should throw an error on circular dependencies', () => {
+  test('should group circular dependencies together', () => {
     const circularFiles = [
       {
         fileName: 'a.js',
@@ -80,7 +80,12 @@ describe('DependencySort Strategy', () => {
     ];
 
     const dependencySort = new DependencySort();
-    expect(() => dependencySort.sort(circularFiles)).toThrow('Circular dependency detected involving src/a.js');
+    const sorted = dependencySort.sort(circularFiles);
+
+    expect(sorted.map((file) => file.relativePath)).toEqual(['src/a.js', 'src/b.js']);
+    sorted.forEach((file) => {
+      expect(file.metadata.dependencyCycle).toEqual(['src/a.js', 'src/b.js']);
+    });
   });
 
   test('should ignore non-existent dependencies gracefully', () => {
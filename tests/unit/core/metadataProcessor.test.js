@@ -33,9 +33,71 @@ describe('MetadataProcessor', () => {
     expect(jsFile.content).toContain('import something');
   });
 
-  test('should detect relationships (placeholder)', async () => {
+  test('should have no relationships for an isolated file', async () => {
     const files = [ path.join(rootDir, 'file1.js') ];
     const enriched = await processor.enrich(files);
     expect(enriched[0].metadata.relationships).toEqual([]);
   });
-});
\ No newline at end of file
+
+  test('should detect relationships between files', async () => {
+    mockFs({
+      '/test/root/src/app.js': "const util = require('./util');",
+      '/test/root/src/util.js': 'module.exports = {};',
+      '/test/root/tests/util.test.js': "const util = require('../src/util');",
+    });
+    const files = ['src/app.js', 'src/util.js', 'tests/util.test.js'].map((file) => path.join(rootDir, file));
+
+    const enriched = await processor.enrich(files);
+    const util = enriched.find((f) => f.relativePath === 'src/util.js');
+
+    expect(util.metadata.relationships).toEqual(expect.arrayContaining([
+      { type: 'importedBy', target: 'src/app.js' },
+      { type: 'importedBy', target: 'tests/util.test.js' },
+      { type: 'testedBy', target: 'tests/util.test.js' },
+    ]));
+    expect(processor.findRelationships(util)).toBe(util.metadata.relationships);
+  });
+
+  test('should exclude binary files by default', async () => {
+    mockFs({
+      '/test/root/app.js': 'module.exports = 1;',
+      '/test/root/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      '/test/root/data.out': Buffer.from([0x41, 0x00, 0x42]),
+    });
+    const files = ['app.js', 'logo.png', 'data.out'].map((file) => path.join(rootDir, file));
+
+    const enriched = await processor.enrich(files);
+
+    expect(enriched.map((f) => f.relativePath)).toEqual(['app.js']);
+  });
+
+  test('should replace binary files with a stub when configured', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    mockFs({ '/test/root/logo.png': png });
+    processor = new MetadataProcessor(rootDir, { binary: { mode: 'stub' } });
+
+    const [stub] = await processor.enrich([path.join(rootDir, 'logo.png')]);
+
+    expect(stub.metadata.binary).toEqual({
+      type: 'image/png',
+      size: 8,
+      hash: require('crypto').createHash('sha256').update(png).digest('hex'),
+    });
+    expect(stub.metadata.dependencies).toEqual([]);
+    expect(stub.content).toBe(`[binary file: image/png, 8 bytes, sha256 ${stub.metadata.binary.hash}]`);
+  });
+
+  test('should decode UTF-16 and Latin-1 text', async () => {
+    mockFs({
+      '/test/root/utf16.txt': Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('héllo', 'utf16le')]),
+      '/test/root/latin1.txt': Buffer.from('caf\xe9', 'latin1'),
+    });
+    const files = ['utf16.txt', 'latin1.txt'].map((file) => path.join(rootDir, file));
+
+    const enriched = await processor.enrich(files);
+    const content = (name) => enriched.find((f) => f.fileName === name).content;
+
+    expect(content('utf16.txt')).toBe('héllo');
+    expect(content('latin1.txt')).toBe('café');
+  });
+});
@@ -0,0 +1,93 @@
+const DependencyExtractor = require('../../src/core/dependencyExtractor');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('DependencyExtractor', () => {
+  const extractor = new DependencyExtractor();
+  const specifiers = (deps) => deps.map((dep) => dep.specifier);
+
+  test('should extract ES module imports and re-exports', () => {
+    const deps = extractor.extract(`
+      import def from './default';
+      import * as ns from 'namespace-pkg';
+      import './styles.css';
+      export * from '../shared';
+      export { helper } from './helpers';
+    `, 'src/index.js');
+
+    expect(specifiers(deps)).toEqual(['./default', 'namespace-pkg', './styles.css', '../shared', './helpers']);
+    expect(deps[2].types).toEqual(['side-effect']);
+    expect(deps[3].types).toEqual(['export']);
+  });
+
+  test('should extract CommonJS requires and dynamic imports', () => {
+    const deps = extractor.extract(`
+      const fs = require('fs').promises;
+      const Logger = require(\`../utils/logger\`);
+      async function load() {
+        const { plugin } = await import('./plugin');
+        return require(dynamicName);
+      }
+    `, 'src/loader.js');
+
+    expect(specifiers(deps)).toEqual(['fs', '../utils/logger', './plugin']);
+    expect(deps.map((dep) => dep.types[0])).toEqual(['require', 'require', 'dynamic-import']);
+  });
+
+  test('should extract TypeScript type imports', () => {
+    const deps = extractor.extract(`
+      import type { Config } from './config';
+      import { run } from './runner';
+      import legacy = require('legacy-lib');
+      export type { Options } from './options';
+      let lazy: import('./lazy').Lazy;
+    `, 'src/app.ts');
+
+    expect(deps).toEqual([
+      { specifier: './config', kind: 'relative', types: ['import-type'], typeOnly: true },
+      { specifier: './runner', kind: 'relative', types: ['import'], typeOnly: false },
+      { specifier: 'legacy-lib', kind: 'package', types: ['require'], typeOnly: false },
+      { specifier: './options', kind: 'relative', types: ['export'], typeOnly: true },
+      { specifier: './lazy', kind: 'relative', types: ['import-type'], typeOnly: true },
+    ]);
+  });
+
+  test('should parse JSX and merge repeated specifiers', () => {
+    const deps = extractor.extract(`
+      import React from 'react';
+      const App = () => <div>{require('react').version}</div>;
+    `, 'src/App.jsx');
+
+    expect(deps).toEqual([
+      { specifier: 'react', kind: 'package', types: ['import', 'require'], typeOnly: false },
+    ]);
+  });
+
+  test('should fall back to pattern matching when parsing fails', () => {
+    const deps = extractor.extract(`
+      import a from './a';
+      const b = require('b');
+      this is (not valid {{ javascript
+    `, 'src/broken.js');
+
+    expect(specifiers(deps)).toEqual(['./a', 'b']);
+  });
+
+  test('should ignore unsupported file types', () => {
+    expect(extractor.extract("import foo from 'foo';", 'README.md')).toEqual([]);
+  });
+
+  test('should classify specifiers', () => {
+    expect(DependencyExtractor.classify('./a')).toBe('relative');
+    expect(DependencyExtractor.classify('..')).toBe('relative');
+    expect(DependencyExtractor.classify('fs/promises')).toBe('builtin');
+    expect(DependencyExtractor.classify('node:test')).toBe('builtin');
+    expect(DependencyExtractor.classify('@scope/pkg')).toBe('package');
+    expect(DependencyExtractor.classify('lodash/merge')).toBe('package');
+  });
+});
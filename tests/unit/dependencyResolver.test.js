@@ -0,0 +1,92 @@
+const DependencyResolver = require('../../src/core/dependencyResolver');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+describe('DependencyResolver', () => {
+  const rootDir = '/project';
+  const files = [
+    '/project/src/index.js',
+    '/project/src/utils/logger.js',
+    '/project/src/utils/index.ts',
+    '/project/src/components/Button.tsx',
+    '/project/src/data.json',
+    '/project/lib/widget/package.json',
+    '/project/lib/widget/dist/main.js',
+    '/project/packages/core/package.json',
+    '/project/packages/core/src/index.js',
+    '/project/packages/core/src/features/search.js',
+    '/project/node_modules/left-pad/index.js',
+    '/project/tsconfig.json',
+  ];
+  const contents = {
+    '/project/lib/widget/package.json': JSON.stringify({ main: 'dist/main' }),
+    '/project/packages/core/package.json': JSON.stringify({
+      name: '@acme/core',
+      exports: {
+        '.': { import: './src/index.js', require: './dist/index.cjs' },
+        './features/*': './src/features/*.js',
+      },
+    }),
+    '/project/tsconfig.json': `{
+      // Comments and trailing commas are allowed
+      "compilerOptions": {
+        "baseUrl": ".",
+        "paths": {
+          "@/*": ["src/*"],
+          "~logger": ["src/utils/logger.js"],
+        },
+      },
+    }`,
+  };
+  const resolver = new DependencyResolver(rootDir, files, { contents });
+  const from = '/project/src/index.js';
+
+  test('should resolve relative specifiers with extension probing', () => {
+    expect(resolver.resolve('./utils/logger', from)).toBe('src/utils/logger.js');
+    expect(resolver.resolve('./utils/logger.js', from)).toBe('src/utils/logger.js');
+    expect(resolver.resolve('./components/Button', from)).toBe('src/components/Button.tsx');
+    expect(resolver.resolve('./data.json', from)).toBe('src/data.json');
+    expect(resolver.resolve('../src/utils/logger', '/project/lib/widget/dist/main.js')).toBeNull();
+  });
+
+  test('should resolve directories through index files and package.json main', () => {
+    expect(resolver.resolve('./utils', from)).toBe('src/utils/index.ts');
+    expect(resolver.resolve('../lib/widget', from)).toBe('lib/widget/dist/main.js');
+  });
+
+  test('should map compiled extensions back to TypeScript sources', () => {
+    expect(resolver.resolve('./utils/index.js', from)).toBe('src/utils/index.ts');
+  });
+
+  test('should resolve workspace packages through package.json exports', () => {
+    expect(resolver.resolve('@acme/core', from)).toBe('packages/core/src/index.js');
+    expect(resolver.resolve('@acme/core/features/search', from)).toBe('packages/core/src/features/search.js');
+  });
+
+  test('should resolve packages from node_modules', () => {
+    expect(resolver.resolve('left-pad', '/project/src/utils/logger.js')).toBe('node_modules/left-pad/index.js');
+  });
+
+  test('should resolve tsconfig paths aliases and baseUrl imports', () => {
+    expect(resolver.resolve('@/utils/logger', from)).toBe('src/utils/logger.js');
+    expect(resolver.resolve('~logger', from)).toBe('src/utils/logger.js');
+    expect(resolver.resolve('src/data.json', from)).toBe('src/data.json');
+  });
+
+  test('should return null for unresolvable and builtin specifiers', () => {
+    expect(resolver.resolve('./missing', from)).toBeNull();
+    expect(resolver.resolve('react', from)).toBeNull();
+    expect(resolver.resolve('node:fs', from)).toBeNull();
+  });
+
+  test('should honour a custom extensions list', () => {
+    const strict = new DependencyResolver(rootDir, files, { contents, extensions: ['.js'] });
+    expect(strict.resolve('./components/Button', from)).toBeNull();
+    expect(strict.resolve('./utils/logger', from)).toBe('src/utils/logger.js');
+  });
+});
@@ -70,7 +70,7 @@ describe('DependencySort Strategy', () => {
 		expect(sorted).toEqual(expectedOrder);
 	});
 
-	test('should throw an error on circular dependencies', () => {
+	test('should group circular dependencies together', () => {
 		const circularFiles = [
 			{
 				fileName: 'a.js',
@@ -87,9 +87,12 @@ describe('DependencySort Strategy', () => {
 		];
 
 		const dependencySort = new DependencySort();
-		expect(() => dependencySort.sort(circularFiles)).toThrow(
-			'Circular dependency detected involving src/a.js',
-		);
+		const sorted = dependencySort.sort(circularFiles);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual(['src/a.js', 'src/b.js']);
+		sorted.forEach((file) => {
+			expect(file.metadata.dependencyCycle).toEqual(['src/a.js', 'src/b.js']);
+		});
 	});
 
 	test('should resolve dependencies without .js extension', () => {
@@ -115,6 +118,55 @@ describe('DependencySort Strategy', () => {
 		expect(sorted[1].relativePath).toBe('src/app.js');
 	});
 
+	test('should prefer resolved dependency paths', () => {
+		const files = [
+			{
+				fileName: 'app.js',
+				relativePath: 'src/app.js',
+				metadata: {
+					dependencies: ['../lib/service'],
+					resolvedDependencies: ['lib/service/index.js'],
+				},
+			},
+			{
+				fileName: 'index.js',
+				relativePath: 'lib/service/index.js',
+				metadata: { dependencies: [], resolvedDependencies: [] },
+			},
+		];
+
+		const sorted = new DependencySort().sort(files);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual([
+			'lib/service/index.js',
+			'src/app.js',
+		]);
+	});
+
+	test('should place a dependency cycle between its dependencies and dependents', () => {
+		const files = [
+			{ relativePath: 'src/app.js', metadata: { resolvedDependencies: ['src/b.js'] } },
+			{ relativePath: 'src/a.js', metadata: { resolvedDependencies: ['src/b.js', 'src/log.js'] } },
+			{ relativePath: 'src/b.js', metadata: { resolvedDependencies: ['src/c.js'] } },
+			{ relativePath: 'src/c.js', metadata: { resolvedDependencies: ['src/a.js'] } },
+			{ relativePath: 'src/log.js', metadata: { resolvedDependencies: ['src/log.js'] } },
+		];
+
+		const sorted = new DependencySort().sort(files);
+
+		expect(sorted.map((file) => file.relativePath)).toEqual([
+			'src/log.js',
+			'src/a.js',
+			'src/b.js',
+			'src/c.js',
+			'src/app.js',
+		]);
+		expect(sorted[1].metadata.dependencyCycle).toEqual(['src/a.js', 'src/b.js', 'src/c.js']);
+		expect(sorted[0].metadata.dependencyCycle).toBeUndefined();
+		expect(sorted[4]).toBe(files[0]);
+		expect(files[1].metadata.dependencyCycle).toBeUndefined();
+	});
+
 	test('should handle circular dependencies gracefully', () => {
 		const files = [
 			{ path: 'a.js', dependencies: ['b.js'] },
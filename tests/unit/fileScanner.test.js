@@ -62,6 +62,177 @@ describe('FileScanner', () => {
     expect(files.sort()).toEqual(expectedFiles.sort());
   });
 
+  test('should return files depth first in name order', async () => {
+    const scanner = new FileScanner('/project');
+    const files = await scanner.scan();
+
+    expect(files).toEqual([
+      '/project/README.md',
+      '/project/nested/deep/file.js',
+      '/project/nested/file2.js',
+      '/project/src/helpers/helper.js',
+      '/project/src/main.js',
+      '/project/src/utils.js',
+    ]);
+    const skippedPaths = scanner.skipped.map((entry) => entry.path);
+    expect(skippedPaths).toEqual([...skippedPaths].sort());
+  });
+
+  test('should skip excluded paths and their contents', async () => {
+    const scanner = new FileScanner('/project', { excludePaths: ['/project/nested'] });
+    const files = await scanner.scan();
+
+    expect(files.sort()).toEqual([
+      '/project/README.md',
+      '/project/src/helpers/helper.js',
+      '/project/src/main.js',
+      '/project/src/utils.js',
+    ]);
+  });
+
+  test('should only check the given files when a file list is passed', async () => {
+    const scanner = new FileScanner('/project', { excludePaths: ['/project/nested'] });
+    const readdir = jest.spyOn(fs.promises, 'readdir');
+
+    const files = await scanner.scan({
+      files: [
+        'src/main.js',
+        '/project/src/main.js',
+        '/project/dist/bundle.js',
+        '/project/nested/file.txt',
+        '/project/src/deleted.js',
+        '/project/src',
+        '/elsewhere/file.js',
+        'README.md',
+      ],
+    });
+
+    expect(files).toEqual(['/project/src/main.js', '/project/README.md']);
+    expect(readdir).not.toHaveBeenCalled();
+    readdir.mockRestore();
+  });
+
+  test('should skip large and generated files and record why', async () => {
+    mockFs({
+      '/project': {
+        '.gitignore': '*.log',
+        'package-lock.json': '{}',
+        'debug.log': 'log',
+        'src': {
+          'app.js': 'console.log("app");',
+          'big.js': 'x'.repeat(2000),
+          'app.js.map': '{}',
+          'schema.js': '// @generated\nmodule.exports = {};',
+        },
+      },
+    });
+
+    const scanner = new FileScanner('/project', { maxFileSize: 1000 });
+    const files = await scanner.scan();
+
+    expect(files).toEqual(['/project/src/app.js']);
+    expect(scanner.skipped).toEqual(expect.arrayContaining([
+      {
+        path: '/project/.gitignore',
+        reason: 'ignored',
+        rule: { source: 'built-in', line: null, pattern: '.gitignore' },
+      },
+      {
+        path: '/project/debug.log',
+        reason: 'ignored',
+        rule: { source: '.gitignore', line: 1, pattern: '*.log' },
+      },
+      { path: '/project/package-lock.json', reason: 'lockfile' },
+      { path: '/project/src/big.js', reason: 'larger than maxFileSize (2000 > 1000 bytes)' },
+      { path: '/project/src/app.js.map', reason: 'source map' },
+      { path: '/project/src/schema.js', reason: '@generated marker' },
+    ]));
+    expect(scanner.skipped).toHaveLength(6);
+  });
+
+  test('should keep generated files when skipGenerated is off', async () => {
+    const scanner = new FileScanner('/project', { skipGenerated: false });
+    const files = await scanner.scan({ files: ['src/main.js', 'dist/bundle.js'] });
+
+    expect(files).toEqual(['/project/src/main.js']);
+    expect(scanner.skipped).toEqual([
+      {
+        path: '/project/dist/bundle.js',
+        reason: 'ignored',
+        rule: { source: '.llm-pack.ignore', line: 1, pattern: 'dist/' },
+      },
+    ]);
+  });
+
+  test('should mark skipped directories', async () => {
+    const scanner = new FileScanner('/project', { excludePaths: ['/project/nested'] });
+    await scanner.scan();
+
+    expect(scanner.skipped).toEqual(expect.arrayContaining([
+      { path: '/project/nested', reason: 'excluded path', directory: true },
+    ]));
+  });
+
+  test('should prune ignored directories and honour nested ignore files', async () => {
+    mockFs({
+      '/project': {
+        '.git': { 'HEAD': 'ref: refs/heads/main' },
+        'packages': {
+          'app': {
+            '.gitignore': '/out',
+            'out': { 'index.js': 'built' },
+            'src': { 'out': { 'index.js': 'source' } },
+            'node_modules': { 'dep': { 'index.js': 'dep' } },
+          },
+        },
+      },
+    });
+    const readdir = jest.spyOn(fs.promises, 'readdir');
+
+    const scanner = new FileScanner('/project');
+    const files = await scanner.scan();
+
+    expect(files).toEqual(['/project/packages/app/src/out/index.js']);
+    expect(scanner.skipped.filter((entry) => entry.directory).map((entry) => entry.path).sort()).toEqual([
+      '/project/.git',
+      '/project/packages/app/node_modules',
+      '/project/packages/app/out',
+    ]);
+    expect(readdir).not.toHaveBeenCalledWith('/project/.git', expect.anything());
+    readdir.mockRestore();
+  });
+
+  test('should apply include and exclude globs without walking excluded subtrees', async () => {
+    const readdir = jest.spyOn(fs.promises, 'readdir');
+    const scanner = new FileScanner('/project', {
+      include: ['src/**/*.js', 'nested/**'],
+      exclude: ['nested/deep'],
+    });
+
+    const files = await scanner.scan();
+
+    expect(files.sort()).toEqual([
+      '/project/nested/file2.js',
+      '/project/src/helpers/helper.js',
+      '/project/src/main.js',
+      '/project/src/utils.js',
+    ]);
+    expect(scanner.skipped).toEqual(expect.arrayContaining([
+      { path: '/project/README.md', reason: 'not matched by include patterns' },
+      { path: '/project/nested/deep', reason: 'excluded by pattern `nested/deep`', directory: true },
+    ]));
+    const walked = readdir.mock.calls.map(([dir]) => dir);
+    expect(walked).not.toContain('/project/nested/deep');
+    readdir.mockRestore();
+  });
+
+  test('should apply include and exclude globs to a file list', async () => {
+    const scanner = new FileScanner('/project', { exclude: ['src/helpers'] });
+    const files = await scanner.scan({ files: ['src/main.js', 'src/helpers/helper.js'] });
+
+    expect(files).toEqual(['/project/src/main.js']);
+  });
+
   test('should return an empty array if no files are found', async () => {
     const scanner = new FileScanner('/empty-project');
     const files = await scanner.scan();
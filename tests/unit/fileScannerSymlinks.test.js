@@ -0,0 +1,98 @@
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const FileScanner = require('../../src/core/fileScanner');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+describe('FileScanner symbolic links', () => {
+	let tmpDir;
+	let root;
+	let outside;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		root = path.join(tmpDir.name, 'project');
+		outside = path.join(tmpDir.name, 'outside');
+		await fs.outputFile(path.join(root, 'src/app.js'), 'app');
+		await fs.outputFile(path.join(root, 'shared/util.js'), 'util');
+		await fs.outputFile(path.join(outside, 'secret.js'), 'secret');
+		await fs.symlink(path.join(root, 'shared'), path.join(root, 'src/shared'));
+		await fs.symlink('../shared/util.js', path.join(root, 'src/util.js'));
+		await fs.symlink(path.join(outside, 'secret.js'), path.join(root, 'src/secret.js'));
+		await fs.symlink(outside, path.join(root, 'outside'));
+		await fs.symlink(path.join(root, 'missing.js'), path.join(root, 'broken.js'));
+		await fs.symlink('..', path.join(root, 'shared/up'));
+	});
+
+	afterEach(() => {
+		tmpDir.removeCallback();
+	});
+
+	const relative = (files) => files.map((file) => path.relative(root, file)).sort();
+	const reasons = (scanner) =>
+		Object.fromEntries(scanner.skipped.map((entry) => [path.relative(root, entry.path), entry.reason]));
+
+	test('should skip symbolic links by default', async () => {
+		const scanner = new FileScanner(root);
+		const files = await scanner.scan();
+
+		expect(relative(files)).toEqual(['shared/util.js', 'src/app.js']);
+		expect(reasons(scanner)).toEqual({
+			'broken.js': 'symbolic link (followSymlinks is off)',
+			outside: 'symbolic link (followSymlinks is off)',
+			'shared/up': 'symbolic link (followSymlinks is off)',
+			'src/secret.js': 'symbolic link (followSymlinks is off)',
+			'src/shared': 'symbolic link (followSymlinks is off)',
+			'src/util.js': 'symbolic link (followSymlinks is off)',
+		});
+	});
+
+	test('should follow links inside the root and stop at cycles and escaping links', async () => {
+		const scanner = new FileScanner(root, { followSymlinks: true });
+		const files = await scanner.scan();
+
+		expect(relative(files)).toEqual([
+			'shared/util.js',
+			'src/app.js',
+			'src/shared/util.js',
+			'src/util.js',
+		]);
+		const skipped = reasons(scanner);
+		expect(skipped['shared/up']).toBe('symbolic link cycle');
+		expect(skipped['src/shared/up']).toBe('symbolic link cycle');
+		expect(skipped['broken.js']).toBe('broken symbolic link');
+		expect(skipped.outside).toBe(`symbolic link escapes the root directory (-> ${fs.realpathSync(outside)})`);
+		expect(skipped['src/secret.js']).toMatch(/^symbolic link escapes the root directory/);
+	});
+
+	test('should apply the same rules to a file list', async () => {
+		const follow = new FileScanner(root, { followSymlinks: true });
+		expect(relative(await follow.scan({ files: ['src/util.js', 'src/secret.js', 'src/app.js'] }))).toEqual([
+			'src/app.js',
+			'src/util.js',
+		]);
+
+		const noFollow = new FileScanner(root);
+		expect(relative(await noFollow.scan({ files: ['src/util.js', 'src/app.js'] }))).toEqual(['src/app.js']);
+	});
+
+	test('should follow links when the root itself is reached through a link', async () => {
+		const linkedRoot = path.join(tmpDir.name, 'linked');
+		await fs.symlink(root, linkedRoot);
+
+		const files = await new FileScanner(linkedRoot, { followSymlinks: true }).scan();
+
+		expect(files.map((file) => path.relative(linkedRoot, file)).sort()).toEqual([
+			'shared/util.js',
+			'src/app.js',
+			'src/shared/util.js',
+			'src/util.js',
+		]);
+	});
+});
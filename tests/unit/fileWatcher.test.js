@@ -0,0 +1,90 @@
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const FileWatcher = require('../../src/core/fileWatcher');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+describe('FileWatcher', () => {
+	let tmpDir;
+	let root;
+	let watcher;
+	let batches;
+	let nextBatch;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		root = fs.realpathSync(tmpDir.name);
+		await fs.outputFile(path.join(root, 'src/a.js'), 'a');
+		await fs.outputFile(path.join(root, 'build/out.js'), 'out');
+		batches = [];
+		nextBatch = null;
+		watcher = new FileWatcher(root, {
+			debounce: 50,
+			isIgnored: (fullPath) => fullPath.startsWith(path.join(root, 'build')),
+			onChange: (changed) => {
+				batches.push(changed);
+				if (nextBatch) nextBatch();
+			},
+		});
+		await watcher.start();
+	});
+
+	afterEach(async () => {
+		await watcher.close();
+		tmpDir.removeCallback();
+	});
+
+	const waitForBatch = () =>
+		new Promise((resolve, reject) => {
+			const timeout = setTimeout(() => reject(new Error('No changes reported')), 3000);
+			nextBatch = () => {
+				clearTimeout(timeout);
+				resolve(batches[batches.length - 1]);
+			};
+		});
+
+	test('should report changed files in one debounced batch', async () => {
+		const batch = waitForBatch();
+		await fs.writeFile(path.join(root, 'src/a.js'), 'changed');
+		await fs.writeFile(path.join(root, 'src/b.js'), 'new');
+
+		expect(await batch).toEqual([path.join(root, 'src/a.js'), path.join(root, 'src/b.js')]);
+		expect(batches).toHaveLength(1);
+	});
+
+	test('should not watch ignored directories', async () => {
+		expect([...watcher.watchers.keys()].sort()).toEqual([root, path.join(root, 'src')]);
+
+		const batch = waitForBatch();
+		await fs.writeFile(path.join(root, 'build/out.js'), 'rebuilt');
+		await fs.writeFile(path.join(root, 'src/a.js'), 'changed');
+
+		expect(await batch).toEqual([path.join(root, 'src/a.js')]);
+	});
+
+	test('should watch directories created later and forget deleted ones', async () => {
+		let batch = waitForBatch();
+		await fs.mkdir(path.join(root, 'lib'));
+		expect(await batch).toEqual([path.join(root, 'lib')]);
+		expect(watcher.watchers.has(path.join(root, 'lib'))).toBe(true);
+
+		batch = waitForBatch();
+		await fs.writeFile(path.join(root, 'lib/c.js'), 'c');
+		expect(await batch).toEqual([path.join(root, 'lib/c.js')]);
+
+		batch = waitForBatch();
+		await fs.remove(path.join(root, 'lib'));
+		expect(await batch).toContain(path.join(root, 'lib'));
+		expect(watcher.watchers.has(path.join(root, 'lib'))).toBe(false);
+	});
+
+	test('should require an onChange callback', () => {
+		expect(() => new FileWatcher(root)).toThrow('FileWatcher needs an onChange callback');
+	});
+});
@@ -0,0 +1,51 @@
+const mockFs = require('mock-fs');
+const GeneratedFileDetector = require('../../src/core/generatedFileDetector');
+
+describe('GeneratedFileDetector', () => {
+	const detector = new GeneratedFileDetector();
+
+	afterEach(() => {
+		mockFs.restore();
+	});
+
+	test('should recognize lockfiles, source maps and minified or generated names', () => {
+		expect(detector.detectByName('/p/package-lock.json')).toBe('lockfile');
+		expect(detector.detectByName('/p/yarn.lock')).toBe('lockfile');
+		expect(detector.detectByName('/p/dist/app.min.js')).toBe('minified file');
+		expect(detector.detectByName('/p/dist/app.js.map')).toBe('source map');
+		expect(detector.detectByName('/p/api.generated.ts')).toBe('generated file');
+		expect(detector.detectByName('/p/user_pb2.py')).toBe('generated protobuf code');
+		expect(detector.detectByName('/p/src/app.js')).toBeNull();
+	});
+
+	test('should recognize generated markers near the top of a file', () => {
+		expect(detector.detectByContent({ text: '/* @generated by tool */\nx();\n', truncated: false })).toBe(
+			'@generated marker',
+		);
+		expect(
+			detector.detectByContent({ text: '// Code generated by protoc-gen-go. DO NOT EDIT.\npackage x\n', truncated: false }),
+		).toBe('@generated marker');
+		const late = `${'x();\n'.repeat(1000)}// @generated\n`;
+		expect(detector.detectByContent({ text: late, truncated: false })).toBeNull();
+	});
+
+	test('should recognize minified code by its average line length', () => {
+		const minified = `!function(){${'a=1;'.repeat(400)}}();`;
+		expect(detector.detectByContent({ text: minified, truncated: true })).toMatch(/^minified \(average line length \d+\)$/);
+
+		const code = 'const value = compute(input);\n'.repeat(100);
+		expect(detector.detectByContent({ text: code, truncated: false })).toBeNull();
+		expect(detector.detectByContent({ text: 'x'.repeat(500), truncated: false })).toBeNull();
+		expect(detector.detectByContent({ text: `\0${'x'.repeat(2000)}`, truncated: false })).toBeNull();
+	});
+
+	test('should read the start of files from disk', async () => {
+		mockFs({
+			'/p/bundle.js': `(()=>{${'var a=1;'.repeat(5000)}})();`,
+			'/p/app.js': 'module.exports = 1;\n',
+		});
+
+		expect(await detector.detect('/p/bundle.js')).toMatch(/^minified/);
+		expect(await detector.detect('/p/app.js')).toBeNull();
+	});
+});
@@ -0,0 +1,79 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const GitRepository = require('../../src/core/gitRepository');
+
+const git = (cwd, ...args) =>
+	execFileSync('git', ['-c', 'user.name=Ada', '-c', 'user.email=ada@example.com', ...args], {
+		cwd,
+		stdio: 'pipe',
+	});
+
+describe('GitRepository', () => {
+	let tmpDir;
+	let repo;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		repo = tmpDir.name;
+		await fs.outputFile(path.join(repo, 'src/keep.js'), 'one\ntwo\nthree\n');
+		await fs.outputFile(path.join(repo, 'src/old.js'), 'old\n');
+		await fs.outputFile(path.join(repo, 'docs/guide.md'), 'guide\n');
+		git(repo, 'init', '-q');
+		git(repo, 'add', '.');
+		git(repo, 'commit', '-q', '-m', 'initial');
+		git(repo, 'tag', 'base');
+	});
+
+	afterEach(() => {
+		tmpDir.removeCallback();
+	});
+
+	test('should list commits since a ref that touch the directory', async () => {
+		await fs.outputFile(path.join(repo, 'src/keep.js'), 'one\n2\nthree\n');
+		git(repo, 'commit', '-q', '-am', 'Change keep\n\nWith a body.');
+		await fs.outputFile(path.join(repo, 'docs/guide.md'), 'guide 2\n');
+		git(repo, 'commit', '-q', '-am', 'Update docs');
+
+		const commits = await new GitRepository(path.join(repo, 'src')).getCommits('base');
+
+		expect(commits).toEqual([
+			expect.objectContaining({ author: 'Ada', subject: 'Change keep', body: 'With a body.' }),
+		]);
+		expect(commits[0].hash).toMatch(/^[0-9a-f]{7,}$/);
+		expect(commits[0].date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+	});
+
+	test('should split the diff against a ref by file', async () => {
+		await fs.outputFile(path.join(repo, 'src/keep.js'), 'one\n2\nthree\n');
+		git(repo, 'commit', '-q', '-am', 'Change keep');
+		await fs.remove(path.join(repo, 'src/old.js'));
+		await fs.outputFile(path.join(repo, 'src/new.js'), 'new\n');
+		git(repo, 'add', 'src/new.js');
+
+		const diffs = await new GitRepository(path.join(repo, 'src')).getDiffs('base', { context: 0 });
+
+		expect(diffs.map(({ path: file, status }) => [file, status])).toEqual([
+			['keep.js', 'modified'],
+			['new.js', 'added'],
+			['old.js', 'deleted'],
+		]);
+		expect(diffs[0].diff).toMatch(/^diff --git a\/keep.js b\/keep.js\n/);
+		expect(diffs[0].diff).toContain('@@ -2 +2 @@ one\n-two\n+2');
+		expect(diffs[0].diff).not.toContain('three');
+	});
+
+	test('should list changed and untracked files', async () => {
+		await fs.outputFile(path.join(repo, 'src/keep.js'), 'changed\n');
+		git(repo, 'add', 'src/keep.js');
+		await fs.outputFile(path.join(repo, 'src/old.js'), 'changed\n');
+		await fs.outputFile(path.join(repo, 'src/untracked.js'), 'new\n');
+		const repository = new GitRepository(repo);
+
+		expect(await repository.listChangedFiles({ cached: true })).toEqual(['src/keep.js']);
+		expect(await repository.listChangedFiles()).toEqual(['src/old.js']);
+		expect(await repository.listChangedFiles({ ref: 'base' })).toEqual(['src/keep.js', 'src/old.js']);
+		expect(await repository.listUntrackedFiles()).toEqual(['src/untracked.js']);
+	});
+});
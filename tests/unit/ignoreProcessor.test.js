@@ -47,6 +47,17 @@ describe('IgnoreProcessor', () => {
     expect(processor.isIgnored('/project/app.js')).toBe(false);
   });
 
+  test('should decide without looking up the matching rule', () => {
+    const processor = new IgnoreProcessor('/project');
+    const findRule = jest.spyOn(processor, 'findRule');
+
+    expect(processor.isIgnored('/project/error.log')).toBe(true);
+    expect(processor.isIgnored('/project/node_modules', true)).toBe(true);
+    expect(processor.isIgnored('/project/app.js')).toBe(false);
+    expect(processor.isIgnored('/elsewhere/app.js')).toBe(false);
+    expect(findRule).not.toHaveBeenCalled();
+  });
+
   test('should handle absence of ignore files gracefully', () => {
     mockFs({
       '/empty-project': {
@@ -71,4 +82,158 @@ describe('IgnoreProcessor', () => {
 
     expect(processor.isIgnored('/project/temp/file.tmp')).toBe(false);
   });
+
+  test('should explain which rule decided a path', () => {
+    mockFs({
+      '/project': {
+        '.gitignore': '# logs\n*.log\n\n!keep.log\nnode_modules/',
+        '.llm-pack.ignore': 'dist/\nerror.log',
+      },
+    });
+    const processor = new IgnoreProcessor('/project');
+
+    expect(processor.explain('/project/error.log')).toEqual({
+      ignored: true,
+      rule: { source: '.llm-pack.ignore', line: 2, pattern: 'error.log' },
+    });
+    expect(processor.explain('/project/debug.log')).toEqual({
+      ignored: true,
+      rule: { source: '.gitignore', line: 2, pattern: '*.log' },
+    });
+    expect(processor.explain('/project/keep.log')).toEqual({
+      ignored: false,
+      rule: { source: '.gitignore', line: 4, pattern: '!keep.log' },
+    });
+    expect(processor.explain('/project/dist/a/b.js')).toEqual({
+      ignored: true,
+      rule: { source: '.llm-pack.ignore', line: 1, pattern: 'dist/' },
+    });
+    expect(processor.explain('/project/.gitignore')).toEqual({
+      ignored: true,
+      rule: { source: 'built-in', line: null, pattern: '.gitignore' },
+    });
+    expect(processor.explain('/project/app.js')).toEqual({ ignored: false, rule: null });
+  });
+
+  test('should apply nested ignore files relative to their directory', () => {
+    mockFs({
+      '/repo': {
+        '.gitignore': '*.log\n/build',
+        'packages': {
+          'app': {
+            '.gitignore': '/dist\ncache/\n!keep.log',
+            '.llm-pack.ignore': 'fixtures/*.json',
+          },
+        },
+      },
+    });
+    const processor = new IgnoreProcessor('/repo');
+
+    expect(processor.isIgnored('/repo/build', true)).toBe(true);
+    expect(processor.isIgnored('/repo/packages/app/build', true)).toBe(false);
+    expect(processor.isIgnored('/repo/packages/app/dist', true)).toBe(true);
+    expect(processor.isIgnored('/repo/packages/app/src/dist', true)).toBe(false);
+    expect(processor.isIgnored('/repo/packages/app/src/cache', true)).toBe(true);
+    expect(processor.isIgnored('/repo/packages/app/src/cache', false)).toBe(false);
+    expect(processor.isIgnored('/repo/packages/app/fixtures/a.json')).toBe(true);
+    expect(processor.isIgnored('/repo/packages/app/fixtures/deep/a.json')).toBe(false);
+    expect(processor.explain('/repo/packages/app/keep.log')).toEqual({
+      ignored: false,
+      rule: { source: 'packages/app/.gitignore', line: 3, pattern: '!keep.log' },
+    });
+    expect(processor.isIgnored('/repo/packages/lib/keep.log')).toBe(true);
+  });
+
+  test('should not re-include files below an ignored directory', () => {
+    mockFs({
+      '/repo': {
+        '.gitignore': 'logs/\n!logs/keep.log',
+        'logs': { '.gitignore': '!*.log' },
+      },
+    });
+    const processor = new IgnoreProcessor('/repo');
+
+    expect(processor.isIgnored('/repo/logs/keep.log')).toBe(true);
+    expect(processor.explain('/repo/logs/other.log').rule).toEqual({ source: '.gitignore', line: 1, pattern: 'logs/' });
+  });
+
+  test('should skip nested ignore files when nested is off', () => {
+    mockFs({
+      '/repo': {
+        'pkg': { '.gitignore': '*.tmp' },
+      },
+    });
+    const processor = new IgnoreProcessor('/repo', { nested: false });
+
+    expect(processor.isIgnored('/repo/pkg/a.tmp')).toBe(false);
+    expect(processor.isIgnored('/repo/pkg/.gitignore')).toBe(true);
+  });
+
+  test('should apply .git/info/exclude, core.excludesFile and parent .gitignore files', () => {
+    mockFs({
+      '/repo': {
+        '.git': {
+          'config': '[core]\n\tbare = false\n\texcludesFile = ../global-ignore\n[user]\n\texcludesFile = nope\n',
+          'info': { 'exclude': 'packages/app/secret.txt\n' },
+        },
+        'global-ignore': '*.swp\n*.bak\n',
+        '.gitignore': '!keep.bak\n',
+        'packages': {
+          '.gitignore': 'coverage/\n',
+          'app': {},
+        },
+      },
+    });
+    const processor = new IgnoreProcessor('/repo/packages/app');
+
+    expect(processor.explain('/repo/packages/app/a.swp')).toEqual({
+      ignored: true,
+      rule: { source: '/repo/global-ignore', line: 1, pattern: '*.swp' },
+    });
+    expect(processor.isIgnored('/repo/packages/app/keep.bak')).toBe(false);
+    expect(processor.explain('/repo/packages/app/secret.txt')).toEqual({
+      ignored: true,
+      rule: { source: '/repo/.git/info/exclude', line: 1, pattern: 'packages/app/secret.txt' },
+    });
+    expect(processor.isIgnored('/repo/packages/app/coverage', true)).toBe(true);
+
+    const local = new IgnoreProcessor('/repo/packages/app', { gitExcludes: false });
+    expect(local.isIgnored('/repo/packages/app/a.swp')).toBe(false);
+    expect(local.isIgnored('/repo/packages/app/coverage', true)).toBe(false);
+  });
+
+  test('should find the git directory of a linked worktree', () => {
+    mockFs({
+      '/main/.git/worktrees/wt': { 'commondir': '../..' },
+      '/main/.git/info/exclude': '*.tmp',
+      '/wt': { '.git': 'gitdir: /main/.git/worktrees/wt\n' },
+    });
+
+    expect(IgnoreProcessor.findGitDirs('/wt')).toEqual({ workTree: '/wt', commonDir: '/main/.git' });
+    expect(new IgnoreProcessor('/wt').isIgnored('/wt/a.tmp')).toBe(true);
+  });
+
+  test('should always skip .git and node_modules unless turned off', () => {
+    mockFs({
+      '/repo': { '.gitignore': '!node_modules/' },
+    });
+
+    const processor = new IgnoreProcessor('/repo');
+    expect(processor.explain('/repo/.git', true)).toEqual({
+      ignored: true,
+      rule: { source: 'built-in', line: null, pattern: '.git' },
+    });
+    expect(processor.isIgnored('/repo/packages/a/node_modules', true)).toBe(true);
+
+    const permissive = new IgnoreProcessor('/repo', { skipDefaults: false });
+    expect(permissive.isIgnored('/repo/node_modules', true)).toBe(false);
+  });
+
+  test('should rebase patterns onto their directory', () => {
+    expect(IgnoreProcessor.rebasePattern('*.log', '')).toBe('*.log');
+    expect(IgnoreProcessor.rebasePattern('*.log', 'pkg')).toBe('pkg/**/*.log');
+    expect(IgnoreProcessor.rebasePattern('/dist/', 'pkg')).toBe('pkg/dist/');
+    expect(IgnoreProcessor.rebasePattern('src/gen', 'pkg')).toBe('pkg/src/gen');
+    expect(IgnoreProcessor.rebasePattern('!keep/', 'a[1]')).toBe('!a\\[1\\]/**/keep/');
+  });
 });
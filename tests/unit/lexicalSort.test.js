@@ -16,6 +16,12 @@ describe('LexicalSort Strategy', () => {
     expect(sortedFiles[2].relativePath).toBe('src/utils.js');
   });
 
+  test('should compare paths by code unit, independent of the locale', () => {
+    const files = [{ relativePath: 'b.js' }, { relativePath: 'a.js' }, { relativePath: 'Z.js' }, { relativePath: 'é.js' }];
+    const sortedFiles = new LexicalSort().sort(files);
+    expect(sortedFiles.map((file) => file.relativePath)).toEqual(['Z.js', 'a.js', 'b.js', 'é.js']);
+  });
+
   test('should handle empty array', () => {
     const lexicalSort = new LexicalSort();
     const sortedFiles = lexicalSort.sort([]);
@@ -0,0 +1,132 @@
+const path = require('path');
+const tmp = require('tmp');
+const fs = require('fs-extra');
+const MetadataCache = require('../../src/core/metadataCache');
+const MetadataProcessor = require('../../src/core/metadataProcessor');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+describe('MetadataCache', () => {
+	let tmpDir;
+	let root;
+	let cacheDir;
+
+	beforeEach(async () => {
+		tmpDir = tmp.dirSync({ unsafeCleanup: true });
+		root = tmpDir.name;
+		cacheDir = path.join(root, '.llm-pack', 'cache');
+		await fs.outputFile(path.join(root, 'src/a.js'), "const b = require('./b');\n");
+		await fs.outputFile(path.join(root, 'src/b.js'), 'module.exports = 1;\n');
+		await fs.outputFile(path.join(root, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2]));
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		tmpDir.removeCallback();
+	});
+
+	const files = (names = ['src/a.js', 'src/b.js', 'logo.png']) => names.map((file) => path.join(root, file));
+	const enrich = async (settings = {}, options = {}, scanned = files()) => {
+		const cache = new MetadataCache(cacheDir, settings, root);
+		await cache.load();
+		const enriched = await new MetadataProcessor(root, { ...options, cache }).enrich(scanned);
+		await cache.save();
+		return { cache, enriched };
+	};
+
+	test('should reuse the analysis of unchanged files', async () => {
+		const first = await enrich();
+		expect(first.cache.hits).toBe(0);
+		expect(fs.existsSync(path.join(cacheDir, 'metadata.json'))).toBe(true);
+
+		const extract = jest.spyOn(MetadataProcessor.prototype, 'extractMetadata');
+		const second = await enrich();
+
+		expect(second.cache.hits).toBe(3);
+		expect(extract).not.toHaveBeenCalled();
+		expect(second.enriched).toEqual(first.enriched);
+		expect(second.enriched[0].metadata.resolvedDependencies).toEqual(['src/b.js']);
+	});
+
+	test('should analyse changed files again', async () => {
+		await enrich();
+		await fs.writeFile(path.join(root, 'src/b.js'), "require('./a');\n");
+
+		const { cache, enriched } = await enrich();
+
+		expect(cache.hits).toBe(2);
+		expect(cache.misses).toBe(1);
+		expect(enriched[1].metadata.dependencies).toEqual(['./a']);
+	});
+
+	test('should reuse entries by content hash when only the mtime changed', async () => {
+		await enrich();
+		const later = new Date(Date.now() + 60000);
+		await fs.utimes(path.join(root, 'src/a.js'), later, later);
+
+		const extract = jest.spyOn(MetadataProcessor.prototype, 'extractMetadata');
+		const { cache } = await enrich();
+
+		expect(cache.hits).toBe(3);
+		expect(extract).not.toHaveBeenCalled();
+		const saved = await fs.readJson(path.join(cacheDir, 'metadata.json'));
+		expect(saved.entries['src/a.js'].mtimeMs).toBe((await fs.stat(path.join(root, 'src/a.js'))).mtimeMs);
+	});
+
+	test('should keep binary stubs without reading unchanged binary files', async () => {
+		const first = await enrich({}, { binary: { mode: 'stub' } });
+		const readFile = jest.spyOn(require('fs').promises, 'readFile');
+
+		const second = await enrich({}, { binary: { mode: 'stub' } });
+
+		expect(readFile).not.toHaveBeenCalledWith(path.join(root, 'logo.png'));
+		expect(second.enriched[2]).toEqual(first.enriched[2]);
+		expect(second.enriched[2].metadata.binary.type).toBe('image/png');
+	});
+
+	test('should start afresh when the settings change', async () => {
+		await enrich();
+
+		const { cache } = await enrich({ binaryExtensions: ['.dat'] });
+
+		expect(cache.hits).toBe(0);
+	});
+
+	test('should drop entries of files that are gone and ignore a corrupt cache', async () => {
+		await enrich();
+		await fs.remove(path.join(root, 'src/b.js'));
+		await enrich();
+		const saved = await fs.readJson(path.join(cacheDir, 'metadata.json'));
+		expect(Object.keys(saved.entries)).toEqual(['logo.png', 'src/a.js']);
+
+		await fs.writeFile(path.join(cacheDir, 'metadata.json'), '{ not json');
+		const cache = new MetadataCache(cacheDir);
+		await cache.load();
+		expect(cache.entries.size).toBe(0);
+	});
+
+	test('should keep the entries of files a run did not scan', async () => {
+		await enrich();
+
+		await enrich({}, {}, files(['src/a.js']));
+
+		const saved = await fs.readJson(path.join(cacheDir, 'metadata.json'));
+		expect(Object.keys(saved.entries)).toEqual(['logo.png', 'src/a.js', 'src/b.js']);
+		const { cache } = await enrich();
+		expect(cache.hits).toBe(3);
+	});
+
+	test('should delete the cache directory on clear', async () => {
+		const { cache } = await enrich();
+
+		await cache.clear();
+
+		expect(fs.existsSync(cacheDir)).toBe(false);
+		await expect(new MetadataCache(cacheDir).clear()).resolves.toBeUndefined();
+	});
+});
@@ -13,7 +13,7 @@ const mockExistsSync = jest.fn(() => true);
 
 jest.mock('fs', () => ({
   promises: {
-    readFile: mockReadFile,
+    readFile: (...args) => Promise.resolve(mockReadFile(...args)).then((data) => Buffer.from(data)),
   },
   existsSync: mockExistsSync,
 }));
@@ -69,6 +69,17 @@ describe('MetadataProcessor', () => {
     expect(enriched[1].metadata.dependencies).toContain('pkg-b');
   });
 
+  test('should return files in input order whichever read finishes first', async () => {
+    const delays = { '/root/a.js': 30, '/root/b.js': 0, '/root/c.js': 10 };
+    mockReadFile.mockImplementation(
+      (filePath) => new Promise((resolve) => setTimeout(() => resolve(`// ${filePath}`), delays[filePath])),
+    );
+
+    const enriched = await processor.enrich(['/root/a.js', '/root/b.js', '/root/c.js']);
+
+    expect(enriched.map((file) => file.relativePath)).toEqual(['a.js', 'b.js', 'c.js']);
+  });
+
   test('should generate descriptions for different file types', async () => {
     mockReadFile.mockResolvedValueOnce('// helper code')
       .mockResolvedValueOnce('# doc')
@@ -103,6 +114,45 @@ describe('MetadataProcessor', () => {
     
     expect(enriched[0].metadata.dependencies).toEqual(['foo', 'bar', 'baz']);
   });
+
+  test('should detect CommonJS requires and classify dependencies', async () => {
+    mockReadFile.mockResolvedValueOnce(`
+      const path = require('path');
+      const Logger = require('../utils/logger');
+      const { parse } = require('@babel/parser');
+    `);
+
+    const enriched = await processor.enrich(['/root/src/core/scanner.js']);
+
+    expect(enriched[0].metadata.dependencies).toEqual(['path', '../utils/logger', '@babel/parser']);
+    expect(enriched[0].metadata.dependencyDetails.map((dep) => dep.kind)).toEqual([
+      'builtin',
+      'relative',
+      'package',
+    ]);
+  });
+
+  test('should resolve relative dependencies to scanned files', async () => {
+    mockReadFile.mockImplementation(async (filePath) =>
+      filePath === '/root/src/app.js'
+        ? "const logger = require('./utils/logger');\nconst fs = require('fs');"
+        : 'module.exports = {};'
+    );
+
+    const enriched = await processor.enrich(['/root/src/app.js', '/root/src/utils/logger.js']);
+    const app = enriched.find((file) => file.relativePath === 'src/app.js');
+
+    expect(app.metadata.resolvedDependencies).toEqual(['src/utils/logger.js']);
+    expect(app.metadata.dependencyDetails.map((dep) => dep.resolved)).toEqual(['src/utils/logger.js', null]);
+  });
+
+  test('should not extract dependencies from non-script files', async () => {
+    mockReadFile.mockResolvedValueOnce("```js\nimport foo from 'foo';\n```");
+
+    const enriched = await processor.enrich(['/root/README.md']);
+
+    expect(enriched[0].metadata.dependencies).toEqual([]);
+  });
 });
 
 
@@ -0,0 +1,59 @@
+const FormatterRegistry = require('../../../src/output/formatterRegistry');
+const Formatter = require('../../../src/output/formatters/formatter');
+const MarkdownFormatter = require('../../../src/output/formatters/markdownFormatter');
+const JsonFormatter = require('../../../src/output/formatters/jsonFormatter');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Logger = require('../../../src/utils/logger');
+
+describe('FormatterRegistry', () => {
+  test('should register the built-in formats', () => {
+    const registry = FormatterRegistry.createDefault();
+
+    expect(registry.names()).toEqual(['markdown', 'xml', 'json', 'jsonl']);
+    expect(registry.create('Markdown')).toBeInstanceOf(MarkdownFormatter);
+    const jsonl = registry.create('jsonl');
+    expect(jsonl).toBeInstanceOf(JsonFormatter);
+    expect(jsonl.extension).toBe('.jsonl');
+  });
+
+  test('should build formatters from classes and factories', () => {
+    class PathList extends Formatter {
+      formatFile(file) {
+        return file.relativePath;
+      }
+    }
+    const registry = FormatterRegistry.createDefault();
+    registry.register('paths', PathList, { source: "plugin 'P'" });
+    registry.register('upper', () => new PathList());
+
+    expect(registry.create('paths').formatFile({ relativePath: 'a.js' })).toBe('a.js');
+    expect(registry.create('upper')).toBeInstanceOf(PathList);
+    expect(registry.list()[4]).toEqual({ name: 'paths', description: '', source: "plugin 'P'" });
+  });
+
+  test('should reject unknown formats and incomplete formatters', () => {
+    const registry = FormatterRegistry.createDefault();
+    registry.register('partial', () => ({ formatFile: () => '' }));
+
+    expect(() => registry.create('yaml')).toThrow(
+      'Unknown output format "yaml". Available formats: markdown, xml, json, jsonl, partial',
+    );
+    expect(() => registry.create('partial')).toThrow('Output format "partial" does not implement formatHeader');
+    expect(() => registry.register('', () => null)).toThrow('Format name must be a non-empty string');
+  });
+
+  test('should warn when a format is replaced', () => {
+    const registry = FormatterRegistry.createDefault();
+    registry.register('xml', MarkdownFormatter, { source: "plugin 'P'" });
+
+    expect(Logger.warn).toHaveBeenCalledWith('Output format "xml" from built-in replaced by plugin \'P\'');
+    expect(registry.create('xml')).toBeInstanceOf(MarkdownFormatter);
+  });
+});
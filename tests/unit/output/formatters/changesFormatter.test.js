@@ -0,0 +1,36 @@
+const ChangesFormatter = require('../../../../src/output/formatters/changesFormatter');
+
+describe('ChangesFormatter', () => {
+  let formatter;
+
+  beforeEach(() => {
+    formatter = new ChangesFormatter();
+  });
+
+  test('should format commits and diffs', () => {
+    const output = formatter.formatChanges({
+      ref: 'main',
+      commits: [
+        { hash: 'abc1234', author: 'Ada', date: '2024-01-02', subject: 'Fix parser', body: 'Handle EOF.\n\nCloses #3' },
+        { hash: 'def5678', author: 'Bob', date: '2024-01-01', subject: 'Add parser', body: '' },
+      ],
+      diffs: [{ path: 'src/parser.js', status: 'modified', diff: 'diff --git a/src/parser.js b/src/parser.js\n-a\n+b' }],
+    });
+
+    expect(output).toContain('# Changes\n**Since**: `main`\n**Commits**: 2\n**Files changed**: 1');
+    expect(output).toContain('- `abc1234` Fix parser (Ada, 2024-01-02)\n\n  Handle EOF.\n\n  Closes #3\n');
+    expect(output).toContain('- `def5678` Add parser (Bob, 2024-01-01)');
+    expect(output).toContain('### src/parser.js (modified)\n```diff\ndiff --git a/src/parser.js b/src/parser.js\n-a\n+b\n```');
+  });
+
+  test('should note when nothing changed', () => {
+    const output = formatter.formatChanges({ ref: 'HEAD' });
+    expect(output).toContain('No differences in the working tree.');
+    expect(output).not.toContain('## Commits');
+  });
+
+  test('should fence diffs with more backticks than they contain', () => {
+    const output = formatter.formatDiff({ path: 'README.md', status: 'added', diff: '```js\n+````' });
+    expect(output).toBe('### README.md (added)\n`````diff\n```js\n+````\n`````');
+  });
+});
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const JsonFormatter = require('../../../../src/output/formatters/jsonFormatter');
+const schema = require('../../../../schema/pack.schema.json');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Writes files the way the OutputManager does
+const render = (formatter, files, project = {}) => [
+  formatter.formatHeader(project),
+  files.map((file) => formatter.formatFile(file)).join(formatter.formatSeparator()),
+  formatter.formatFooter(project),
+].join('');
+
+describe('JsonFormatter', () => {
+  const file = {
+    fileName: 'a.js',
+    relativePath: 'src/a.js',
+    content: 'const b = require("./b");\n',
+    metadata: {
+      description: 'JavaScript utility module',
+      dependencies: ['./b'],
+      resolvedDependencies: ['src/b.js'],
+      relationships: [{ type: 'imports', target: 'src/b.js' }],
+    },
+  };
+
+  test('should build a record with metadata, relationships, content and hashes', () => {
+    const record = new JsonFormatter().createRecord(file);
+
+    expect(record).toEqual({
+      path: 'src/a.js',
+      language: 'js',
+      metadata: {
+        description: 'JavaScript utility module',
+        dependencies: ['./b'],
+        resolvedDependencies: ['src/b.js'],
+        binary: null,
+        bytes: 26,
+        lines: 1,
+      },
+      relationships: [{ type: 'imports', target: 'src/b.js' }],
+      content: 'const b = require("./b");\n',
+      hashes: { sha256: sha256('const b = require("./b");\n') },
+    });
+  });
+
+  test('should leave out the content of binary files and use their own hash', () => {
+    const record = new JsonFormatter().createRecord({
+      fileName: 'logo.png',
+      relativePath: 'logo.png',
+      content: '[binary file: image, 2048 bytes, sha256 abc]',
+      metadata: { description: 'Binary file (image)', binary: { type: 'image', size: 2048, hash: 'abc' } },
+    });
+
+    expect(record.content).toBeNull();
+    expect(record.hashes).toEqual({ sha256: 'abc' });
+    expect(record.metadata).toMatchObject({ bytes: 2048, lines: null });
+  });
+
+  test('should format one document with the project summary and the files', () => {
+    const formatter = new JsonFormatter();
+    const project = { name: 'demo', files: 1, bytes: 26, lines: 2, tokenBudget: null, changes: null };
+    const document = JSON.parse(render(formatter, [file], project));
+
+    expect(document.version).toBe(JsonFormatter.FORMAT_VERSION);
+    expect(document.project).toEqual(project);
+    expect(document.files).toEqual([formatter.createRecord(file)]);
+    expect(JSON.parse(render(formatter, [], project)).files).toEqual([]);
+    expect(JSON.parse(render(formatter, [file, file], project)).files).toHaveLength(2);
+  });
+
+  test('should format JSON Lines with one record per line', () => {
+    const formatter = new JsonFormatter({ lines: true });
+    const output = render(formatter, [file, { ...file, relativePath: 'src/b.js' }]);
+    const lines = output.trimEnd().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines.map((line) => JSON.parse(line).path)).toEqual(['src/a.js', 'src/b.js']);
+  });
+
+  test('should produce the fields the schema requires', () => {
+    const formatter = new JsonFormatter();
+    const document = JSON.parse(render(formatter, [file]));
+    const record = document.files[0];
+
+    expect(Object.keys(document)).toEqual(expect.arrayContaining(schema.required));
+    expect(Object.keys(record)).toEqual(expect.arrayContaining(schema.$defs.file.required));
+    expect(Object.keys(record.metadata)).toEqual(expect.arrayContaining(schema.$defs.metadata.required));
+    expect(schema.properties.version.const).toBe(JsonFormatter.FORMAT_VERSION);
+  });
+});
@@ -25,4 +25,130 @@ describe('MarkdownFormatter', () => {
     const output = formatter.formatFile(file);
     expect(output).toContain('```txt');
   });
-});
\ No newline at end of file
+
+  test('should fence content with more backticks than it contains', () => {
+    const file = { fileName: 'README.md', content: 'Example:\n```js\nrun();\n```' };
+    const output = formatter.formatContent(file);
+    expect(output).toBe('````md\nExample:\n```js\nrun();\n```\n````\n');
+  });
+
+  test('should handle missing metadata in the file header', () => {
+    const header = formatter.formatFileHeader({
+      fileName: 'test.js',
+      relativePath: 'src/test.js',
+    });
+    expect(header).toContain('No description available');
+    expect(header).toContain('**Dependencies**: None');
+  });
+
+  test('should list relationships by type in the file header', () => {
+    const header = formatter.formatFileHeader({
+      fileName: 'logger.js',
+      relativePath: 'src/utils/logger.js',
+      metadata: {
+        description: 'Logger',
+        dependencies: [],
+        relationships: [
+          { type: 'importedBy', target: 'src/api/api.js' },
+          { type: 'importedBy', target: 'src/cli/cli.js' },
+          { type: 'testedBy', target: 'tests/unit/logger.test.js' },
+        ],
+      },
+    });
+
+    expect(header).toContain(
+      '**Imported By**: `src/api/api.js`, `src/cli/cli.js`\n**Tested By**: `tests/unit/logger.test.js`\n',
+    );
+    expect(header).not.toContain('**Imports**');
+  });
+
+  test('should note dependency cycles in the file header', () => {
+    const header = formatter.formatFileHeader({
+      fileName: 'a.js',
+      relativePath: 'src/a.js',
+      metadata: { dependencies: [], dependencyCycle: ['src/a.js', 'src/b.js'] },
+    });
+
+    expect(header).toContain(
+      '**Note**: Part of a circular dependency with `src/b.js`; these files are grouped together.\n',
+    );
+  });
+
+  test('should summarize binary stubs instead of fencing them', () => {
+    const file = {
+      fileName: 'logo.png',
+      content: '[binary file: image/png, 8 bytes, sha256 abc]',
+      metadata: { binary: { type: 'image/png', size: 8, hash: 'abc' } },
+    };
+
+    expect(formatter.formatContent(file)).toBe('**Binary**: image/png, 8 bytes, sha256 `abc`\n');
+  });
+
+  test('should fence content by file extension', () => {
+    const testCases = [
+      { fileName: 'test.js', expectedExt: 'js' },
+      { fileName: 'test.py', expectedExt: 'py' },
+      { fileName: 'test', expectedExt: 'plaintext' },
+      { fileName: undefined, expectedExt: 'plaintext' },
+    ];
+
+    testCases.forEach(({ fileName, expectedExt }) => {
+      const result = formatter.formatContent({ fileName, content: 'test' });
+      expect(result).toContain(`\`\`\`${expectedExt}\n`);
+    });
+  });
+
+  test('should mark the parts of a split file', () => {
+    const output = formatter.formatFile({ fileName: 'big.js', relativePath: 'big.js', content: 'a' }, { part: 2, parts: 3 });
+    expect(output).toContain('# big.js (part 2 of 3)\n');
+  });
+
+  test('should anchor each file section with a slug of its path', () => {
+    const file = { fileName: 'App Main.js', relativePath: 'src/UI/App Main.js', content: 'a' };
+    expect(formatter.formatFile(file).startsWith('<a id="src-ui-app-main-js"></a>\n# App Main.js\n')).toBe(true);
+    expect(formatter.formatFile(file, { part: 1, parts: 2 })).toContain('<a id="src-ui-app-main-js"></a>\n');
+    expect(formatter.formatFile(file, { part: 2, parts: 2 })).toContain('<a id="src-ui-app-main-js-part-2"></a>\n');
+  });
+
+  test('should group the table of contents by directory with line counts', () => {
+    const output = formatter.formatTableOfContents([
+      { relativePath: 'src/b.js', lines: 12, bytes: 200, chunk: null },
+      { relativePath: 'README.md', lines: 1, bytes: 9, chunk: null },
+      { relativePath: 'src/a.js', lines: 0, bytes: 0, chunk: null },
+      { relativePath: 'assets/logo.png', lines: null, bytes: 2048, chunk: null },
+    ]);
+    expect(output).toBe(
+      '# Table of Contents\n\n'
+      + '## ./\n- [README.md](#readme-md) (1 line)\n\n'
+      + '## assets/\n- [logo.png](#assets-logo-png) (binary, 2048 bytes)\n\n'
+      + '## src/\n- [b.js](#src-b-js) (12 lines)\n- [a.js](#src-a-js) (0 lines)\n',
+    );
+  });
+
+  test('should link table of contents entries into their chunk', () => {
+    const output = formatter.formatTableOfContents([
+      { relativePath: 'src/a.js', lines: 3, bytes: 10, chunk: 'output-002.md' },
+    ]);
+    expect(output).toContain('- [a.js](output-002.md#src-a-js) (3 lines)');
+  });
+
+  test('should format the project overview with its tree in a text fence', () => {
+    const output = formatter.formatPreamble({
+      name: 'demo',
+      files: 3,
+      bytes: 120,
+      lines: 9,
+      overview: {
+        types: { js: 2, md: 1 },
+        tokens: 30,
+        sortingStrategy: 'size (desc)',
+        tree: 'demo/\n└── a.js\n',
+      },
+    });
+    expect(output).toBe(
+      '# Project Overview\n**Project**: demo\n**Files**: 3 — js (2), md (1)\n'
+      + '**Size**: 9 lines, 120 bytes, ~30 tokens\n**Sorted By**: size (desc)\n\n'
+      + '```text\ndemo/\n└── a.js\n```\n',
+    );
+  });
+});
@@ -0,0 +1,40 @@
+const ScanTreeFormatter = require('../../../../src/output/formatters/scanTreeFormatter');
+
+describe('ScanTreeFormatter', () => {
+  test('should print included and excluded paths as a tree', () => {
+    const output = new ScanTreeFormatter().format({
+      rootDir: '/work/project',
+      included: [
+        { path: '/work/project/src/app.js', rule: null },
+        { path: '/work/project/keep.log', rule: { source: '.gitignore', line: 3, pattern: '!keep.log' } },
+      ],
+      excluded: [
+        { path: '/work/project/src/app.js.map', reason: 'source map' },
+        {
+          path: '/work/project/dist',
+          reason: 'ignored',
+          directory: true,
+          rule: { source: '.llm-pack.ignore', line: 1, pattern: 'dist' },
+        },
+        {
+          path: '/work/project/.gitignore',
+          reason: 'ignored',
+          rule: { source: 'built-in', line: null, pattern: '.gitignore' },
+        },
+      ],
+    });
+
+    expect(output).toBe([
+      'project/',
+      '├── .gitignore  [excluded: ignored by built-in `.gitignore`]',
+      '├── dist/  [excluded: ignored by .llm-pack.ignore:1 `dist`]',
+      '├── keep.log  [included: .gitignore:3 `!keep.log`]',
+      '└── src/',
+      '    ├── app.js',
+      '    └── app.js.map  [excluded: source map]',
+      '',
+      '2 included, 3 excluded',
+      '',
+    ].join('\n'));
+  });
+});
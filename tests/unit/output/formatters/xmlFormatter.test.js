@@ -0,0 +1,93 @@
+const XmlFormatter = require('../../../../src/output/formatters/xmlFormatter');
+
+describe('XmlFormatter', () => {
+  let formatter;
+
+  beforeEach(() => {
+    formatter = new XmlFormatter();
+  });
+
+  test('should format a file with its metadata and content in CDATA', () => {
+    const output = formatter.formatFile({
+      fileName: 'a.js',
+      relativePath: 'src/a.js',
+      content: 'const b = require("./b");',
+      metadata: {
+        description: 'Reads <input> & "quotes"',
+        dependencies: ['./b'],
+        relationships: [{ type: 'imports', target: 'src/b.js' }, { type: 'unknown', target: 'x' }],
+      },
+    });
+
+    expect(output).toBe([
+      '<file path="src/a.js" language="js">',
+      '  <description>Reads &lt;input&gt; &amp; &quot;quotes&quot;</description>',
+      '  <dependencies>',
+      '    <dependency>./b</dependency>',
+      '  </dependencies>',
+      '  <relationships>',
+      '    <relationship type="imports" target="src/b.js"/>',
+      '  </relationships>',
+      '  <content><![CDATA[const b = require("./b");]]></content>',
+      '</file>',
+      '',
+    ].join('\n'));
+  });
+
+  test('should split CDATA sections around a literal ]]>', () => {
+    const output = formatter.formatFile({ fileName: 'a.xml', relativePath: 'a.xml', content: 'x[1]]>y' });
+    expect(output).toContain('<content><![CDATA[x[1]]]]><![CDATA[>y]]></content>');
+  });
+
+  test('should replace characters XML cannot hold', () => {
+    expect(XmlFormatter.cdata('a\u0000b\u001bc\td')).toBe('<![CDATA[a\uFFFDb\uFFFDc\td]]>');
+    expect(XmlFormatter.escape('\uD800')).toBe('\uFFFD');
+    expect(XmlFormatter.escape('\u{1F600}')).toBe('\u{1F600}');
+  });
+
+  test('should describe binary stubs and file parts', () => {
+    const output = formatter.formatFile(
+      {
+        fileName: 'logo.png',
+        relativePath: 'logo.png',
+        metadata: { binary: { type: 'image', size: 2048, hash: 'abc' } },
+      },
+      { part: 1, parts: 2 },
+    );
+    expect(output).toContain('<file path="logo.png" language="png" part="1" parts="2">');
+    expect(output).toContain('<binary type="image" size="2048" sha256="abc"/>');
+    expect(output).not.toContain('<content>');
+  });
+
+  test('should format the token budget report', () => {
+    const output = formatter.formatBudgetReport({
+      maxTokens: 100,
+      mode: 'drop',
+      usedTokens: 90,
+      totalTokens: 150,
+      cut: [{ relativePath: 'big.js', action: 'dropped', originalTokens: 60, keptTokens: 0 }],
+    });
+    expect(output).toContain('<token-budget limit="100" mode="drop" used="90" total="150">');
+    expect(output).toContain('<cut path="big.js" action="dropped" original-tokens="60" kept-tokens="0"/>');
+  });
+
+  test('should format the project overview with its tree in CDATA', () => {
+    const output = formatter.formatPreamble({
+      name: 'demo',
+      files: 1,
+      bytes: 4,
+      lines: 1,
+      overview: { types: { js: 1 }, tokens: 1, sortingStrategy: 'lexical', tree: 'demo/\n└── a.js\n' },
+    });
+    expect(output).toContain('<overview project="demo" files="1" lines="1" bytes="4" tokens="1" sorted-by="lexical">');
+    expect(output).toContain('<type name="js" files="1"/>');
+    expect(output).toContain('<tree><![CDATA[demo/\n└── a.js\n]]></tree>');
+  });
+
+  test('should wrap the files in a pack element', () => {
+    const output = [formatter.formatHeader({}), '<file/>\n', formatter.formatSeparator(), '<file/>\n', formatter.formatFooter({})];
+    expect(output.join('')).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?>\n<pack>\n<file/>\n<file/>\n</pack>\n',
+    );
+  });
+});
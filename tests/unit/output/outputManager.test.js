@@ -1,7 +1,9 @@
 const mockFs = require('mock-fs');
 const fs = require('fs');
 const path = require('path');
+const tmp = require('tmp');
 const OutputManager = require('../../../src/output/outputManager');
+const XmlFormatter = require('../../../src/output/formatters/xmlFormatter');
 
 describe('OutputManager', () => {
   let outputManager;
@@ -50,4 +52,64 @@ describe('OutputManager', () => {
     await expect(outputManager.createConsolidatedFile(files, outputPath))
       .resolves.toBeUndefined();
   });
+
+  test('should write the header, separated files and footer of the format', async () => {
+    outputManager = new OutputManager({ outputDir: '.test-llm-pack', formatter: new XmlFormatter() });
+    const outputPath = path.join('.test-llm-pack', 'output.xml');
+    await outputManager.createConsolidatedFile(
+      [{ fileName: 'a.js', relativePath: 'a.js', content: 'a' }, null, { fileName: 'b.js', relativePath: 'b.js', content: 'b' }],
+      outputPath,
+    );
+
+    const output = fs.readFileSync(outputPath, 'utf8');
+    expect(output.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<pack>\n<file path="a.js"')).toBe(true);
+    expect(output).toContain('</file>\n<file path="b.js"');
+    expect(output.endsWith('</file>\n</pack>\n')).toBe(true);
+  });
+
+  test('should compare with the file on disk in check mode without writing', async () => {
+    const outputPath = path.join('.test-llm-pack', 'output.md');
+    const write = async (options) => {
+      const document = await outputManager.begin(outputPath, {}, options);
+      await outputManager.add(document, 'a\n');
+      await outputManager.add(document, 'b\n');
+      return outputManager.end(document);
+    };
+
+    expect(await write({ check: true })).toBe(false);
+    expect(fs.existsSync(outputPath)).toBe(false);
+    await write();
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe('a\n\nb\n');
+    expect(await write({ check: true })).toBe(true);
+    expect(await outputManager.writeFile(outputPath, 'a\n', { check: true })).toBe(false);
+  });
+
+  test('should remove the file on abort after its stream has closed', async () => {
+    const outputPath = path.join('.test-llm-pack', 'output.md');
+    const document = await outputManager.begin(outputPath, {});
+    await outputManager.add(document, 'a\n');
+    await outputManager.end(document);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    await document.sink.abort();
+
+    expect(fs.existsSync(outputPath)).toBe(false);
+  });
+
+  test('should reject instead of crashing when the output cannot be opened', async () => {
+    // mock-fs opens directories for writing, so this one runs on disk
+    mockFs.restore();
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const outputPath = path.join(tmpDir.name, 'output.md');
+    fs.mkdirSync(outputPath);
+    try {
+      const document = await outputManager.begin(outputPath, {});
+      await outputManager.add(document, 'a\n');
+
+      await expect(outputManager.end(document)).rejects.toThrow('EISDIR');
+      await expect(document.sink.write('b\n')).rejects.toThrow('EISDIR');
+    } finally {
+      tmpDir.removeCallback();
+    }
+  });
 });
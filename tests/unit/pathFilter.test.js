@@ -0,0 +1,52 @@
+const PathFilter = require('../../src/core/pathFilter');
+
+describe('PathFilter', () => {
+	test('should keep everything without patterns', () => {
+		const filter = new PathFilter();
+		expect(filter.checkFile('src/app.js')).toBeNull();
+		expect(filter.checkDirectory('src')).toBeNull();
+	});
+
+	test('should keep only files matching an include pattern', () => {
+		const filter = new PathFilter({ include: ['src/**/*.js', 'docs/*.md', 'README.md'] });
+
+		expect(filter.checkFile('src/app.js')).toBeNull();
+		expect(filter.checkFile('src/lib/util.js')).toBeNull();
+		expect(filter.checkFile('docs/guide.md')).toBeNull();
+		expect(filter.checkFile('README.md')).toBeNull();
+		expect(filter.checkFile('src/app.ts')).toBe('not matched by include patterns');
+		expect(filter.checkFile('docs/api/index.md')).toBe('not matched by include patterns');
+	});
+
+	test('should only walk directories that can hold included files', () => {
+		const filter = new PathFilter({ include: ['packages/app/src/**/*.js', 'docs/*.md'] });
+
+		expect(filter.checkDirectory('packages')).toBeNull();
+		expect(filter.checkDirectory('packages/app')).toBeNull();
+		expect(filter.checkDirectory('packages/app/src/deep/er')).toBeNull();
+		expect(filter.checkDirectory('packages/lib')).toBe('outside include patterns');
+		expect(filter.checkDirectory('docs')).toBeNull();
+		expect(filter.checkDirectory('docs/api')).toBe('outside include patterns');
+		expect(filter.checkDirectory('test')).toBe('outside include patterns');
+		expect(new PathFilter({ include: ['**/*.md'] }).checkDirectory('a/b/c')).toBeNull();
+	});
+
+	test('should treat a pattern matching a directory as covering its contents', () => {
+		const filter = new PathFilter({ include: ['docs'], exclude: ['**/fixtures'] });
+
+		expect(filter.checkDirectory('docs/api')).toBeNull();
+		expect(filter.checkFile('docs/api/index.md')).toBeNull();
+		expect(filter.checkFile('src/app.js')).toBe('not matched by include patterns');
+		expect(filter.checkDirectory('docs/fixtures')).toBe('excluded by pattern `**/fixtures`');
+		expect(filter.checkFile('docs/fixtures/a.json')).toBe('excluded by pattern `**/fixtures`');
+	});
+
+	test('should let exclude patterns win over include patterns', () => {
+		const filter = new PathFilter({ include: ['src/**'], exclude: ['src/**/*.test.js', 'src/vendor/**'] });
+
+		expect(filter.checkFile('src/app.js')).toBeNull();
+		expect(filter.checkFile('src/app.test.js')).toBe('excluded by pattern `src/**/*.test.js`');
+		expect(filter.checkDirectory('src/vendor')).toBe('excluded by pattern `src/vendor/**`');
+		expect(filter.checkFile('src/.env.js')).toBeNull();
+	});
+});
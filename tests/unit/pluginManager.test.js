@@ -591,6 +591,87 @@ describe('PluginManager', () => {
 		});
 	});
 
+	test('should register sort strategies provided by plugins', async () => {
+		const StrategyRegistry = require('../../src/core/strategyRegistry');
+		const pluginDir = path.join(tmpDir.name, 'plugins', 'StrategyPlugin');
+		await fs.ensureDir(pluginDir);
+		await fs.writeJson(path.join(pluginDir, 'plugin.json'), {
+			name: 'StrategyPlugin',
+			version: '1.0.0',
+			entry: 'index.js',
+		});
+		await fs.writeFile(
+			path.join(pluginDir, 'index.js'),
+			`
+				const PluginBase = require('${pluginBasePath}');
+				class ReverseSort {
+					sort(files) { return [...files].reverse(); }
+				}
+				ReverseSort.description = 'Reverse input order';
+				ReverseSort.requiredOptions = ['depth'];
+				module.exports = class StrategyPlugin extends PluginBase {
+					getSortStrategies() {
+						return { reverse: ReverseSort, '': () => ({}) };
+					}
+				};
+			`,
+		);
+
+		const registry = StrategyRegistry.createDefault();
+		await pluginManager.loadPlugins();
+		pluginManager.registerStrategies(registry);
+
+		expect(registry.create('reverse').sort([1, 2, 3])).toEqual([3, 2, 1]);
+		expect(registry.list()).toContainEqual({
+			name: 'reverse',
+			description: 'Reverse input order',
+			source: "plugin 'StrategyPlugin'",
+			requiredOptions: ['depth'],
+		});
+		expect(Logger.error).toHaveBeenCalledWith(
+			"Failed to register sort strategy '' from plugin 'StrategyPlugin': Strategy name must be a non-empty string",
+		);
+	});
+
+	test('should register output formats provided by plugins', async () => {
+		const FormatterRegistry = require('../../src/output/formatterRegistry');
+		const formatterPath = path.resolve(__dirname, '../../src/output/formatters/formatter.js');
+		const pluginDir = path.join(tmpDir.name, 'plugins', 'FormatPlugin');
+		await fs.ensureDir(pluginDir);
+		await fs.writeJson(path.join(pluginDir, 'plugin.json'), {
+			name: 'FormatPlugin',
+			version: '1.0.0',
+			entry: 'index.js',
+		});
+		await fs.writeFile(
+			path.join(pluginDir, 'index.js'),
+			`
+				const PluginBase = require('${pluginBasePath}');
+				const Formatter = require('${formatterPath}');
+				class CsvFormatter extends Formatter {
+					formatFile(file) { return file.relativePath + '\\n'; }
+				}
+				CsvFormatter.description = 'One path per line';
+				module.exports = class FormatPlugin extends PluginBase {
+					getFormatters() {
+						return { csv: CsvFormatter };
+					}
+				};
+			`,
+		);
+
+		const registry = FormatterRegistry.createDefault();
+		await pluginManager.loadPlugins();
+		pluginManager.registerFormatters(registry);
+
+		expect(registry.create('csv').formatFile({ relativePath: 'a.js' })).toBe('a.js\n');
+		expect(registry.list()).toContainEqual({
+			name: 'csv',
+			description: 'One path per line',
+			source: "plugin 'FormatPlugin'",
+		});
+	});
+
 	test('should handle missing plugins directory', async () => {
 		// Initialize PluginManager with undefined pluginsDir
 		pluginManager = new PluginManager();
@@ -0,0 +1,90 @@
+const RelationshipMapper = require('../../src/core/relationshipMapper');
+
+const makeFile = (relativePath, resolvedDependencies = [], content = '') => ({
+  fileName: relativePath.split('/').pop(),
+  relativePath,
+  content,
+  metadata: { dependencies: [], resolvedDependencies },
+});
+
+describe('RelationshipMapper', () => {
+  test('should map imports and reverse dependencies', () => {
+    const mapper = new RelationshipMapper([
+      makeFile('src/app.js', ['src/utils/logger.js', 'src/app.js']),
+      makeFile('src/cli.js', ['src/utils/logger.js']),
+      makeFile('src/utils/logger.js'),
+    ]);
+
+    expect(mapper.get('src/app.js')).toEqual([{ type: 'imports', target: 'src/utils/logger.js' }]);
+    expect(mapper.get('src/utils/logger.js')).toEqual([
+      { type: 'importedBy', target: 'src/app.js' },
+      { type: 'importedBy', target: 'src/cli.js' },
+    ]);
+  });
+
+  test('should pair tests with the source files they cover', () => {
+    const mapper = new RelationshipMapper([
+      makeFile('src/core/sorter.js'),
+      makeFile('src/core/strategies/typeSort.js'),
+      makeFile('src/utils/logger.js'),
+      makeFile('src/components/Button.jsx'),
+      makeFile('tests/unit/core/sorter.test.js'),
+      makeFile('tests/unit/typeSort.test.js'),
+      makeFile('tests/logger.spec.js'),
+      makeFile('src/components/__tests__/Button.jsx'),
+    ]);
+
+    expect(mapper.get('src/core/sorter.js')).toEqual([
+      { type: 'testedBy', target: 'tests/unit/core/sorter.test.js' },
+    ]);
+    expect(mapper.get('src/core/strategies/typeSort.js')).toEqual([
+      { type: 'testedBy', target: 'tests/unit/typeSort.test.js' },
+    ]);
+    expect(mapper.get('src/utils/logger.js')).toEqual([
+      { type: 'testedBy', target: 'tests/logger.spec.js' },
+    ]);
+    expect(mapper.get('src/components/__tests__/Button.jsx')).toEqual([
+      { type: 'tests', target: 'src/components/Button.jsx' },
+    ]);
+  });
+
+  test('should prefer the source a test imports and skip ambiguous matches', () => {
+    const mapper = new RelationshipMapper([
+      makeFile('src/api/index.js'),
+      makeFile('src/cli/index.js'),
+      makeFile('src/gui/index.js'),
+      makeFile('tests/index.test.js'),
+      makeFile('tests/cli/index.test.js', ['src/gui/index.js']),
+    ]);
+
+    expect(mapper.get('tests/index.test.js')).toEqual([]);
+    expect(mapper.get('tests/cli/index.test.js')).toEqual([
+      { type: 'imports', target: 'src/gui/index.js' },
+      { type: 'tests', target: 'src/gui/index.js' },
+    ]);
+  });
+
+  test('should describe what config files configure', () => {
+    const manifest = JSON.stringify({ main: 'src/gui/gui.js', bin: { 'llm-pack': './src/cli/cli.js' } });
+    const mapper = new RelationshipMapper([
+      makeFile('package.json', [], manifest),
+      makeFile('jest.config.js'),
+      makeFile('src/gui/gui.js'),
+      makeFile('src/cli/cli.js'),
+    ]);
+
+    expect(mapper.get('package.json')).toEqual([
+      { type: 'configures', target: 'npm' },
+      { type: 'configures', target: 'src/gui/gui.js' },
+      { type: 'configures', target: 'src/cli/cli.js' },
+    ]);
+    expect(mapper.get('jest.config.js')).toEqual([{ type: 'configures', target: 'jest' }]);
+  });
+
+  test('should identify test files', () => {
+    expect(RelationshipMapper.isTestFile('tests/unit/api.test.js')).toBe(true);
+    expect(RelationshipMapper.isTestFile('src/api.spec.ts')).toBe(true);
+    expect(RelationshipMapper.isTestFile('src/__tests__/api.js')).toBe(true);
+    expect(RelationshipMapper.isTestFile('src/api.js')).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+const RelevanceSort = require('../../src/core/strategies/relevanceSort');
+
+jest.mock('../../src/utils/logger', () => ({
+	info: jest.fn(),
+	error: jest.fn(),
+	warn: jest.fn(),
+	debug: jest.fn(),
+}));
+
+const Logger = require('../../src/utils/logger');
+
+const files = [
+	{
+		relativePath: 'src/core/consolidator.js',
+		content: 'class Consolidator {\n  formatHeader(file) {\n    return file.fileName;\n  }\n}',
+		metadata: { description: 'Writes the output' },
+	},
+	{
+		relativePath: 'src/core/tokenBudget.js',
+		content: 'class TokenBudget {\n  apply(files) {\n    return this.countTokens(files);\n  }\n}',
+		metadata: {},
+	},
+	{
+		relativePath: 'src/cli/cli.js',
+		content: "program.option('--max-tokens <n>', 'Fit the pack into a token budget');",
+		metadata: {},
+	},
+	{
+		relativePath: 'README.md',
+		content: '# LLM-Pack\nPacks a project for a language model.',
+		metadata: {},
+	},
+];
+const paths = (sorted) => sorted.map((file) => file.relativePath);
+
+describe('RelevanceSort Strategy', () => {
+	test('should split identifiers into search terms', () => {
+		expect(RelevanceSort.tokenize('How does tokenBudget apply the MAX_TOKENS limits?')).toEqual([
+			'token', 'budget', 'apply', 'max', 'token', 'limit',
+		]);
+		expect(RelevanceSort.tokenize('parseJSONFile libraries')).toEqual(['parse', 'json', 'file', 'library']);
+	});
+
+	test('should extract declared symbols', () => {
+		expect(RelevanceSort.extractSymbols(files[1].content)).toEqual(['TokenBudget', 'apply']);
+		expect(RelevanceSort.extractSymbols('const run = () => {};\nif (x) {\n}')).toEqual(['run']);
+	});
+
+	test('should rank matching files first and drop the rest', () => {
+		const sorted = new RelevanceSort({ query: 'token budget' }).sort(files);
+
+		expect(paths(sorted)).toEqual(['src/core/tokenBudget.js', 'src/cli/cli.js']);
+		expect(sorted[0].metadata.relevance).toBeGreaterThan(sorted[1].metadata.relevance);
+		expect(files[1].metadata.relevance).toBeUndefined();
+		expect(Logger.info).toHaveBeenCalledWith('RelevanceSort: 2 of 4 files match "token budget".');
+	});
+
+	test('should weigh path and symbol matches above content matches', () => {
+		const sorted = new RelevanceSort({ query: 'consolidator header' }).sort(files);
+		expect(paths(sorted)[0]).toBe('src/core/consolidator.js');
+
+		const contentOnly = new RelevanceSort({
+			query: 'consolidator header',
+			fieldWeights: { path: 0, symbols: 0 },
+		}).sort(files);
+		expect(paths(contentOnly)).toEqual(['src/core/consolidator.js']);
+	});
+
+	test('should honour maxFiles and keep the input order when nothing matches', () => {
+		expect(paths(new RelevanceSort({ query: 'token', maxFiles: 1 }).sort(files))).toEqual([
+			'src/core/tokenBudget.js',
+		]);
+		expect(new RelevanceSort({ query: 'kubernetes' }).sort(files)).toBe(files);
+		expect(Logger.warn).toHaveBeenCalledWith(
+			'RelevanceSort: no files match "kubernetes"; keeping the input order.',
+		);
+	});
+
+	test('should order files with equal scores by path', () => {
+		const twins = [
+			{ relativePath: 'src/z.js', content: 'token' },
+			{ relativePath: 'src/a.js', content: 'token' },
+		];
+
+		expect(paths(new RelevanceSort({ query: 'token' }).sort(twins))).toEqual(['src/a.js', 'src/z.js']);
+	});
+
+	test('should require a query', () => {
+		expect(() => new RelevanceSort()).toThrow('The relevance strategy needs a query');
+		expect(() => new RelevanceSort({ query: 'the of' })).toThrow('The relevance strategy needs a query');
+	});
+});
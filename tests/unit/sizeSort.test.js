@@ -100,4 +100,15 @@ describe('SizeSort', () => {
 		expect(sorted[0].path).toBe('file2.txt');
 		expect(sorted[1].path).toBe('file1.txt');
 	});
+
+	it('should order files of equal size by path in both orders', async () => {
+		const files = [{ path: 'b.txt' }, { path: 'c.txt' }, { path: 'a.txt' }];
+		fs.promises.stat.mockResolvedValue({ size: 100 });
+
+		const asc = await new SizeSort({ order: 'asc' }).sort([...files]);
+		const desc = await new SizeSort({ order: 'desc' }).sort([...files]);
+
+		expect(asc.map((f) => f.path)).toEqual(['a.txt', 'b.txt', 'c.txt']);
+		expect(desc.map((f) => f.path)).toEqual(['a.txt', 'b.txt', 'c.txt']);
+	});
 });
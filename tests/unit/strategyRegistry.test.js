@@ -0,0 +1,84 @@
+const StrategyRegistry = require('../../src/core/strategyRegistry');
+const SizeSort = require('../../src/core/strategies/sizeSort');
+const DependencySort = require('../../src/core/strategies/dependencySort');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Logger = require('../../src/utils/logger');
+
+describe('StrategyRegistry', () => {
+  test('should register the built-in strategies', () => {
+    const registry = StrategyRegistry.createDefault();
+
+    expect(registry.names()).toEqual(['lexical', 'size', 'type', 'dependency', 'relevance', 'composite']);
+    expect(registry.create('dependency')).toBeInstanceOf(DependencySort);
+    expect(registry.list()[0]).toEqual({
+      name: 'lexical',
+      description: 'Alphabetical by relative path',
+      source: 'built-in',
+      requiredOptions: [],
+    });
+    expect(registry.list()[4].requiredOptions).toEqual(['query']);
+    expect(registry.list()[5].requiredOptions).toEqual(['keys']);
+  });
+
+  test('should pass options to strategy classes and factories', () => {
+    const registry = StrategyRegistry.createDefault();
+    const factory = jest.fn((options) => ({ sort: (files) => files, options }));
+    registry.register('Custom', factory, { source: "plugin 'MyPlugin'" });
+
+    expect(registry.create('SIZE', { order: 'desc' })).toEqual(expect.objectContaining({ order: 'desc' }));
+    expect(registry.create('size')).toBeInstanceOf(SizeSort);
+    expect(registry.create('custom', { depth: 2 }).options).toEqual({ depth: 2 });
+    expect(registry.list()[6]).toEqual({
+      name: 'custom',
+      description: '',
+      source: "plugin 'MyPlugin'",
+      requiredOptions: [],
+    });
+  });
+
+  test('should warn when a strategy is replaced', () => {
+    const registry = StrategyRegistry.createDefault();
+    registry.register('lexical', () => ({ sort: (files) => files }), { source: "plugin 'P'" });
+
+    expect(Logger.warn).toHaveBeenCalledWith(
+      'Sorting strategy "lexical" from built-in replaced by plugin \'P\'',
+    );
+    expect(registry.names()).toHaveLength(6);
+  });
+
+  test('should build composite strategies from key lists', () => {
+    const registry = StrategyRegistry.createDefault();
+
+    expect(registry.create('dir,type:desc,size').keys).toEqual([
+      { key: 'dir', order: 'asc' },
+      { key: 'type', order: 'desc' },
+      { key: 'size', order: 'asc' },
+    ]);
+    expect(registry.create('mtime', { order: 'desc' }).keys).toEqual([{ key: 'mtime', order: 'desc' }]);
+    expect(registry.resolve('dir,size').name).toBe('composite');
+    expect(registry.create('size')).toBeInstanceOf(SizeSort);
+    expect(() => registry.resolve('dir,color')).toThrow(
+      'Unknown sort key "color". Available keys: dir, type, size, mtime, depth, lexical',
+    );
+  });
+
+  test('should reject unknown names and invalid strategies', () => {
+    const registry = StrategyRegistry.createDefault();
+    registry.register('broken', () => ({}));
+
+    expect(() => registry.create('random')).toThrow(
+      'Unknown sorting strategy "random". Available strategies: lexical, size, type, dependency, relevance, composite, broken',
+    );
+    expect(() => registry.create('broken')).toThrow('Sorting strategy "broken" does not provide a sort(files) method');
+    expect(() => registry.register('', () => {})).toThrow('Strategy name must be a non-empty string');
+    expect(() => registry.register('bad', {})).toThrow('Strategy "bad" must be a class or factory function');
+    expect(registry.has('random')).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+const TokenBudget = require('../../src/core/tokenBudget');
+const { createTokenizer, ApproximateTokenizer } = require('../../src/core/tokenizers');
+const Logger = require('../../src/utils/logger');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn()
+}));
+
+// One token per character keeps the arithmetic in these tests readable.
+const charTokenizer = { count: (text) => (text ? text.length : 0) };
+
+const makeFile = (relativePath, content, metadata = {}) => ({
+  fileName: relativePath.split('/').pop(),
+  relativePath,
+  content,
+  metadata: { description: 'File content', dependencies: [], ...metadata },
+});
+
+describe('ApproximateTokenizer', () => {
+  test('should count words by length and punctuation individually', () => {
+    const tokenizer = new ApproximateTokenizer();
+    expect(tokenizer.count('')).toBe(0);
+    expect(tokenizer.count('foo bar')).toBe(2);
+    expect(tokenizer.count('internationalization')).toBe(5);
+    expect(tokenizer.count('a(b);')).toBe(5);
+  });
+});
+
+describe('createTokenizer', () => {
+  test('should return the approximate tokenizer by default', () => {
+    expect(createTokenizer()).toBeInstanceOf(ApproximateTokenizer);
+    expect(createTokenizer('approximate')).toBeInstanceOf(ApproximateTokenizer);
+  });
+
+  test('should accept tokenizer instances', () => {
+    expect(createTokenizer(charTokenizer)).toBe(charTokenizer);
+  });
+
+  test('should reject objects without a count method', () => {
+    expect(() => createTokenizer({})).toThrow('expected an object with a count(text) method');
+  });
+
+  test('should report modules that cannot be loaded', () => {
+    expect(() => createTokenizer('./missing-tokenizer.js', '/nowhere')).toThrow(
+      'Unable to load tokenizer "./missing-tokenizer.js"'
+    );
+  });
+});
+
+describe('TokenBudget', () => {
+  const files = [
+    makeFile('a.js', 'a'.repeat(100)),
+    makeFile('b.js', 'b'.repeat(100)),
+    makeFile('c.js', 'c'.repeat(100)),
+  ];
+  // Each file costs 40 (header) + 4 (path) + 100 (content) = 144 tokens.
+
+  test('should validate its options', () => {
+    expect(() => new TokenBudget({ maxTokens: 0 })).toThrow('maxTokens must be a positive integer.');
+    expect(() => new TokenBudget({ maxTokens: 10, mode: 'shrink' })).toThrow('Invalid token budget mode "shrink"');
+  });
+
+  test('should keep everything when the pack fits', () => {
+    const budget = new TokenBudget({ maxTokens: 1000, tokenizer: charTokenizer });
+    const { files: kept, report } = budget.apply(files);
+
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.js', 'b.js', 'c.js']);
+    expect(kept[0].metadata.tokens).toBe(144);
+    expect(report.totalTokens).toBe(432);
+    expect(report.cut).toEqual([]);
+  });
+
+  test('should drop the last files in sorted order first', () => {
+    const budget = new TokenBudget({ maxTokens: 300, tokenizer: charTokenizer });
+    const { files: kept, report } = budget.apply(files);
+
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.js', 'b.js']);
+    expect(report.usedTokens).toBe(288);
+    expect(report.cut).toEqual([
+      { relativePath: 'c.js', action: 'dropped', originalTokens: 144, keptTokens: 0 },
+    ]);
+  });
+
+  test('should honour explicit metadata.priority', () => {
+    const prioritized = [
+      makeFile('a.js', 'a'.repeat(100)),
+      makeFile('b.js', 'b'.repeat(100), { priority: -1 }),
+      makeFile('c.js', 'c'.repeat(100), { priority: 5 }),
+    ];
+    const budget = new TokenBudget({ maxTokens: 300, tokenizer: charTokenizer });
+    const { files: kept } = budget.apply(prioritized);
+
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.js', 'c.js']);
+  });
+
+  test('should truncate the lowest-priority file to the remaining budget', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i}`.padEnd(9, '.')).join('\n');
+    const budget = new TokenBudget({ maxTokens: 450, mode: 'truncate', tokenizer: charTokenizer });
+    const { files: kept, report } = budget.apply([files[0], files[1], makeFile('long.txt', lines)]);
+
+    expect(kept).toHaveLength(3);
+    expect(kept[2].content).toMatch(/\.\.\. \[truncated \d+ of 20 lines to fit the token budget\]$/);
+    expect(kept[2].metadata.budget.action).toBe('truncated');
+    expect(report.usedTokens).toBeLessThanOrEqual(450);
+    expect(report.cut[0]).toMatchObject({ relativePath: 'long.txt', action: 'truncated' });
+  });
+
+  test('should summarize files into an outline of their declarations', () => {
+    const source = [
+      '// Math helpers',
+      'const add = (a, b) => {',
+      '  return a + b;',
+      '};',
+      'function multiply(a, b) { return a * b; }',
+      'module.exports = { add, multiply };',
+    ].join('\n');
+
+    expect(TokenBudget.summarizeContent(source)).toBe(
+      [
+        '... [summarized: 4 of 6 lines kept to fit the token budget]',
+        '// Math helpers',
+        'const add = (a, b) => { ... }',
+        'function multiply(a, b) { ... }',
+        'module.exports = { ... }',
+      ].join('\n')
+    );
+  });
+
+  test('should fall back to dropping when summaries are not enough', () => {
+    const budget = new TokenBudget({ maxTokens: 150, mode: 'summarize', tokenizer: charTokenizer });
+    const { files: kept, report } = budget.apply(files);
+
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.js']);
+    expect(report.usedTokens).toBeLessThanOrEqual(150);
+    expect(report.cut.map((c) => c.action)).toEqual(['dropped', 'dropped']);
+  });
+
+  test('should keep the most important file truncated rather than pack nothing', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `line ${i}`.padEnd(9, '.')).join('\n');
+    // Too little room to keep MIN_KEPT_TOKENS of any file
+    const budget = new TokenBudget({ maxTokens: 100, mode: 'truncate' });
+    const { files: kept, report } = budget.apply([makeFile('a.txt', lines), makeFile('b.txt', lines)]);
+
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.txt']);
+    expect(kept[0].content).toMatch(/^line 0\.\.\./);
+    expect(report.usedTokens).toBeLessThanOrEqual(100);
+    expect(report.cut.map((c) => c.action)).toEqual(['truncated', 'dropped']);
+  });
+
+  test('should warn when no file fits', () => {
+    const budget = new TokenBudget({ maxTokens: 30, tokenizer: charTokenizer });
+    const { files: kept } = budget.apply(files);
+
+    expect(kept).toEqual([]);
+    expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('no file fits in the 30 tokens left for files'));
+  });
+
+  test('should measure files with the formatter when given one', () => {
+    const budget = new TokenBudget({
+      maxTokens: 1000,
+      tokenizer: charTokenizer,
+      formatFile: (file) => `## ${file.relativePath}\n${file.content}`,
+    });
+    const { files: kept } = budget.apply(files);
+
+    expect(kept[0].metadata.tokens).toBe(108);
+  });
+
+  test('should reserve room for the rest of the pack, budget report included', () => {
+    const budget = new TokenBudget({ maxTokens: 400, tokenizer: charTokenizer });
+    const frame = (report) => `${'h'.repeat(50)}${report ? 'r'.repeat(80 * report.cut.length) : ''}`;
+    const { files: kept, report } = budget.apply(files, { frame });
+
+    // 50 for the frame leaves room for two files, but the report of the one
+    // dropped takes another 80 and so a second file goes as well.
+    expect(kept.map((f) => f.relativePath)).toEqual(['a.js']);
+    expect(report.reservedTokens).toBe(210);
+    expect(report.usedTokens).toBe(354);
+    expect(report.totalTokens).toBe(642);
+  });
+});